@@ -4,22 +4,211 @@ pragma solidity ^0.8.20;
 contract BatchCallDelegation {
     event CallExecuted(address indexed to, uint256 indexed value, bytes data, bool success);
 
+    /// @notice Outcome of one call of executeAllowingFailures, with its return data or revert data
+    event CallResult(uint256 indexed index, address indexed to, uint256 value, bool success, bytes returnData);
+
+    /// @notice A signed batch ran; its nonce cannot be used again
+    event IntentExecuted(uint256 indexed nonce);
+
+    /// @notice A nonce was burned by the account before its signed batch ran
+    event NonceInvalidated(uint256 indexed nonce);
+
+    /// @notice Reverts the whole batch, carrying the failing call's index and its revert data
+    error CallReverted(uint256 index, address to, bytes reason);
+
+    /// @notice executeAllowingFailures() needs one allowFailure flag per call
+    error FlagsLengthMismatch(uint256 calls, uint256 flags);
+
+    /// @notice The ERC-7821 execution mode is neither single nor batch with the default exec type
+    error UnsupportedExecutionMode(bytes32 mode);
+
+    /// @notice Single-mode executionData is shorter than its 20-byte target and 32-byte value
+    error InvalidExecutionData();
+
+    /// @notice execute() was called by someone other than the delegated account itself
+    error Unauthorized(address caller);
+
+    /// @notice The signature does not recover to the delegated account
+    error InvalidSignature();
+
+    /// @notice The signed batch's deadline has passed
+    error IntentExpired(uint256 deadline);
+
+    /// @notice The signed batch already ran or its nonce was invalidated
+    error NonceAlreadyUsed(uint256 nonce);
+
     struct Call {
         bytes data;
         address to;
         uint256 value;
     }
 
+    /// @notice A call as ERC-7821 (ERC-7579) batch executionData encodes it
+    struct Execution {
+        address target;
+        uint256 value;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /// @custom:storage-location erc7201:BatchCallDelegation.usedNonces
+    struct NonceStorage {
+        mapping(uint256 => bool) used;
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant CALL_TYPEHASH = keccak256("Call(bytes data,address to,uint256 value)");
+    bytes32 private constant EXECUTE_TYPEHASH = keccak256("Execute(Call[] calls,uint256 nonce,uint256 deadline)Call(bytes data,address to,uint256 value)");
+
+    // keccak256(abi.encode(uint256(keccak256("BatchCallDelegation.usedNonces")) - 1)) & ~bytes32(uint256(0xff))
+    // The code runs in the EOA's storage, so a namespaced slot keeps clear of other delegates' layouts
+    bytes32 private constant NONCE_STORAGE_SLOT = 0xdc17add86c830f1b35a075d2898f5b14f5d0ac8ca9efd98718a89dc559922700;
+
+    // ERC-7579 mode layout: callType (1 byte) | execType (1 byte) | unused (4 bytes) | modeSelector (4 bytes) | payload (22 bytes).
+    // Single (0x00) and batch (0x01) calls with the default exec type, which reverts on failure, are
+    // supported; the payload is ignored
+    bytes10 private constant MODE_SINGLE = 0x00000000000000000000;
+    bytes10 private constant MODE_BATCH = 0x01000000000000000000;
+
+    // secp256k1n / 2; higher s values are the malleable twin of a valid signature
+    uint256 private constant MAX_S = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+
     receive() external payable {}
 
     fallback() external payable {}
 
+    /// @notice Runs `calls` from the delegated account; only the account itself may call it
     function execute(Call[] calldata calls) external payable {
+        if (msg.sender != address(this)) revert Unauthorized(msg.sender);
+        _execute(calls);
+    }
+
+    /// @notice ERC-7821 entry point, self-only like execute(Call[]). executionData is
+    ///         abi.encodePacked(target, value, callData) in single mode and abi.encode(Execution[]) in batch mode
+    function execute(bytes32 mode, bytes calldata executionData) external payable {
+        if (msg.sender != address(this)) revert Unauthorized(msg.sender);
+        bytes10 kind = bytes10(mode);
+        if (kind == MODE_SINGLE) {
+            if (executionData.length < 52) revert InvalidExecutionData();
+            address target = address(bytes20(executionData[0:20]));
+            uint256 value = uint256(bytes32(executionData[20:52]));
+            _call(0, target, value, executionData[52:]);
+        } else if (kind == MODE_BATCH) {
+            Execution[] memory executions = abi.decode(executionData, (Execution[]));
+            for (uint256 i = 0; i < executions.length; i++) {
+                _call(i, executions[i].target, executions[i].value, executions[i].callData);
+            }
+        } else {
+            revert UnsupportedExecutionMode(mode);
+        }
+    }
+
+    /// @notice ERC-7821: whether execute(mode, executionData) accepts `mode`
+    function supportsExecutionMode(bytes32 mode) external pure returns (bool) {
+        bytes10 kind = bytes10(mode);
+        return kind == MODE_SINGLE || kind == MODE_BATCH;
+    }
+
+    /// @notice Runs `calls` like execute(), but a failing call whose allowFailure flag is set is
+    ///         recorded in its CallResult event instead of reverting the batch; a failing call
+    ///         without the flag still reverts everything with CallReverted
+    function executeAllowingFailures(Call[] calldata calls, bool[] calldata allowFailure)
+        external
+        payable
+        returns (Result[] memory results)
+    {
+        if (msg.sender != address(this)) revert Unauthorized(msg.sender);
+        if (allowFailure.length != calls.length) revert FlagsLengthMismatch(calls.length, allowFailure.length);
+        results = new Result[](calls.length);
         for (uint256 i = 0; i < calls.length; i++) {
             Call memory call = calls[i];
-            (bool success, ) = call.to.call{value: call.value}(call.data);
-            require(success, "call reverted");
-            emit CallExecuted(call.to, call.value, call.data, success);
+            (bool success, bytes memory returnData) = call.to.call{value: call.value}(call.data);
+            if (!success && !allowFailure[i]) revert CallReverted(i, call.to, returnData);
+            results[i] = Result(success, returnData);
+            emit CallResult(i, call.to, call.value, success, returnData);
+        }
+    }
+
+    /// @notice Runs `calls` for any caller holding the account's EIP-712 signature over
+    ///         Execute(calls, nonce, deadline), so a relayer or gas payer can submit the batch
+    function executeWithSignature(
+        Call[] calldata calls,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external payable {
+        if (block.timestamp > deadline) revert IntentExpired(deadline);
+        NonceStorage storage $ = _nonceStorage();
+        if ($.used[nonce]) revert NonceAlreadyUsed(nonce);
+        if (_recover(hashIntent(calls, nonce, deadline), signature) != address(this)) revert InvalidSignature();
+
+        $.used[nonce] = true;
+        emit IntentExecuted(nonce);
+        _execute(calls);
+    }
+
+    /// @notice Burns `nonce` so a signed batch that was handed out can no longer run
+    function invalidateNonce(uint256 nonce) external {
+        if (msg.sender != address(this)) revert Unauthorized(msg.sender);
+        NonceStorage storage $ = _nonceStorage();
+        if ($.used[nonce]) revert NonceAlreadyUsed(nonce);
+        $.used[nonce] = true;
+        emit NonceInvalidated(nonce);
+    }
+
+    function nonceUsed(uint256 nonce) external view returns (bool) {
+        return _nonceStorage().used[nonce];
+    }
+
+    /// @notice Domain of the delegated account: name "BatchCallDelegation", version "1", verifyingContract = the EOA
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("BatchCallDelegation"), keccak256("1"), block.chainid, address(this))
+        );
+    }
+
+    /// @notice EIP-712 digest the account signs for executeWithSignature
+    function hashIntent(Call[] calldata calls, uint256 nonce, uint256 deadline) public view returns (bytes32) {
+        bytes32[] memory callHashes = new bytes32[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            callHashes[i] = keccak256(abi.encode(CALL_TYPEHASH, keccak256(calls[i].data), calls[i].to, calls[i].value));
+        }
+        bytes32 structHash = keccak256(
+            abi.encode(EXECUTE_TYPEHASH, keccak256(abi.encodePacked(callHashes)), nonce, deadline)
+        );
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    function _execute(Call[] calldata calls) internal {
+        for (uint256 i = 0; i < calls.length; i++) {
+            _call(i, calls[i].to, calls[i].value, calls[i].data);
+        }
+    }
+
+    function _call(uint256 index, address to, uint256 value, bytes memory data) internal {
+        (bool success, bytes memory reason) = to.call{value: value}(data);
+        if (!success) revert CallReverted(index, to, reason);
+        emit CallExecuted(to, value, data, success);
+    }
+
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        if (signature.length != 65) revert InvalidSignature();
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > MAX_S || (v != 27 && v != 28)) revert InvalidSignature();
+        address signer = ecrecover(digest, v, r, s);
+        if (signer == address(0)) revert InvalidSignature();
+        return signer;
+    }
+
+    function _nonceStorage() private pure returns (NonceStorage storage $) {
+        assembly {
+            $.slot := NONCE_STORAGE_SLOT
         }
     }
-}
\ No newline at end of file
+}
@@ -1,6 +1,7 @@
 require('@nomicfoundation/hardhat-network-helpers');
 require('@nomicfoundation/hardhat-toolbox');
 require('dotenv').config();
+require('./tasks');
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -11,12 +12,17 @@ module.exports = {
     }
   },
   networks: {
+    // In-process network used by `npx hardhat test`
+    hardhat: {
+      hardfork: "prague"
+    },
     target: {
-      url: process.env.RPC_URL
+      // Empty without RPC_URL so the in-process network and tests work without a .env
+      url: process.env.RPC_URL || ""
     },
     sepolia: {
-      url: process.env.RPC_URL,
-      accounts: [process.env.PRIVATE_KEY]
+      url: process.env.RPC_URL || "",
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
     }
   },
 };
@@ -0,0 +1,133 @@
+const { ethers } = require('ethers');
+
+// Interface of BatchCallDelegation as seen through a delegated EOA. execute is overloaded, so it is
+// encoded by its full signature.
+const batchInterface = new ethers.Interface([
+  'function execute(tuple(bytes data, address to, uint256 value)[] calls) payable',
+  'function execute(bytes32 mode, bytes executionData) payable',
+  'function supportsExecutionMode(bytes32 mode) view returns (bool)',
+  'function executeWithSignature(tuple(bytes data, address to, uint256 value)[] calls, uint256 nonce, uint256 deadline, bytes signature) payable',
+  'function executeAllowingFailures(tuple(bytes data, address to, uint256 value)[] calls, bool[] allowFailure) payable returns (tuple(bool success, bytes returnData)[] results)',
+  'function invalidateNonce(uint256 nonce)',
+  'function nonceUsed(uint256 nonce) view returns (bool)',
+  'function hashIntent(tuple(bytes data, address to, uint256 value)[] calls, uint256 nonce, uint256 deadline) view returns (bytes32)',
+  'event CallExecuted(address indexed to, uint256 indexed value, bytes data, bool success)',
+  'event CallResult(uint256 indexed index, address indexed to, uint256 value, bool success, bytes returnData)',
+  'event IntentExecuted(uint256 indexed nonce)',
+  'event NonceInvalidated(uint256 indexed nonce)',
+  'error CallReverted(uint256 index, address to, bytes reason)',
+  'error FlagsLengthMismatch(uint256 calls, uint256 flags)',
+  'error UnsupportedExecutionMode(bytes32 mode)',
+  'error InvalidExecutionData()',
+  'error Unauthorized(address caller)',
+  'error InvalidSignature()',
+  'error IntentExpired(uint256 deadline)',
+  'error NonceAlreadyUsed(uint256 nonce)'
+]);
+
+const normalizeCall = ({ data, to, value }) => ({
+  data: data ?? '0x',
+  to: ethers.getAddress(to),
+  value: ethers.toBigInt(value ?? 0)
+});
+
+const NATIVE_EXECUTE = 'execute((bytes,address,uint256)[])';
+const ERC7821_EXECUTE = 'execute(bytes32,bytes)';
+
+// ERC-7821 modes in the ERC-7579 layout: callType (1 byte) | execType (1 byte) | unused (4 bytes) |
+// modeSelector (4 bytes) | payload (22 bytes). Both use the default exec type, which reverts on failure.
+const ERC7821_MODES = {
+  single: ethers.zeroPadBytes('0x00', 32),
+  batch: ethers.zeroPadBytes('0x01', 32)
+};
+
+// Calldata formats of the self-only entry points: this project's execute(Call[]) and the standard
+// ERC-7821 execute(bytes32 mode, bytes executionData) that wallets and dapps speak
+const EXECUTE_FORMATS = ['native', 'erc7821'];
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const EXECUTION_BATCH = 'tuple(address target, uint256 value, bytes callData)[]';
+
+// executionData of an ERC-7821 `mode`: abi.encodePacked(target, value, callData) for a single call,
+// abi.encode(Execution[]) for a batch
+const encodeExecutionData = (calls, mode = 'batch') => {
+  const normalized = calls.map(normalizeCall);
+  if (mode === 'single') {
+    if (normalized.length !== 1) throw new Error(`ERC-7821 single mode runs exactly one call, got ${normalized.length}`);
+    const [{ to, value, data }] = normalized;
+    return ethers.solidityPacked(['address', 'uint256', 'bytes'], [to, value, data]);
+  }
+  if (mode !== 'batch') throw new Error(`Expected ERC-7821 mode single or batch, got ${JSON.stringify(mode)}`);
+  return coder.encode([EXECUTION_BATCH], [normalized.map(({ to, value, data }) => [to, value, data])]);
+};
+
+// Calls of ERC-7821 execute(mode, executionData), or null for a mode the delegate does not support
+// and for executionData it would revert on
+const decodeExecutionData = (mode, executionData) => {
+  const kind = ethers.dataSlice(mode, 0, 10);
+  if (kind === ethers.dataSlice(ERC7821_MODES.single, 0, 10)) {
+    if (ethers.dataLength(executionData) < 52) return null;
+    return [normalizeCall({
+      to: ethers.dataSlice(executionData, 0, 20),
+      value: ethers.dataSlice(executionData, 20, 52),
+      data: ethers.dataSlice(executionData, 52)
+    })];
+  }
+  if (kind === ethers.dataSlice(ERC7821_MODES.batch, 0, 10)) {
+    try {
+      const [executions] = coder.decode([EXECUTION_BATCH], executionData);
+      return executions.map(({ target, value, callData }) => normalizeCall({ to: target, value, data: callData }));
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+// The calls run by a parsed BatchCallDelegation transaction (see batchInterface.parseTransaction), or
+// null when it is not one of the execute functions
+const getBatchCalls = (parsed) => {
+  if (!parsed) return null;
+  if (parsed.signature === ERC7821_EXECUTE) return decodeExecutionData(parsed.args.mode, parsed.args.executionData);
+  if (['execute', 'executeWithSignature', 'executeAllowingFailures'].includes(parsed.name)) return parsed.args.calls.map(normalizeCall);
+  return null;
+};
+
+// ERC-7821 execute() is self-only like the native one; `mode` is single or batch
+const encodeERC7821Execute = (calls, { mode = 'batch' } = {}) =>
+  batchInterface.encodeFunctionData(ERC7821_EXECUTE, [ERC7821_MODES[mode], encodeExecutionData(calls, mode)]);
+
+// execute() only accepts calls from the account itself, i.e. transactions the EOA sends to itself.
+// `format` picks the native execute(Call[]) or the ERC-7821 batch mode.
+const encodeExecute = (calls, { format = 'native' } = {}) => {
+  if (format === 'erc7821') return encodeERC7821Execute(calls);
+  if (format !== 'native') throw new Error(`Expected an execute format of ${EXECUTE_FORMATS.join(' or ')}, got ${JSON.stringify(format)}`);
+  return batchInterface.encodeFunctionData(NATIVE_EXECUTE, [calls.map(normalizeCall)]);
+};
+
+// executeAllowingFailures() is self-only too; calls whose allowFailure flag is set may fail without
+// reverting the batch
+const encodeExecuteAllowingFailures = (calls, allowFailure) => {
+  if (allowFailure.length !== calls.length) throw new Error(`Expected ${calls.length} allowFailure flags, got ${allowFailure.length}`);
+  return batchInterface.encodeFunctionData('executeAllowingFailures', [calls.map(normalizeCall), allowFailure.map(Boolean)]);
+};
+
+// executeWithSignature() accepts any caller, e.g. a gas payer, with the account's signed intent (see lib/intent.js)
+const encodeExecuteWithSignature = ({ calls, nonce, deadline }, signature) =>
+  batchInterface.encodeFunctionData('executeWithSignature', [calls.map(normalizeCall), nonce, deadline, signature]);
+
+module.exports = {
+  batchInterface,
+  normalizeCall,
+  NATIVE_EXECUTE,
+  ERC7821_EXECUTE,
+  ERC7821_MODES,
+  EXECUTE_FORMATS,
+  encodeExecutionData,
+  decodeExecutionData,
+  getBatchCalls,
+  encodeExecute,
+  encodeERC7821Execute,
+  encodeExecuteAllowingFailures,
+  encodeExecuteWithSignature
+};
@@ -0,0 +1,51 @@
+const { ethers } = require('ethers');
+
+// Payout reports of batches run through executeAllowingFailures, and the retry batches built from
+// them. A report keeps each call's batch file entry next to its outcome, so the failed calls can be
+// written back out as a batch file and resolved again (token decimals, deployments) when retried.
+const FAILURE_MODES = ['all', 'optional'];
+
+// allowFailure flags for `mode`: every call, or only the calls marked `optional` in the batch file
+const allowFailureFlags = (mode, optional) => {
+  if (!FAILURE_MODES.includes(mode)) throw new Error(`Expected a failure mode of ${FAILURE_MODES.join(' or ')}, got ${JSON.stringify(mode)}`);
+  if (mode === 'all') return optional.map(() => true);
+  if (!optional.includes(true)) throw new Error('No call of the batch is marked optional: true, so none may fail');
+  return [...optional];
+};
+
+// `entries` are the batch file entries of the calls, `results` the output of summarizeBatchResults
+const createBatchReport = ({ chainId, account, txHash, entries, labels, results }) => {
+  const calls = results.map(result => ({
+    index: result.index,
+    label: labels[result.index],
+    success: result.success,
+    reason: result.success ? null : result.revert.message,
+    returnData: result.returnData,
+    entry: entries[result.index]
+  }));
+  return {
+    chainId: ethers.toBigInt(chainId),
+    account: ethers.getAddress(account),
+    txHash,
+    succeeded: calls.filter(call => call.success).length,
+    failed: calls.filter(call => !call.success).length,
+    calls
+  };
+};
+
+// A batch file of the report's failed calls, in their original order
+const buildRetryBatch = (report) => {
+  if (!report || !Array.isArray(report.calls)) throw new Error('Invalid batch report: expected a "calls" list');
+  const failed = report.calls.filter(call => call.success === false);
+  if (failed.length === 0) throw new Error('Every call of the batch succeeded; there is nothing to retry');
+  const missing = failed.filter(call => !call.entry).map(call => call.index);
+  if (missing.length > 0) throw new Error(`The report has no batch entry for call${missing.length === 1 ? '' : 's'} ${missing.join(', ')}`);
+  return { calls: failed.map(call => call.entry) };
+};
+
+module.exports = {
+  FAILURE_MODES,
+  allowFailureFlags,
+  createBatchReport,
+  buildRetryBatch
+};
@@ -0,0 +1,78 @@
+const { ethers } = require('ethers');
+const { waitForTransaction } = require('./receipt');
+
+// Deterministic deployments through the keyless CREATE2 proxy of
+// https://github.com/Arachnid/deterministic-deployment-proxy, which lives at the same address on
+// every chain that accepted its presigned transaction. A contract deployed through it with the
+// same init code and salt gets the same address everywhere:
+//   keccak256(0xff ++ proxy ++ salt ++ keccak256(initCode))[12:]
+// The proxy is called with salt ++ initCode and returns the 20-byte address it created.
+const DETERMINISTIC_DEPLOYER = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+
+// The presigned transaction creating the proxy has no chainId (pre EIP-155), so it is valid on
+// every chain; its one-time signer must hold the gas first (100000 gas at 100 gwei)
+const DEPLOYER_SIGNER = '0x3fAB184622Dc19b6109349B94811493BF2a45362';
+const DEPLOYER_FUNDING = ethers.parseEther('0.01');
+const DEPLOYER_TRANSACTION = '0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222';
+
+const DEFAULT_SALT = ethers.ZeroHash;
+
+// 32-byte salts as given; anything else (e.g. "batch-v1") is hashed into one
+const toSalt = (value = DEFAULT_SALT) => (ethers.isHexString(value, 32) ? ethers.hexlify(value) : ethers.id(value));
+
+const getDeterministicAddress = (initCode, salt = DEFAULT_SALT) =>
+  ethers.getCreate2Address(DETERMINISTIC_DEPLOYER, toSalt(salt), ethers.keccak256(initCode));
+
+// Deploys the proxy on chains that do not have it yet, with `funder` paying its signer's gas.
+// Resolves with true when it was deployed now. Chains that refuse transactions without a chainId
+// cannot get the proxy this way.
+const ensureDeterministicDeployer = async (provider, funder, { log = console.log } = {}) => {
+  if ((await provider.getCode(DETERMINISTIC_DEPLOYER)) !== '0x') return false;
+
+  log(`No deterministic deployer at ${DETERMINISTIC_DEPLOYER}; deploying it`);
+  const balance = await provider.getBalance(DEPLOYER_SIGNER);
+  if (balance < DEPLOYER_FUNDING) {
+    await (await funder.sendTransaction({ to: DEPLOYER_SIGNER, value: DEPLOYER_FUNDING - balance })).wait();
+  }
+  let hash;
+  try {
+    hash = await provider.send('eth_sendRawTransaction', [DEPLOYER_TRANSACTION]);
+  } catch (error) {
+    throw new Error(`The node refused the deterministic deployer's presigned transaction (${error.shortMessage || error.message}); this chain cannot get it without a chainId-less transaction`);
+  }
+  await waitForTransaction(provider, hash, { sender: DEPLOYER_SIGNER, nonce: 0 });
+  if ((await provider.getCode(DETERMINISTIC_DEPLOYER)) === '0x') throw new Error(`The deterministic deployer was not created by ${hash}`);
+  return true;
+};
+
+// Deploys `initCode` (creation bytecode with encoded constructor arguments) with `salt` through
+// the proxy, unless the address already has code. Resolves with { address, deployed, txHash, receipt }.
+const deployDeterministic = async (provider, wallet, { initCode, salt = DEFAULT_SALT, log = console.log }) => {
+  const address = getDeterministicAddress(initCode, salt);
+  if ((await provider.getCode(address)) !== '0x') {
+    log(`${address} already has code; nothing to deploy`);
+    return { address, deployed: false, txHash: null, receipt: null };
+  }
+
+  await ensureDeterministicDeployer(provider, wallet, { log });
+  const tx = await wallet.sendTransaction({ to: DETERMINISTIC_DEPLOYER, data: ethers.concat([toSalt(salt), initCode]) });
+  log(`tx sent: ${tx.hash}`);
+  const receipt = await tx.wait();
+  // The proxy reverts when the creation fails, but a constructor can still leave no code behind
+  if (receipt.status !== 1 || (await provider.getCode(address)) === '0x') {
+    throw new Error(`Deterministic deployment to ${address} failed in ${tx.hash}`);
+  }
+  return { address, deployed: true, txHash: tx.hash, receipt };
+};
+
+module.exports = {
+  DETERMINISTIC_DEPLOYER,
+  DEPLOYER_SIGNER,
+  DEPLOYER_FUNDING,
+  DEPLOYER_TRANSACTION,
+  DEFAULT_SALT,
+  toSalt,
+  getDeterministicAddress,
+  ensureDeterministicDeployer,
+  deployDeterministic
+};
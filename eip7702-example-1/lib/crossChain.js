@@ -0,0 +1,58 @@
+const { ethers } = require('ethers');
+
+// An authorization signed for chainId 0 is valid on every chain: whoever holds it can submit it
+// wherever the account's nonce matches, and the account then runs whatever code is at the delegate
+// address on that chain. It is only safe with a delegate deployed at the same address with the
+// same code everywhere (see lib/create2.js), so the code is compared on every chain first.
+const ANY_CHAIN_ID = 0n;
+
+const ANY_CHAIN_WARNING = [
+  'WARNING: signing an authorization for chainId 0, which is valid on EVERY chain.',
+  '  Anyone who sees it can replay it on any chain where this account is at the same nonce,',
+  '  delegating the account to whatever code is at the delegate address on that chain.',
+  '  Only the chains checked below are known to have the expected code there.'
+].join('\n');
+
+// Code hash of `address` on each provider as [{ chainId, codeHash }] (null without code), one
+// entry per chain
+const compareCode = async (providers, address) => {
+  const seen = new Map();
+  for (const provider of providers) {
+    const { chainId } = await provider.getNetwork();
+    if (seen.has(chainId)) continue;
+    const code = await provider.getCode(address);
+    seen.set(chainId, code === '0x' ? null : ethers.keccak256(code));
+  }
+  const chains = [...seen].map(([chainId, codeHash]) => ({ chainId, codeHash }));
+  const identical = chains.every(({ codeHash }) => codeHash !== null && codeHash === chains[0].codeHash);
+  return { address: ethers.getAddress(address), identical, chains };
+};
+
+const formatCodeComparison = ({ address, identical, chains }) => [
+  `${address}: ${identical ? 'identical code' : 'code differs'} on chain${chains.length === 1 ? '' : 's'} ${chains.map(({ chainId }) => chainId).join(', ')}`,
+  ...(identical ? [] : chains.map(({ chainId, codeHash }) => `  chain ${chainId}: ${codeHash ?? 'no code'}`))
+].join('\n');
+
+// Refuses chainId 0 authorizations for `delegates` unless each has the same code on `provider` and
+// on every provider in `chains`. The zero address (a revocation) has no code to compare.
+const requireIdenticalCode = async (provider, chains, delegates, { log = console.log } = {}) => {
+  const addresses = [...new Set(delegates.map(ethers.getAddress))].filter(address => address !== ethers.ZeroAddress);
+  if (addresses.length === 0) return;
+  if (chains.length === 0) {
+    throw new Error('An authorization for chainId 0 needs the other chains it is meant for, to compare the delegate\'s code with');
+  }
+  for (const address of addresses) {
+    const comparison = await compareCode([provider, ...chains], address);
+    log(formatCodeComparison(comparison));
+    if (comparison.chains.length < 2) throw new Error(`The other chains given for ${address} are all the current chain`);
+    if (!comparison.identical) throw new Error(`Refusing an authorization for chainId 0: the code at ${address} is not the same on every chain`);
+  }
+};
+
+module.exports = {
+  ANY_CHAIN_ID,
+  ANY_CHAIN_WARNING,
+  compareCode,
+  formatCodeComparison,
+  requireIdenticalCode
+};
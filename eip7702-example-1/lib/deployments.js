@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+
+// Registry of deployed contracts: one deployments/<chainId>.json per chain, keyed by contract name
+// {
+//   "chainId": "11155111",
+//   "contracts": {
+//     "BatchCallDelegation": { address, deployer, txHash, blockNumber, constructorArgs, codeHash, network, deployedAt }
+//   }
+// }
+// Deterministic deployments (lib/create2.js) also record the CREATE2 `factory` and `salt`; their
+// deployer and txHash are null when the contract was already at its address.
+const registryPath = (chainId, dir) => path.join(dir, `${ethers.toBigInt(chainId)}.json`);
+
+// Files written before the registry existed, keyed by Hardhat network name. They are still
+// read so older deployments keep working, but nothing writes them any more.
+const LEGACY_FILES = [
+  { name: 'BatchCallDelegation', file: (network) => `${network}.json`, field: 'contractAddress' },
+  { name: 'AuthorizationERC20Delegation', file: (network) => `token-${network}.json`, field: 'address' }
+];
+
+const readRegistry = (chainId, dir = DEPLOYMENTS_DIR) => {
+  const filePath = registryPath(chainId, dir);
+  if (!fs.existsSync(filePath)) return { chainId: ethers.toBigInt(chainId).toString(), contracts: {} };
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const loadLegacyDeployments = (network, dir) => LEGACY_FILES
+  .map(({ name, file, field }) => {
+    const filePath = path.join(dir, file(network));
+    if (!fs.existsSync(filePath)) return null;
+    const info = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return info[field] ? { name, address: ethers.getAddress(info[field]), deployer: info.deployer, legacy: true } : null;
+  })
+  .filter(Boolean);
+
+// Known contracts on `chainId` as [{ name, address, ...record }]. When `network` is given, contracts
+// missing from the registry are looked up in the legacy per-network files (flagged `legacy: true`).
+const loadDeployments = (chainId, { network, dir = DEPLOYMENTS_DIR } = {}) => {
+  const { contracts } = readRegistry(chainId, dir);
+  const deployments = Object.entries(contracts)
+    .map(([name, record]) => ({ ...record, name, address: ethers.getAddress(record.address) }));
+  if (network) {
+    for (const legacy of loadLegacyDeployments(network, dir)) {
+      if (!deployments.some(deployment => deployment.name === legacy.name)) deployments.push(legacy);
+    }
+  }
+  return deployments;
+};
+
+// Records a deployment of `name` on `chainId`, replacing any previous one, and returns the registry file
+const saveDeployment = (chainId, name, {
+  address,
+  deployer,
+  txHash,
+  blockNumber,
+  constructorArgs = [],
+  codeHash,
+  network,
+  factory,
+  salt
+}, dir = DEPLOYMENTS_DIR) => {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const registry = readRegistry(chainId, dir);
+  registry.contracts[name] = {
+    address: ethers.getAddress(address),
+    deployer,
+    txHash,
+    blockNumber,
+    // BigInt constructor arguments are stored as decimal strings
+    constructorArgs: constructorArgs.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg)),
+    codeHash,
+    network,
+    ...(factory ? { factory, salt } : {}),
+    deployedAt: new Date().toISOString()
+  };
+
+  const filePath = registryPath(chainId, dir);
+  fs.writeFileSync(filePath, JSON.stringify(registry, null, 2));
+  return filePath;
+};
+
+const findDeployment = (deployments, address) => deployments.find(deployment => deployment.address === ethers.getAddress(address)) ?? null;
+
+// Zeroes the immutable values embedded in runtime code, as they are in the compiled artifact.
+// `immutableReferences` is solc's map of id => [{ start, length }].
+const maskImmutables = (code, immutableReferences = {}) => {
+  const bytes = ethers.getBytes(code);
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) bytes.fill(0, start, start + length);
+  }
+  return ethers.hexlify(bytes);
+};
+
+// Runtime code without the trailing CBOR metadata, whose length is given by the last two bytes
+const stripMetadata = (code) => {
+  const bytes = ethers.getBytes(code);
+  if (bytes.length < 2) return ethers.hexlify(bytes);
+  const length = (bytes[bytes.length - 2] << 8) + bytes[bytes.length - 1];
+  return length + 2 > bytes.length ? ethers.hexlify(bytes) : ethers.hexlify(bytes.slice(0, bytes.length - length - 2));
+};
+
+// Checks that the code at `address` is the compiled runtime bytecode of a Hardhat artifact.
+// status is one of:
+//   match              identical once immutables are masked
+//   metadata-mismatch  same executable code, different metadata hash (e.g. source comments changed)
+//   mismatch           different code
+//   no-code            nothing deployed at the address
+// When `codeHash` (from the registry) is given, `codeHashChanged` reports whether the code changed since.
+const verifyDeployment = async (provider, address, { deployedBytecode, immutableReferences }, { codeHash } = {}) => {
+  const code = await provider.getCode(address);
+  const actualHash = code === '0x' ? null : ethers.keccak256(code);
+  const codeHashChanged = Boolean(codeHash) && codeHash !== actualHash;
+
+  let status;
+  if (code === '0x') {
+    status = 'no-code';
+  } else {
+    const onChain = maskImmutables(code, immutableReferences);
+    const compiled = ethers.hexlify(deployedBytecode);
+    if (onChain === compiled) status = 'match';
+    else if (stripMetadata(onChain) === stripMetadata(compiled)) status = 'metadata-mismatch';
+    else status = 'mismatch';
+  }
+
+  return {
+    address: ethers.getAddress(address),
+    status,
+    verified: status === 'match' || status === 'metadata-mismatch',
+    codeHash: actualHash,
+    codeHashChanged
+  };
+};
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  readRegistry,
+  loadDeployments,
+  saveDeployment,
+  findDeployment,
+  verifyDeployment
+};
@@ -0,0 +1,143 @@
+const { ethers } = require('ethers');
+const { recoverAuthority } = require('./eip7702');
+
+// Intrinsic gas (EIP-2028, EIP-2930, EIP-7623, EIP-7702)
+const TX_BASE_COST = 21000n;
+const TX_DATA_ZERO_COST = 4n;
+const TX_DATA_NON_ZERO_COST = 16n;
+const TX_FLOOR_COST_PER_TOKEN = 10n;
+const ACCESS_LIST_ADDRESS_COST = 2400n;
+const ACCESS_LIST_STORAGE_KEY_COST = 1900n;
+const PER_EMPTY_ACCOUNT_COST = 25000n; // charged per authorization, partially refunded for existing accounts
+const COLD_ACCOUNT_READ_COST = 2600n; // loading the delegate's code when calling a delegated account
+
+const DEFAULT_MARGIN_PERCENT = 20n;
+
+const calldataTokens = (data) => {
+  let tokens = 0n;
+  for (const byte of ethers.getBytes(data ?? '0x')) tokens += byte === 0 ? 1n : 4n;
+  return tokens;
+};
+
+const getIntrinsicGas = ({ data, accessList = [], authorizationList = [] }) => {
+  let gas = TX_BASE_COST;
+  for (const byte of ethers.getBytes(data ?? '0x')) gas += byte === 0 ? TX_DATA_ZERO_COST : TX_DATA_NON_ZERO_COST;
+  for (const { storageKeys } of accessList) {
+    gas += ACCESS_LIST_ADDRESS_COST + ACCESS_LIST_STORAGE_KEY_COST * BigInt(storageKeys.length);
+  }
+  return gas + PER_EMPTY_ACCOUNT_COST * BigInt(authorizationList.length);
+};
+
+// EIP-7623: the gas limit must also cover the calldata floor price
+const getFloorGas = ({ data }) => TX_BASE_COST + TX_FLOOR_COST_PER_TOKEN * calldataTokens(data);
+
+const applyMargin = (gas, marginPercent = DEFAULT_MARGIN_PERCENT) => gas * (100n + ethers.toBigInt(marginPercent)) / 100n;
+
+const toRpcAuthorization = (authorization) => ({
+  chainId: ethers.toQuantity(authorization.chainId),
+  address: authorization.address,
+  nonce: ethers.toQuantity(authorization.nonce),
+  yParity: ethers.toQuantity(authorization.yParity),
+  r: authorization.r,
+  s: authorization.s
+});
+
+const toRpcRequest = ({ from, to, value, data, accessList }) => ({
+  from,
+  to,
+  value: ethers.toQuantity(value ?? 0),
+  data: data ?? '0x',
+  ...(accessList && accessList.length > 0 ? { accessList } : {})
+});
+
+// EIP-7825 per-transaction gas cap (2^24)
+const MAX_TRANSACTION_GAS = 16777216n;
+
+const isRevert = (error) => {
+  const message = `${error.shortMessage || ''} ${error.message || ''} ${error.error?.message || ''}`;
+  return error.code === 'CALL_EXCEPTION' || error.error?.code === 3 || /revert/i.test(message);
+};
+
+// Marked, so callers can tell a transaction that would revert from a node that cannot estimate
+const revertedEstimation = (error) =>
+  Object.assign(new Error(`Gas estimation reverted: ${error.shortMessage || error.message}`), { reverted: true });
+
+// Code each authority will have once the list is applied (last entry per authority wins).
+// Entries not signed yet name their signer as `authority`.
+const getDelegatedCode = async (provider, authorizationList) => {
+  const delegates = new Map();
+  for (const authorization of authorizationList) {
+    delegates.set(authorization.r === undefined ? ethers.getAddress(authorization.authority) : recoverAuthority(authorization), authorization.address);
+  }
+  const overrides = {};
+  for (const [authority, delegate] of delegates) {
+    overrides[authority] = { code: delegate === ethers.ZeroAddress ? '0x' : await provider.getCode(delegate) };
+  }
+  return overrides;
+};
+
+// Estimates the gas limit of a type 0x04 transaction. `request` holds from, to, value, data,
+// accessList and the authorizationList, whose entries are signed authorizations or, before they
+// are signed (e.g. offline), { authority, address } pairs that only allow estimate (2).
+// 1. eth_estimateGas with the authorization list, when the node understands it
+// 2. otherwise eth_estimateGas with each authority's code overridden by its delegate's code,
+//    plus the EIP-7702 intrinsic cost of every authorization
+// A node that silently drops the authorizationList field returns less than the intrinsic cost
+// of the list, which is how (1) falls through to (2).
+const estimateSetCodeGas = async (provider, request, { marginPercent = DEFAULT_MARGIN_PERCENT } = {}) => {
+  const authorizationList = request.authorizationList ?? [];
+  const intrinsic = getIntrinsicGas({ ...request, authorizationList });
+  const floor = getFloorGas(request);
+  const rpcRequest = toRpcRequest(request);
+
+  let estimate = null;
+  let method = 'eth_estimateGas';
+  // Unsigned entries cannot be sent to the node, so they go straight to the state override
+  if (!authorizationList.some(authorization => authorization.r === undefined)) {
+    try {
+      // An empty list would make the node estimate an invalid type 0x04 transaction
+      const result = ethers.toBigInt(await provider.send('eth_estimateGas', [
+        authorizationList.length > 0 ? { ...rpcRequest, authorizationList: authorizationList.map(toRpcAuthorization) } : rpcRequest
+      ]));
+      if (result >= intrinsic) estimate = result;
+    } catch (error) {
+      if (isRevert(error)) throw revertedEstimation(error);
+    }
+  }
+
+  if (estimate === null) {
+    method = 'stateOverride';
+    const overrides = await getDelegatedCode(provider, authorizationList);
+    let simulated;
+    try {
+      simulated = ethers.toBigInt(await provider.send('eth_estimateGas', [rpcRequest, 'latest', overrides]));
+    } catch (error) {
+      if (isRevert(error)) throw revertedEstimation(error);
+      throw new Error(`Node supports neither authorization lists nor state overrides in eth_estimateGas: ${error.shortMessage || error.message}`);
+    }
+    const delegatedTarget = overrides[ethers.getAddress(request.to)]?.code.length > 2;
+    estimate = simulated
+      + PER_EMPTY_ACCOUNT_COST * BigInt(authorizationList.length)
+      + (delegatedTarget ? COLD_ACCOUNT_READ_COST : 0n);
+  }
+
+  const withMargin = applyMargin(estimate, marginPercent);
+  return {
+    gasLimit: withMargin > floor ? withMargin : floor,
+    estimate,
+    intrinsic,
+    method
+  };
+};
+
+module.exports = {
+  PER_EMPTY_ACCOUNT_COST,
+  MAX_TRANSACTION_GAS,
+  DEFAULT_MARGIN_PERCENT,
+  getIntrinsicGas,
+  getFloorGas,
+  applyMargin,
+  toRpcAuthorization,
+  getDelegatedCode,
+  estimateSetCodeGas
+};
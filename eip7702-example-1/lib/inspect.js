@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+const { parseSetCodeTransaction, recoverSender, recoverAuthority } = require('./eip7702');
+const { batchInterface, ERC7821_EXECUTE, getBatchCalls } = require('./batchCallDelegation');
+const { tokenInterface } = require('./token');
+
+// Interfaces tried in order when decoding calldata
+const knownInterfaces = [
+  { name: 'BatchCallDelegation', iface: batchInterface },
+  { name: 'ERC20', iface: tokenInterface }
+];
+
+const toPlainArgs = (fragment, args) => Object.fromEntries(
+  fragment.inputs.map((input, i) => [input.name || `arg${i}`, args[i]])
+);
+
+// Decodes calldata, descending into the calls of BatchCallDelegation's execute functions
+const decodeCall = ({ to, value = 0n, data }) => {
+  const call = { to, value: ethers.toBigInt(value), data };
+  if (!data || data === '0x') return { ...call, kind: 'transfer' };
+
+  for (const { name, iface } of knownInterfaces) {
+    let parsed = null;
+    try {
+      parsed = iface.parseTransaction({ data });
+    } catch (error) {
+      // Selector matched but the arguments do not decode; treat as unknown
+    }
+    if (!parsed) continue;
+
+    const decoded = { ...call, kind: 'call', contract: name, function: parsed.signature };
+    const calls = name === 'BatchCallDelegation' ? getBatchCalls(parsed) : null;
+    if (calls) {
+      decoded.calls = calls.map((inner, index) => ({
+        index,
+        ...decodeCall({ to: inner.to, value: inner.value, data: inner.data })
+      }));
+      if (parsed.signature === ERC7821_EXECUTE) decoded.mode = parsed.args.mode;
+      if (parsed.name === 'executeWithSignature') {
+        decoded.intent = { nonce: parsed.args.nonce, deadline: parsed.args.deadline, signature: parsed.args.signature };
+      }
+      if (parsed.name === 'executeAllowingFailures') {
+        decoded.calls.forEach((inner, index) => { inner.allowFailure = parsed.args.allowFailure[index]; });
+      }
+    } else {
+      decoded.args = toPlainArgs(parsed.fragment, parsed.args);
+    }
+    return decoded;
+  }
+  return { ...call, kind: 'unknown', selector: ethers.dataSlice(data, 0, 4) };
+};
+
+const tryRecover = (recover) => {
+  try {
+    return { address: recover(), error: null };
+  } catch (error) {
+    return { address: null, error: error.shortMessage || error.message };
+  }
+};
+
+const inspectSetCodeTransaction = (raw) => {
+  const tx = parseSetCodeTransaction(raw);
+  const sender = tx.signature ? tryRecover(() => recoverSender(tx)) : { address: null, error: 'unsigned' };
+
+  return {
+    type: 4,
+    hash: tx.hash ?? null,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    from: sender.address,
+    fromError: sender.error,
+    to: tx.to,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+    maxFeePerGas: tx.maxFeePerGas,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    accessList: tx.accessList,
+    authorizations: tx.authorizationList.map((authorization, index) => {
+      const authority = tryRecover(() => recoverAuthority(authorization));
+      return {
+        index,
+        ...authorization,
+        authority: authority.address,
+        authorityError: authority.error
+      };
+    }),
+    call: decodeCall({ to: tx.to, value: tx.value, data: tx.data })
+  };
+};
+
+// --- Output ---
+
+const toJson = (report) => JSON.stringify(
+  report,
+  (key, value) => (typeof value === 'bigint' ? value.toString() : value),
+  2
+);
+
+const formatArgs = (args) => Object.entries(args)
+  .map(([name, value]) => `${name}=${typeof value === 'bigint' ? value.toString() : value}`)
+  .join(', ');
+
+const formatCall = (call, indent) => {
+  const pad = ' '.repeat(indent);
+  const value = call.value > 0n ? ` value=${ethers.formatEther(call.value)} ETH` : '';
+  if (call.kind === 'transfer') return [`${pad}ETH transfer to ${call.to}${value}`];
+  if (call.kind === 'unknown') return [`${pad}Unknown call ${call.selector} on ${call.to}${value} (${ethers.dataLength(call.data)} bytes)`];
+
+  const lines = [`${pad}${call.contract}.${call.function} on ${call.to}${value}`];
+  if (call.calls) {
+    for (const inner of call.calls) {
+      lines.push(`${pad}  [${inner.index}]${inner.allowFailure ? ' (may fail)' : ''}`, ...formatCall(inner, indent + 4));
+    }
+  } else if (Object.keys(call.args).length > 0) {
+    lines.push(`${pad}  ${formatArgs(call.args)}`);
+  }
+  return lines;
+};
+
+const formatInspection = (report) => {
+  const lines = [
+    `Type          : 0x04 (EIP-7702 set code)`,
+    `Hash          : ${report.hash ?? '(unsigned)'}`,
+    `Chain ID      : ${report.chainId}`,
+    `From          : ${report.from ?? `(unrecoverable: ${report.fromError})`}`,
+    `Nonce         : ${report.nonce}`,
+    `To            : ${report.to}`,
+    `Value         : ${ethers.formatEther(report.value)} ETH`,
+    `Gas limit     : ${report.gasLimit}`,
+    `Max fee       : ${ethers.formatUnits(report.maxFeePerGas, 'gwei')} gwei`,
+    `Priority fee  : ${ethers.formatUnits(report.maxPriorityFeePerGas, 'gwei')} gwei`,
+    `Access list   : ${report.accessList.length} entr${report.accessList.length === 1 ? 'y' : 'ies'}`,
+    `Authorizations: ${report.authorizations.length}`
+  ];
+
+  for (const authorization of report.authorizations) {
+    lines.push(
+      `  [${authorization.index}] authority ${authorization.authority ?? `(unrecoverable: ${authorization.authorityError})`}`,
+      `      delegate ${authorization.address}${authorization.address === ethers.ZeroAddress ? ' (revoke)' : ''}`,
+      `      chainId ${authorization.chainId}${authorization.chainId === 0n ? ' (any chain)' : ''}, nonce ${authorization.nonce}`
+    );
+  }
+
+  lines.push('Call:', ...formatCall(report.call, 2));
+  return lines.join('\n');
+};
+
+module.exports = {
+  decodeCall,
+  inspectSetCodeTransaction,
+  formatInspection,
+  toJson
+};
@@ -0,0 +1,82 @@
+const { ethers } = require('ethers');
+const { normalizeCall } = require('./batchCallDelegation');
+const { signAuthorization } = require('./eip7702');
+const { parseDelegationDesignator } = require('./delegation');
+
+// EIP-712 batch intent: the account owner's consent to run `calls` through its delegated
+// BatchCallDelegation. executeWithSignature() checks it on-chain, so any gas payer may submit it.
+// The domain is bound to the account itself, so an intent cannot be replayed for another EOA;
+// each nonce runs once, and the account can burn one early with invalidateNonce().
+const BATCH_INTENT_TYPES = {
+  Execute: [
+    { name: 'calls', type: 'Call[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  Call: [
+    { name: 'data', type: 'bytes' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' }
+  ]
+};
+
+const getIntentDomain = (chainId, account) => ({
+  name: 'BatchCallDelegation',
+  version: '1',
+  chainId,
+  verifyingContract: ethers.getAddress(account)
+});
+
+const toIntentMessage = ({ calls, nonce, deadline }) => ({
+  calls: calls.map(normalizeCall),
+  nonce: ethers.toBigInt(nonce),
+  deadline: ethers.toBigInt(deadline)
+});
+
+const getIntentHash = (chainId, intent) =>
+  ethers.TypedDataEncoder.hash(getIntentDomain(chainId, intent.account), BATCH_INTENT_TYPES, toIntentMessage(intent));
+
+// Signs { calls, nonce, deadline } for `wallet`'s own account and returns the signature
+const signBatchIntent = (wallet, chainId, intent) =>
+  wallet.signTypedData(getIntentDomain(chainId, wallet.address), BATCH_INTENT_TYPES, toIntentMessage(intent));
+
+const recoverIntentSigner = (chainId, intent, signature) =>
+  ethers.verifyTypedData(getIntentDomain(chainId, intent.account), BATCH_INTENT_TYPES, toIntentMessage(intent), signature);
+
+// Signs `calls` for `wallet`'s account on the connected chain and returns { intent, signature }.
+// The nonce defaults to 32 random bytes, like EIP-3009 nonces, so intents need no ordering.
+const createSignedIntent = async (provider, wallet, {
+  calls,
+  deadline,
+  nonce = ethers.toBigInt(ethers.randomBytes(32))
+}) => {
+  const { chainId } = await provider.getNetwork();
+  const intent = { account: wallet.address, calls: calls.map(normalizeCall), nonce: ethers.toBigInt(nonce), deadline: ethers.toBigInt(deadline) };
+  return { intent, signature: await signBatchIntent(wallet, chainId, intent) };
+};
+
+// Everything a gasless account sends to the relayer: the intent, its signature and, unless the
+// account already delegates to `delegate`, an authorization for the relayer to include.
+// The relayer sends the transaction, so the authorization nonce is the account's own nonce.
+const createRelayRequest = async (provider, wallet, { delegate, calls, deadline, nonce }) => {
+  const { chainId } = await provider.getNetwork();
+  const { intent, signature } = await createSignedIntent(provider, wallet, { calls, deadline, nonce });
+
+  let authorization = null;
+  if (parseDelegationDesignator(await provider.getCode(wallet.address)) !== ethers.getAddress(delegate)) {
+    const accountNonce = await provider.getTransactionCount(wallet.address);
+    authorization = await signAuthorization({ chainId, address: delegate, nonce: accountNonce }, wallet);
+  }
+
+  return { intent, signature, authorization };
+};
+
+module.exports = {
+  BATCH_INTENT_TYPES,
+  getIntentDomain,
+  getIntentHash,
+  signBatchIntent,
+  recoverIntentSigner,
+  createSignedIntent,
+  createRelayRequest
+};
@@ -0,0 +1,116 @@
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_INITIAL_INTERVAL_MS = 2000;
+const DEFAULT_MAX_INTERVAL_MS = 30000;
+const DEFAULT_BACKOFF_FACTOR = 1.5;
+const DEFAULT_DROP_AFTER_POLLS = 5;
+
+// Process exit codes so CI can tell the outcomes apart
+const EXIT_CODES = {
+  timeout: 2,
+  dropped: 3,
+  replaced: 4
+};
+
+class TransactionWaitError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'TransactionWaitError';
+    this.status = status;
+    this.exitCode = EXIT_CODES[status] ?? 1;
+    Object.assign(this, details);
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A NaN timeout or confirmation count is never reached, so a wait on it would never end
+const requirePositiveInteger = (value, name, raw = value) => {
+  if (!Number.isSafeInteger(value) || value < 1) throw new Error(`${name} must be a whole number of at least 1, got ${raw}`);
+  return value;
+};
+
+// RECEIPT_TIMEOUT_SECONDS and CONFIRMATIONS, as used by the scripts
+const receiptOptionsFromEnv = (env = process.env) => {
+  const read = (name, fallback) => (env[name] ? requirePositiveInteger(Number(env[name]), name, env[name]) : fallback);
+  return {
+    timeoutMs: read('RECEIPT_TIMEOUT_SECONDS', DEFAULT_TIMEOUT_MS / 1000) * 1000,
+    confirmations: read('CONFIRMATIONS', 1)
+  };
+};
+
+// Polls for the receipt of `txHash` with exponential backoff and resolves once it has
+// `confirmations` blocks. Rejects with a TransactionWaitError when:
+// - timeout:  no receipt within `timeoutMs`
+// - replaced: `sender`'s `nonce` was consumed by another transaction
+// - dropped:  the node no longer knows the transaction and the nonce is still unused
+// The receipt is returned whatever its status; callers decide how to treat reverts.
+const waitForTransaction = async (provider, txHash, {
+  sender,
+  nonce,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  confirmations = 1,
+  initialIntervalMs = DEFAULT_INITIAL_INTERVAL_MS,
+  maxIntervalMs = DEFAULT_MAX_INTERVAL_MS,
+  backoffFactor = DEFAULT_BACKOFF_FACTOR,
+  dropAfterPolls = DEFAULT_DROP_AFTER_POLLS,
+  onPoll = () => {}
+} = {}) => {
+  if (!(timeoutMs > 0) || !Number.isFinite(timeoutMs)) throw new Error(`timeoutMs must be a positive number, got ${timeoutMs}`);
+  requirePositiveInteger(confirmations, 'confirmations');
+  const deadline = Date.now() + timeoutMs;
+  const trackNonce = sender !== undefined && nonce !== undefined;
+  let interval = initialIntervalMs;
+  let missingPolls = 0;
+  let attempt = 0;
+
+  while (true) {
+    attempt += 1;
+    const receipt = await provider.getTransactionReceipt(txHash);
+
+    if (receipt) {
+      const latestBlock = await provider.getBlockNumber();
+      const confirmed = latestBlock - receipt.blockNumber + 1;
+      if (confirmed >= confirmations) return receipt;
+      onPoll({ attempt, state: 'confirming', confirmations: confirmed });
+    } else {
+      if (trackNonce) {
+        const accountNonce = await provider.getTransactionCount(sender, 'latest');
+        if (BigInt(accountNonce) > BigInt(nonce)) {
+          // The nonce moved on; check once more in case our receipt just landed
+          const lateReceipt = await provider.getTransactionReceipt(txHash);
+          if (!lateReceipt) {
+            throw new TransactionWaitError('replaced',
+              `Transaction ${txHash} was replaced: nonce ${nonce} of ${sender} was consumed by another transaction`,
+              { txHash, sender, nonce });
+          }
+          continue;
+        }
+      }
+
+      const pending = await provider.getTransaction(txHash);
+      missingPolls = pending ? 0 : missingPolls + 1;
+      if (missingPolls >= dropAfterPolls) {
+        throw new TransactionWaitError('dropped',
+          `Transaction ${txHash} was dropped: the node has not known it for ${missingPolls} polls`,
+          { txHash, sender, nonce });
+      }
+      onPoll({ attempt, state: pending ? 'pending' : 'unknown' });
+    }
+
+    if (Date.now() + interval > deadline) {
+      throw new TransactionWaitError('timeout',
+        `Timed out after ${Math.round(timeoutMs / 1000)}s waiting for transaction ${txHash}`,
+        { txHash, sender, nonce });
+    }
+    await sleep(interval);
+    interval = Math.min(Math.round(interval * backoffFactor), maxIntervalMs);
+  }
+};
+
+module.exports = {
+  EXIT_CODES,
+  TransactionWaitError,
+  requirePositiveInteger,
+  receiptOptionsFromEnv,
+  waitForTransaction
+};
@@ -0,0 +1,372 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { recoverAuthority, buildSetCodeTransaction, signSetCodeTransaction } = require('./eip7702');
+const { encodeExecuteWithSignature, normalizeCall } = require('./batchCallDelegation');
+const { estimateSetCodeGas } = require('./gas');
+const { getFees, requireAffordable } = require('./fees');
+const { sendJournaled, trackJournaled } = require('./journal');
+const { diagnoseBatchFailure } = require('./diagnostics');
+const { parseDelegationDesignator } = require('./delegation');
+const { getIntentHash, recoverIntentSigner } = require('./intent');
+const { ANY_CHAIN_ID, requireIdenticalCode } = require('./crossChain');
+const { toJson } = require('./inspect');
+const { AuthorizationError, validateAuthorizations } = require('./validation');
+
+// Limits applied per sending account over a sliding window
+const DEFAULT_POLICY = {
+  windowMs: 60 * 60 * 1000,
+  maxRequestsPerWindow: 10,
+  maxGasCostPerWindow: ethers.parseEther('0.05'), // worst-case gas cost (gasLimit * maxFeePerGas) the relayer pays
+  maxCalls: 10,
+  maxDeadlineSeconds: 3600
+};
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Statuses after which a relay no longer changes
+const FINAL_STATUSES = ['mined', 'failed', 'timeout', 'dropped', 'replaced'];
+
+// Rejections carry the HTTP status returned to the client
+class RelayError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'RelayError';
+    this.statusCode = statusCode;
+  }
+}
+
+const parseRelayRequest = (body) => {
+  try {
+    const { intent, signature, authorization } = body;
+    if (!Array.isArray(intent.calls) || intent.calls.length === 0) throw new Error('intent.calls must be a non-empty list');
+    return {
+      intent: {
+        account: ethers.getAddress(intent.account),
+        calls: intent.calls.map(normalizeCall),
+        nonce: ethers.toBigInt(intent.nonce),
+        deadline: ethers.toBigInt(intent.deadline)
+      },
+      signature: ethers.hexlify(signature),
+      authorization: authorization ? {
+        chainId: ethers.toBigInt(authorization.chainId),
+        address: ethers.getAddress(authorization.address),
+        nonce: ethers.toBigInt(authorization.nonce),
+        yParity: Number(authorization.yParity),
+        r: ethers.toBeHex(authorization.r, 32),
+        s: ethers.toBeHex(authorization.s, 32)
+      } : null
+    };
+  } catch (error) {
+    throw new RelayError(400, `Malformed relay request: ${error.shortMessage || error.message}`);
+  }
+};
+
+// Sliding-window request and spend accounting per account
+const createPolicyTracker = (policy) => {
+  const usage = new Map();
+  const recent = (account, now) => (usage.get(account) ?? []).filter(entry => entry.time > now - policy.windowMs);
+
+  return {
+    // Checks and counts the request in one synchronous step, so concurrent requests of an account
+    // all see each other. Returns a function that gives the request back if it is not sent.
+    reserve(account, gasCost) {
+      const now = Date.now();
+      const entries = recent(account, now);
+      if (entries.length >= policy.maxRequestsPerWindow) {
+        throw new RelayError(429, `${account} reached ${policy.maxRequestsPerWindow} requests per ${policy.windowMs / 1000}s`);
+      }
+      const spent = entries.reduce((total, entry) => total + entry.gasCost, 0n);
+      if (spent + gasCost > policy.maxGasCostPerWindow) {
+        throw new RelayError(429, `${account} would exceed its gas budget of ${ethers.formatEther(policy.maxGasCostPerWindow)} ETH per ${policy.windowMs / 1000}s`);
+      }
+      const entry = { time: now, gasCost };
+      usage.set(account, [...entries, entry]);
+      return () => usage.set(account, (usage.get(account) ?? []).filter(other => other !== entry));
+    }
+  };
+};
+
+// Sponsors BatchCallDelegation batches for accounts without ETH. A request carries a signed
+// batch intent (see lib/intent.js) and, for accounts not yet delegated to `delegate`, a signed
+// authorization. It is validated and simulated before `gasPayer` signs and sends the transaction
+// (type 0x04 when it carries the authorization); the receipt is then awaited in the background
+// and exposed through getStatus. A `journal` records every transaction the relayer sends.
+// Authorizations for chainId 0 are only sponsored when the delegate has the same code on every
+// provider in `chains` (see lib/crossChain.js).
+const createRelayer = (provider, {
+  gasPayer,
+  delegate,
+  policy = {},
+  chains = [],
+  marginPercent,
+  fees: feeOptions = {},
+  receiptOptions = {},
+  journal,
+  log = console.log
+}) => {
+  const limits = { ...DEFAULT_POLICY, ...policy };
+  const tracker = createPolicyTracker(limits);
+  const delegateAddress = ethers.getAddress(delegate);
+  const records = new Map();
+  const settled = new Map();
+  const claimed = new Set(); // intents being validated, so concurrent duplicates are refused
+  let sending = Promise.resolve();
+  // Compared once: deployed code does not change, only a failed comparison is tried again
+  let identicalCode = null;
+
+  const requireAnyChainDelegate = () => {
+    if (!identicalCode) {
+      identicalCode = requireIdenticalCode(provider, chains, [delegateAddress], { log }).catch((error) => {
+        identicalCode = null;
+        throw new RelayError(400, `Authorization is for chainId 0: ${error.message}`);
+      });
+    }
+    return identicalCode;
+  };
+
+  const validate = async ({ intent, signature, authorization }, chainId) => {
+    if (intent.calls.length > limits.maxCalls) throw new RelayError(400, `At most ${limits.maxCalls} calls per batch`);
+    let signer;
+    try {
+      signer = recoverIntentSigner(chainId, intent, signature);
+    } catch (error) {
+      throw new RelayError(400, 'Intent signature is malformed');
+    }
+    if (signer !== intent.account) throw new RelayError(401, `Intent is signed by ${signer}, not by ${intent.account}`);
+
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (intent.deadline <= now) throw new RelayError(400, 'Intent deadline has passed');
+    if (intent.deadline > now + BigInt(limits.maxDeadlineSeconds)) {
+      throw new RelayError(400, `Intent deadline is more than ${limits.maxDeadlineSeconds}s away`);
+    }
+
+    if (authorization) {
+      let authority;
+      try {
+        authority = recoverAuthority(authorization);
+      } catch (error) {
+        throw new RelayError(400, 'Authorization signature is malformed');
+      }
+      if (authority !== intent.account) throw new RelayError(401, 'Authorization is not signed by the intent account');
+      if (authorization.address !== delegateAddress) throw new RelayError(400, `Authorization must delegate to ${delegateAddress}`);
+      if (authorization.chainId === ANY_CHAIN_ID) await requireAnyChainDelegate();
+      // Chain, nonce, signature and account state; the relayer sends the transaction, so the
+      // account's own nonce is the one the node expects
+      try {
+        await validateAuthorizations(provider, [authorization], { sender: gasPayer.address });
+      } catch (error) {
+        if (error instanceof AuthorizationError) throw new RelayError(400, `Authorization rejected: ${error.problems[0].message}`);
+        throw error;
+      }
+    } else if (parseDelegationDesignator(await provider.getCode(intent.account)) !== delegateAddress) {
+      throw new RelayError(400, `${intent.account} does not delegate to ${delegateAddress}; include an authorization`);
+    }
+  };
+
+  const simulate = async ({ intent, signature, authorization }) => {
+    const request = {
+      from: gasPayer.address,
+      to: intent.account,
+      data: encodeExecuteWithSignature(intent, signature),
+      authorizationList: authorization ? [authorization] : []
+    };
+    try {
+      const { gasLimit } = await estimateSetCodeGas(provider, request, { marginPercent });
+      return { request, gasLimit };
+    } catch (error) {
+      const failure = await diagnoseBatchFailure(provider, request).catch(() => null);
+      throw new RelayError(422, `Simulation failed: ${failure?.message ?? error.message}`);
+    }
+  };
+
+  const track = async (record, txHash, nonce, request) => {
+    try {
+      const receipt = await trackJournaled(provider, journal, txHash, { sender: gasPayer.address, nonce, receiptOptions });
+      record.blockNumber = receipt.blockNumber;
+      record.gasUsed = receipt.gasUsed;
+      if (receipt.status === 1) {
+        record.status = 'mined';
+      } else {
+        const failure = await diagnoseBatchFailure(provider, { ...request, blockTag: receipt.blockNumber - 1 }).catch(() => null);
+        record.status = 'failed';
+        record.error = failure?.message ?? 'Transaction reverted';
+      }
+    } catch (error) {
+      record.status = error.status ?? 'failed'; // timeout, dropped or replaced
+      record.error = error.message;
+    }
+    record.updatedAt = new Date().toISOString();
+    log(`Relay ${record.id}: ${record.status}`);
+  };
+
+  // Validates, simulates and sends one relay request; resolves once the transaction is sent
+  const submit = async (body) => {
+    const parsed = parseRelayRequest(body);
+    const { chainId } = await provider.getNetwork();
+    const id = getIntentHash(chainId, parsed.intent);
+    if (records.has(id) || claimed.has(id)) throw new RelayError(409, `Intent ${id} was already submitted`);
+
+    claimed.add(id);
+    let record, request, gasLimit, fees, release;
+    try {
+      await validate(parsed, chainId);
+      ({ request, gasLimit } = await simulate(parsed));
+      fees = await getFees(provider, feeOptions);
+      release = tracker.reserve(parsed.intent.account, gasLimit * fees.maxFeePerGas);
+      try {
+        await requireAffordable(provider, { from: gasPayer.address, gasLimit, maxFeePerGas: fees.maxFeePerGas }, feeOptions);
+      } catch (error) {
+        release();
+        throw new RelayError(503, `The relayer cannot pay for this transaction: ${error.message}`);
+      }
+
+      record = {
+        id,
+        account: parsed.intent.account,
+        calls: parsed.intent.calls.length,
+        status: 'pending',
+        txHash: null,
+        createdAt: new Date().toISOString()
+      };
+      records.set(id, record);
+    } finally {
+      claimed.delete(id);
+    }
+
+    // One transaction at a time so the gas payer's nonces do not collide
+    const send = sending.then(async () => {
+      const nonce = await provider.getTransactionCount(gasPayer.address, 'pending');
+      const fields = {
+        chainId,
+        nonce,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        maxFeePerGas: fees.maxFeePerGas,
+        gasLimit,
+        to: request.to,
+        data: request.data
+      };
+      // Accounts that already delegate need no authorization, and type 0x04 requires at least one
+      const signed = request.authorizationList.length > 0
+        ? await signSetCodeTransaction(buildSetCodeTransaction({ ...fields, authorizationList: request.authorizationList }), gasPayer)
+        : await gasPayer.signTransaction({ ...fields, type: 2 });
+      const txHash = await sendJournaled(provider, journal, signed, { kind: 'relay', strategy: fees.strategy });
+      return { txHash, nonce };
+    });
+    sending = send.catch(() => {});
+
+    try {
+      const { txHash, nonce } = await send;
+      record.status = 'submitted';
+      record.txHash = txHash;
+      log(`Relay ${id}: sent ${txHash} for ${record.account}`);
+      settled.set(id, track(record, txHash, nonce, request));
+    } catch (error) {
+      // Nothing reached the chain, so the same intent may be submitted again and costs nothing
+      records.delete(id);
+      release();
+      throw new RelayError(502, `Could not send the transaction: ${error.shortMessage || error.message}`);
+    }
+    return { ...record };
+  };
+
+  const getStatus = (id) => (records.has(id) ? { ...records.get(id) } : null);
+
+  // Resolves with the final status once the receipt of `id` was processed
+  const waitForRelay = async (id) => {
+    await settled.get(id);
+    return getStatus(id);
+  };
+
+  const sendJson = (res, statusCode, payload) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(toJson(payload));
+  };
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const collect = (chunk) => {
+      size += chunk.byteLength;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+        return;
+      }
+      // Stop reading: the client would otherwise go on uploading into memory
+      req.off('data', collect);
+      reject(new RelayError(413, 'Request body too large'));
+      req.destroy();
+    };
+    req.on('data', collect);
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new RelayError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+  // POST /relay          submit a relay request, answers 202 with its id and transaction hash
+  // GET  /relay/<id>     status of a request: pending, submitted, mined, failed, timeout, dropped, replaced
+  // GET  /info           gas payer, delegate and policy of this relayer
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://relayer');
+    try {
+      if (req.method === 'POST' && url.pathname === '/relay') {
+        return sendJson(res, 202, await submit(await readBody(req)));
+      }
+      const match = url.pathname.match(/^\/relay\/(0x[0-9a-fA-F]{64})$/);
+      if (req.method === 'GET' && match) {
+        const status = getStatus(match[1].toLowerCase());
+        return status ? sendJson(res, 200, status) : sendJson(res, 404, { error: `Unknown relay ${match[1]}` });
+      }
+      if (req.method === 'GET' && url.pathname === '/info') {
+        return sendJson(res, 200, { gasPayer: gasPayer.address, delegate: delegateAddress, policy: limits });
+      }
+      return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    } catch (error) {
+      if (error instanceof RelayError) return sendJson(res, error.statusCode, { error: error.message });
+      log(`Relay error: ${error.stack || error.message}`);
+      return sendJson(res, 500, { error: 'Internal relayer error' });
+    }
+  };
+
+  const listen = (port, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    const server = http.createServer(handleRequest);
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+
+  return {
+    submit,
+    getStatus,
+    waitForRelay,
+    handleRequest,
+    listen
+  };
+};
+
+// Client side: polls GET /relay/<id> of the relayer at `url` until the relay is final.
+// Rejects when the relayer answers with an error or the relay is still open after `timeoutMs`.
+const pollRelay = async (url, id, { timeoutMs, intervalMs = 2000 }) => {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const response = await fetch(`${url}/relay/${id}`);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(`Relayer could not report relay ${id} (${response.status}): ${body.error ?? response.statusText}`);
+    if (FINAL_STATUSES.includes(body.status)) return body;
+    if (Date.now() + intervalMs > deadline) {
+      throw new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting for relay ${id}, still ${body.status}${body.txHash ? ` (${body.txHash})` : ''}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  FINAL_STATUSES,
+  RelayError,
+  createRelayer,
+  pollRelay
+};
@@ -0,0 +1,70 @@
+const { ethers } = require('ethers');
+
+// ERC20 surface of AuthorizationERC20Delegation plus its EIP-3009 extensions
+const tokenInterface = new ethers.Interface([
+  'function transfer(address to, uint256 value) returns (bool)',
+  'function approve(address spender, uint256 value) returns (bool)',
+  'function transferFrom(address from, address to, uint256 value) returns (bool)',
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'function cancelAuthorization(address authorizer, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'function name() view returns (string)',
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+  'event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce)'
+]);
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+// EIP-712 domain of AuthorizationERC20Delegation (version "1")
+const getTokenDomain = async (provider, token) => {
+  const contract = new ethers.Contract(token, tokenInterface, provider);
+  const { chainId } = await provider.getNetwork();
+  return { name: await contract.name(), version: '1', chainId, verifyingContract: ethers.getAddress(token) };
+};
+
+// Signs an EIP-3009 TransferWithAuthorization from `wallet`; the nonce defaults to 32 random bytes
+const signTransferWithAuthorization = async (provider, wallet, {
+  token,
+  to,
+  value,
+  validAfter,
+  validBefore,
+  nonce = ethers.hexlify(ethers.randomBytes(32))
+}) => {
+  const domain = await getTokenDomain(provider, token);
+  const message = { from: wallet.address, to: ethers.getAddress(to), value, validAfter, validBefore, nonce };
+  const signature = ethers.Signature.from(await wallet.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, message));
+  return { ...message, v: signature.v, r: signature.r, s: signature.s };
+};
+
+const encodeTransferWithAuthorization = (authorization) => tokenInterface.encodeFunctionData('transferWithAuthorization', [
+  authorization.from,
+  authorization.to,
+  authorization.value,
+  authorization.validAfter,
+  authorization.validBefore,
+  authorization.nonce,
+  authorization.v,
+  authorization.r,
+  authorization.s
+]);
+
+module.exports = {
+  tokenInterface,
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  getTokenDomain,
+  signTransferWithAuthorization,
+  encodeTransferWithAuthorization
+};
@@ -1,45 +1,8 @@
-const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const hre = require('hardhat');
 
+// Kept for `npx hardhat run`; equivalent to `npx hardhat deploy --network <network>`
 const main = async () => {
-  // Initialize wallet instance with private key and provider
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
-
-  // Get contract factory for BatchCallDelegation smart contract
-  const BatchCallDelegation = await ethers.getContractFactory("BatchCallDelegation", wallet);
-  
-  // Deploy BatchCallDelegation contract
-  console.log("Deploying BatchCallDelegation contract...");
-  const batchCallDelegation = await BatchCallDelegation.deploy();
-  
-  // Wait until the contract is fully deployed on the blockchain
-  await batchCallDelegation.waitForDeployment();
-  
-  const contractAddress = await batchCallDelegation.target;
-  console.log("BatchCallDelegation deployed to:", contractAddress);
-
-  // Create deployment info object
-  const deploymentInfo = {
-    contractAddress: contractAddress,
-    deploymentTime: new Date().toISOString(),
-    network: network.name,
-    deployer: wallet.address
-  };
-
-  // Ensure the deployments directory exists
-  const deploymentDir = path.join(__dirname, '../deployments');
-  if (!fs.existsSync(deploymentDir)){
-    fs.mkdirSync(deploymentDir, { recursive: true });
-  }
-
-  // Save deployment info to JSON file
-  const deploymentPath = path.join(deploymentDir, `${network.name}.json`);
-  fs.writeFileSync(
-    deploymentPath,
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  console.log(`Deployment info saved to ${deploymentPath}`);
+  await hre.run('deploy', { contract: 'BatchCallDelegation' });
 }
 
 main().then(() => {
@@ -1,134 +1,18 @@
-const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const hre = require('hardhat');
 
+// Kept for `npx hardhat run`; equivalent to
+// `npx hardhat batch --to $RECIPIENT_ADDRESS --amount 0.00123 --network <network>`,
+// or `npx hardhat batch --file $BATCH_FILE --network <network>` when BATCH_FILE is set.
+// DRY_RUN=true adds --dry-run, ACCESS_LIST=true adds --access-list, EXECUTE_FORMAT=erc7821 adds --format erc7821.
 const main = async () => {
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
-
-  // Read deployment info from JSON file
-  const deploymentPath = path.join(__dirname, '../deployments', `${network.name}.json`);
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error(`Deployment file not found for network: ${network.name}`);
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const BATCH_CALL_DELEGATION_ADDRESS = deploymentInfo.contractAddress;
-  
-  console.log(`Using BatchCallDelegation at: ${BATCH_CALL_DELEGATION_ADDRESS}`);
-
-  // Define contract interface with execute function signature
-  const batchInterface = new ethers.Interface([
-    "function execute(tuple(bytes data, address to, uint256 value)[] calls)"
-  ]);
-    
-  // Define sample transaction parameters for batch execution
-  const calls = [
-    {
-      data: "0x",
-      to: process.env.RECIPIENT_ADDRESS,
-      value: ethers.parseEther("0.00123")
-    }
-  ];
-
-  // Encode the execute function call with parameters
-  const calldata = batchInterface.encodeFunctionData("execute", [calls]);
-
-  const currentNonce = await ethers.provider.getTransactionCount(wallet.address);
-  const chainId = await ethers.provider.getNetwork().then(network => network.chainId);
-
-  const authorizationData = {
-    chainId: ethers.toBeHex(chainId),
-    address: BATCH_CALL_DELEGATION_ADDRESS,
-    nonce: ethers.toBeHex(currentNonce + 1),
-  }
-
-  // Encode authorization data according to EIP-712 standard
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address,
-      authorizationData.nonce,
-    ])
-  ]);
-
-  // Generate and sign authorization data hash
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-  const authorizationSignature = wallet.signingKey.sign(authorizationDataHash);
-
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
-
-  // Get current gas fee data from the network
-  const feeData = await ethers.provider.getFeeData();
-
-  let maxPriorityFeePerGas = ethers.toBeHex(feeData.maxPriorityFeePerGas);
-  maxPriorityFeePerGas = maxPriorityFeePerGas === '0x00'? '0x' : maxPriorityFeePerGas;
-
-  // Prepare complete transaction data structure
-  const txData = [
-    authorizationData.chainId,
-    ethers.toBeHex(currentNonce),
-    maxPriorityFeePerGas, // Priority fee (tip)
-    ethers.toBeHex(feeData.maxFeePerGas), // Maximum total fee willing to pay
-    ethers.toBeHex(10000000), // Gas limit (example: 1000000)
-    wallet.address, // Sender address
-    '0x', // Value (in addition to batch transfers)
-    calldata, // Encoded function call
-    [], // Access list (empty for this transaction)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity,
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
-
-  // Encode final transaction data with version prefix
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type identifier
-    ethers.encodeRlp(txData)
-  ]);
-
-  // Sign the complete transaction
-  const txDataHash = ethers.keccak256(encodedTxData);
-  const txSignature = wallet.signingKey.sign(txDataHash);
-
-  // Construct the fully signed transaction
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
-
-  // Send the raw transaction to the network
-  const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
-  
-  console.log('tx sent: ', txHash);
-
-  // Wait for transaction using polling
-  console.log('Waiting for transaction to be mined...');
-
-  let receipt = null;
-  while (!receipt) {
-    receipt = await ethers.provider.getTransactionReceipt(txHash);
-    if (!receipt) {
-      await new Promise(resolve => setTimeout(resolve, 15000));
-    }
-  }
-  console.log('tx is mined: ', receipt.hash);
-
-  console.log(`EOA account's code: ${await ethers.provider.getCode(wallet.address)}`);
+  const options = {
+    dryRun: process.env.DRY_RUN === 'true',
+    accessList: process.env.ACCESS_LIST === 'true',
+    format: process.env.EXECUTE_FORMAT || 'native'
+  };
+  await hre.run('batch', process.env.BATCH_FILE
+    ? { file: process.env.BATCH_FILE, ...options }
+    : { to: process.env.RECIPIENT_ADDRESS, amount: '0.00123', ...options });
 }
 
 main().then(() => {
@@ -136,5 +20,5 @@ main().then(() => {
   process.exit(0);
 }).catch((error) => {
   console.error(error);
-  process.exit(1);
+  process.exit(error.exitCode ?? 1);
 });
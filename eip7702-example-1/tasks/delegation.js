@@ -0,0 +1,217 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { ethers } = require('ethers');
+const { setDelegation, revokeDelegation, executeBatch } = require('../lib/flows');
+const {
+  DEFAULT_HD_PATH,
+  DEFAULT_MAX_PER_TRANSACTION,
+  DEFAULT_MAX_GAS,
+  walletsFromMnemonic,
+  walletsFromKeyFile,
+  maxAuthorizationsPerTransaction,
+  bulkDelegate,
+  formatBulkReport
+} = require('../lib/bulkDelegation');
+const { toJson } = require('../lib/inspect');
+const { EXECUTE_FORMATS, encodeExecute, encodeExecuteAllowingFailures } = require('../lib/batchCallDelegation');
+const { saveBatchFile } = require('../lib/batchFile');
+const { FAILURE_MODES, allowFailureFlags, createBatchReport, buildRetryBatch } = require('../lib/batchReport');
+const {
+  requireAddress,
+  requireAmount,
+  requireFormat,
+  signerOptions,
+  loadSigner,
+  resolveDeployment,
+  readBatchFile,
+  requireVerifiedDelegate,
+  addCrossChainParams,
+  crossChainOptions,
+  addTransactionParams,
+  transactionOptions
+} = require('./utils');
+
+addTransactionParams(addCrossChainParams(
+  task('delegate', 'Delegates the EOA\'s code to a contract with a type 0x04 transaction')
+    .addOptionalParam('delegate', 'Contract to delegate to (default: BatchCallDelegation from deployments/)')
+    .addOptionalParam('key', 'Environment variable holding the EOA private key or signer spec', 'PRIVATE_KEY')
+    .addOptionalParam('sponsorKey', 'Environment variable holding a separate gas payer private key or signer spec')
+    .addFlag('skipVerify', 'Delegate even if the code at --delegate does not match the compiled contract')
+    .addFlag('dryRun', 'Simulate the signed transaction and report its effects without sending it')
+    .addFlag('accessList', 'Attach an EIP-2930 access list when it lowers the gas estimate')
+)).setAction(async (args, hre) => {
+  const wallet = await loadSigner(hre, args.key);
+  const sponsor = args.sponsorKey ? await loadSigner(hre, args.sponsorKey) : undefined;
+  const delegate = await resolveDeployment(hre, args.delegate, 'BatchCallDelegation', 'delegate');
+  await requireVerifiedDelegate(hre, delegate, undefined, { skip: args.skipVerify });
+
+  console.log(`Delegating ${wallet.address} to ${delegate}`);
+  return setDelegation(hre.ethers.provider, { wallet, sponsor, delegate, dryRun: args.dryRun, generateAccessList: args.accessList, ...await crossChainOptions(args), ...transactionOptions(args) });
+});
+
+addTransactionParams(addCrossChainParams(
+  task('revoke', 'Clears the EOA\'s delegated code by authorizing the zero address')
+    .addOptionalParam('key', 'Environment variable holding the EOA private key or signer spec', 'PRIVATE_KEY')
+    .addOptionalParam('sponsorKey', 'Environment variable holding a separate gas payer private key or signer spec')
+    .addFlag('dryRun', 'Simulate the signed transaction and report its effects without sending it')
+    .addFlag('accessList', 'Attach an EIP-2930 access list when it lowers the gas estimate')
+)).setAction(async (args, hre) => {
+  const wallet = await loadSigner(hre, args.key);
+  const sponsor = args.sponsorKey ? await loadSigner(hre, args.sponsorKey) : undefined;
+
+  console.log(`Removing account code for ${wallet.address}`);
+  console.log(`Account code: ${await hre.ethers.provider.getCode(wallet.address)}`);
+  return revokeDelegation(hre.ethers.provider, { wallet, sponsor, dryRun: args.dryRun, generateAccessList: args.accessList, ...await crossChainOptions(args), ...transactionOptions(args) });
+});
+
+addTransactionParams(addCrossChainParams(
+  task('batch', 'Delegates the EOA to BatchCallDelegation and runs a batch of calls through execute() in one transaction')
+    .addOptionalParam('file', 'JSON or YAML batch file describing ETH transfers, ERC20 transfers and contract calls')
+    .addOptionalParam('to', 'Recipient of a single ETH transfer (instead of --file)')
+    .addOptionalParam('amount', 'ETH amount of the single transfer, e.g. 0.001')
+    .addOptionalParam('delegate', 'BatchCallDelegation address (default: from deployments/)')
+    .addOptionalParam('key', 'Environment variable holding the EOA private key or signer spec', 'PRIVATE_KEY')
+    .addOptionalParam('sponsorKey', 'Environment variable holding a separate gas payer private key or signer spec')
+    .addOptionalParam('allowFailures', `Keep going past failing calls: ${FAILURE_MODES.map(mode => `"${mode}"`).join(' or ')} (only the calls marked optional in --file)`)
+    .addOptionalParam('report', 'Write the per-call outcome as JSON to this file (needs --allow-failures)')
+    .addOptionalParam('format', `execute() calldata: ${EXECUTE_FORMATS.join(' or ')} (the standard ERC-7821 execute(mode, executionData))`, 'native')
+    .addFlag('check', 'Validate and print the encoded batch without sending it')
+    .addFlag('dryRun', 'Simulate the signed transaction and report its effects without sending it')
+    .addFlag('accessList', 'Attach an EIP-2930 access list when it lowers the gas estimate')
+    .addFlag('skipVerify', 'Delegate even if the code at --delegate does not match the compiled BatchCallDelegation')
+)).setAction(async (args, hre) => {
+  requireFormat(args.format);
+  if (args.report && !args.allowFailures) throw new Error('--report needs --allow-failures; without it the batch either runs completely or not at all');
+  let batch;
+  if (args.file) {
+    if (args.to || args.amount) throw new Error('Use either --file or --to/--amount, not both');
+    batch = await readBatchFile(hre, args.file);
+    console.log(`Batch of ${batch.calls.length} call${batch.calls.length === 1 ? '' : 's'} from ${args.file}:`);
+    batch.labels.forEach((label, index) => console.log(`  [${index}] ${label}${batch.optional[index] ? ' (optional)' : ''}`));
+  } else {
+    const to = requireAddress(args.to, 'to');
+    const amount = requireAmount(args.amount, 'amount');
+    batch = {
+      calls: [{ data: '0x', to, value: hre.ethers.parseEther(amount) }],
+      labels: [`send ${amount} ETH to ${to}`],
+      optional: [false],
+      entries: [{ type: 'eth', to, amount }]
+    };
+  }
+  const { calls } = batch;
+  const allowFailure = args.allowFailures ? allowFailureFlags(args.allowFailures, batch.optional) : undefined;
+
+  if (args.check) {
+    if (allowFailure) console.log(`executeAllowingFailures() calldata: ${encodeExecuteAllowingFailures(calls, allowFailure)}`);
+    else console.log(`execute() calldata: ${encodeExecute(calls, { format: args.format })}`);
+    return { calls, allowFailure };
+  }
+
+  const wallet = await loadSigner(hre, args.key);
+  const sponsor = args.sponsorKey ? await loadSigner(hre, args.sponsorKey) : undefined;
+  const delegate = await resolveDeployment(hre, args.delegate, 'BatchCallDelegation', 'delegate');
+  await requireVerifiedDelegate(hre, delegate, 'BatchCallDelegation', { skip: args.skipVerify });
+
+  console.log(`Using BatchCallDelegation at: ${delegate}`);
+  const result = await executeBatch(hre.ethers.provider, { wallet, sponsor, delegate, calls, allowFailure, format: args.format, dryRun: args.dryRun, generateAccessList: args.accessList, ...await crossChainOptions(args), ...transactionOptions(args) });
+  if (args.report && result.results) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const report = createBatchReport({ chainId, account: wallet.address, txHash: result.txHash, ...batch, results: result.results });
+    fs.writeFileSync(args.report, toJson(report));
+    console.log(`Report written to ${args.report}${report.failed > 0 ? `; npx hardhat batch-retry --report ${args.report} --output <file> rebuilds the failed calls` : ''}`);
+  }
+  return result;
+});
+
+task('batch-retry', 'Writes a batch file of the calls that failed in a batch --report, to run again with batch --file')
+  .addParam('report', 'Report written by batch --allow-failures --report')
+  .addParam('output', 'Batch file to write (.json, .yaml or .yml)')
+  .setAction(async (args, hre) => {
+    let report;
+    try {
+      report = JSON.parse(fs.readFileSync(args.report, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read batch report ${args.report}: ${error.message}`);
+    }
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (report.chainId !== undefined && BigInt(report.chainId) !== chainId) {
+      console.log(`Note: the report is from chain ${report.chainId}, the network is chain ${chainId}`);
+    }
+
+    const retry = buildRetryBatch(report);
+    saveBatchFile(args.output, retry);
+    console.log(`${retry.calls.length} failed call${retry.calls.length === 1 ? '' : 's'} of ${report.txHash ?? 'the batch'}:`);
+    report.calls.filter(call => call.success === false).forEach(call => console.log(`  [${call.index}] ${call.label}: ${call.reason}`));
+    console.log(`Batch written to ${args.output}; run it with npx hardhat batch --file ${args.output}`);
+    return retry;
+  });
+
+addTransactionParams(
+  task('bulk-delegate', 'Delegates (or revokes) many EOAs at once, packing their authorizations into as few type 0x04 transactions as possible')
+    .addOptionalParam('keysFile', 'File with one authority signer spec (or private key) per line')
+    .addOptionalParam('count', 'Number of authorities derived from the mnemonic', undefined, types.int)
+    .addOptionalParam('start', 'Index of the first derived account', 0, types.int)
+    .addOptionalParam('hdPath', 'Derivation path the account index is appended to', DEFAULT_HD_PATH)
+    .addOptionalParam('mnemonicEnv', 'Environment variable holding the mnemonic', 'MNEMONIC')
+    .addOptionalParam('delegate', 'Contract to delegate to (default: BatchCallDelegation from deployments/)')
+    .addOptionalParam('payerKey', 'Environment variable holding the gas payer private key or signer spec', 'GAS_PAYER_PRIVATE_KEY')
+    .addOptionalParam('maxPerTx', 'Most authorizations in one transaction', DEFAULT_MAX_PER_TRANSACTION, types.int)
+    .addOptionalParam('maxGas', 'Gas limit no transaction may exceed', DEFAULT_MAX_GAS.toString())
+    .addOptionalParam('output', 'Write the per-authority report as JSON to this file')
+    .addFlag('revoke', 'Clear the authorities\' code instead of delegating')
+    .addFlag('check', 'Print the authorities and the transaction plan without sending anything')
+    .addFlag('accessList', 'Attach an EIP-2930 access list when it lowers the gas estimate')
+    .addFlag('skipVerify', 'Delegate even if the code at --delegate does not match the compiled contract')
+).setAction(async (args, hre) => {
+  if ((args.keysFile === undefined) === (args.count === undefined)) {
+    throw new Error('Pass either --keys-file or --count (accounts derived from the mnemonic in --mnemonic-env)');
+  }
+  if (args.count !== undefined && args.count <= 0) throw new Error('--count must be positive');
+  if (args.start < 0) throw new Error('--start must not be negative');
+  if (args.maxPerTx <= 0) throw new Error('--max-per-tx must be positive');
+  if (!/^\d+$/.test(args.maxGas)) throw new Error(`--max-gas must be a whole number, got "${args.maxGas}"`);
+  const options = transactionOptions(args);
+  const size = maxAuthorizationsPerTransaction({ maxPerTransaction: args.maxPerTx, maxGas: BigInt(args.maxGas), marginPercent: options.marginPercent });
+
+  let wallets;
+  if (args.keysFile) {
+    // Keystore lines share the password in the file named by KEYS_FILE_PASSWORD_FILE
+    wallets = await walletsFromKeyFile(args.keysFile, signerOptions(hre, 'KEYS_FILE'));
+  } else {
+    const phrase = process.env[args.mnemonicEnv];
+    if (!phrase) throw new Error(`Environment variable ${args.mnemonicEnv} is not set`);
+    wallets = walletsFromMnemonic(phrase, { count: args.count, start: args.start, basePath: args.hdPath });
+  }
+  const delegate = args.revoke
+    ? ethers.ZeroAddress
+    : await resolveDeployment(hre, args.delegate, 'BatchCallDelegation', 'delegate');
+
+  console.log(`${args.revoke ? 'Revoking' : `Delegating to ${delegate}`}: ${wallets.length} authorit${wallets.length === 1 ? 'y' : 'ies'}, up to ${size} per transaction`);
+  if (args.check) {
+    wallets.forEach((wallet, index) => console.log(`  [${index}] ${wallet.address}`));
+    return { delegate, authorities: wallets.map(wallet => wallet.address), perTransaction: size };
+  }
+
+  const gasPayer = await loadSigner(hre, args.payerKey);
+  if (!args.revoke) await requireVerifiedDelegate(hre, delegate, undefined, { skip: args.skipVerify });
+  console.log(`Gas payer: ${gasPayer.address}`);
+
+  const results = await bulkDelegate(hre.ethers.provider, {
+    gasPayer,
+    wallets: wallets.map(wallet => wallet.connect(hre.ethers.provider)),
+    delegate,
+    maxPerTransaction: args.maxPerTx,
+    maxGas: BigInt(args.maxGas),
+    generateAccessList: args.accessList,
+    ...options
+  });
+  console.log(formatBulkReport(results));
+  if (args.output) {
+    fs.writeFileSync(args.output, toJson({ delegate, results }));
+    console.log(`Report written to ${args.output}`);
+  }
+
+  const missed = results.filter(({ status }) => ['skipped', 'failed'].includes(status));
+  if (missed.length > 0) throw new Error(`${missed.length} of ${results.length} authorities did not take the ${args.revoke ? 'revocation' : 'delegation'}`);
+  return results;
+});
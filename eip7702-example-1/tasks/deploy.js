@@ -0,0 +1,138 @@
+const { task, types } = require('hardhat/config');
+const { saveDeployment, verifyDeployment } = require('../lib/deployments');
+const { DETERMINISTIC_DEPLOYER, DEFAULT_SALT, toSalt, deployDeterministic } = require('../lib/create2');
+const { compareCode, formatCodeComparison } = require('../lib/crossChain');
+const {
+  requireAddress,
+  requireAmount,
+  loadSigner,
+  loadNetworkDeployments,
+  resolveDeployment,
+  readCompiled,
+  addChainsParam,
+  crossChainOptions
+} = require('./utils');
+
+const DEPLOYABLE = ['BatchCallDelegation', 'AuthorizationERC20Delegation'];
+
+task('deploy', 'Deploys a contract of this project and records it in the deployments/ registry')
+  .addOptionalParam('contract', `Contract to deploy: ${DEPLOYABLE.join(' or ')}`, 'BatchCallDelegation')
+  .addOptionalParam('key', 'Environment variable holding the deployer private key or signer spec', 'PRIVATE_KEY')
+  .addOptionalParam('tokenName', 'Token name (AuthorizationERC20Delegation only)', 'AuthDelegationToken')
+  .addOptionalParam('tokenSymbol', 'Token symbol (AuthorizationERC20Delegation only)', 'ADT')
+  .addOptionalParam('decimals', 'Token decimals (AuthorizationERC20Delegation only)', 18, types.int)
+  .addOptionalParam('supply', 'Initial supply minted to the deployer, in whole tokens (AuthorizationERC20Delegation only)', '1000000')
+  .addFlag('deterministic', 'Deploy through the CREATE2 deployer, at the same address on every chain (BatchCallDelegation only)')
+  .addOptionalParam('salt', 'CREATE2 salt for --deterministic: 32 bytes of hex, or any text, which is hashed', DEFAULT_SALT)
+  .setAction(async (args, hre) => {
+    if (!DEPLOYABLE.includes(args.contract)) {
+      throw new Error(`--contract must be one of ${DEPLOYABLE.join(', ')}, got "${args.contract}"`);
+    }
+    if (args.deterministic && args.contract !== 'BatchCallDelegation') {
+      throw new Error(`--deterministic only deploys BatchCallDelegation; ${args.contract} would mint its supply to the deployer contract`);
+    }
+    await hre.run('compile', { quiet: true });
+    if (!(await hre.artifacts.artifactExists(args.contract))) {
+      throw new Error(`${args.contract} is not part of this project`);
+    }
+
+    const wallet = await loadSigner(hre, args.key);
+    let constructorArgs = [];
+    if (args.contract === 'AuthorizationERC20Delegation') {
+      if (args.decimals < 0 || args.decimals > 255) throw new Error('--decimals must be between 0 and 255');
+      const supply = hre.ethers.parseUnits(requireAmount(args.supply, 'supply'), args.decimals);
+      constructorArgs = [args.tokenName, args.tokenSymbol, args.decimals, supply];
+    }
+
+    const factory = await hre.ethers.getContractFactory(args.contract, wallet);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (args.deterministic) {
+      const salt = toSalt(args.salt);
+      const { data: initCode } = await factory.getDeployTransaction(...constructorArgs);
+      console.log(`Deploying ${args.contract} through the CREATE2 deployer at ${DETERMINISTIC_DEPLOYER} with salt ${salt}...`);
+      const result = await deployDeterministic(hre.ethers.provider, wallet, { initCode, salt });
+      // The address commits to the init code, so code already there is this contract
+      console.log(`${args.contract} ${result.deployed ? 'deployed to' : 'already at'}: ${result.address} (the same on every chain for this salt and build)`);
+
+      const deploymentPath = saveDeployment(chainId, args.contract, {
+        address: result.address,
+        deployer: result.deployed ? wallet.address : null,
+        txHash: result.txHash,
+        blockNumber: result.receipt?.blockNumber ?? null,
+        constructorArgs,
+        codeHash: hre.ethers.keccak256(await hre.ethers.provider.getCode(result.address)),
+        network: hre.network.name,
+        factory: DETERMINISTIC_DEPLOYER,
+        salt
+      });
+      console.log(`Deployment info saved to ${deploymentPath}`);
+      return result.address;
+    }
+
+    console.log(`Deploying ${args.contract} contract...`);
+    const contract = await factory.deploy(...constructorArgs);
+    await contract.waitForDeployment();
+
+    const address = await contract.getAddress();
+    console.log(`${args.contract} deployed to: ${address}`);
+
+    const deploymentTx = contract.deploymentTransaction();
+    const receipt = await deploymentTx.wait();
+    const codeHash = hre.ethers.keccak256(await hre.ethers.provider.getCode(address));
+    const deploymentPath = saveDeployment(chainId, args.contract, {
+      address,
+      deployer: wallet.address,
+      txHash: deploymentTx.hash,
+      blockNumber: receipt.blockNumber,
+      constructorArgs,
+      codeHash,
+      network: hre.network.name
+    });
+    console.log(`Deployment info saved to ${deploymentPath}`);
+    return address;
+  });
+
+task('verify-deployment', 'Checks that the code of recorded deployments still matches the compiled contracts')
+  .addOptionalParam('contract', 'Only check this contract (default: every contract recorded for the chain)')
+  .addOptionalParam('address', 'Check this address instead of the recorded one (requires --contract)')
+  .setAction(async (args, hre) => {
+    await hre.run('compile', { quiet: true });
+
+    let targets;
+    if (args.address) {
+      if (!args.contract) throw new Error('--address needs --contract to know what to compare with');
+      targets = [{ name: args.contract, address: requireAddress(args.address, 'address') }];
+    } else {
+      const deployments = await loadNetworkDeployments(hre);
+      targets = args.contract ? deployments.filter(deployment => deployment.name === args.contract) : deployments;
+      if (targets.length === 0) throw new Error(`No ${args.contract ?? 'contracts'} recorded for chain of network ${hre.network.name}`);
+    }
+
+    let failed = 0;
+    for (const target of targets) {
+      if (!(await hre.artifacts.artifactExists(target.name))) {
+        console.log(`${target.name} at ${target.address}: no compiled contract of that name to compare with`);
+        failed++;
+        continue;
+      }
+      const result = await verifyDeployment(hre.ethers.provider, target.address, await readCompiled(hre, target.name), target);
+      console.log(`${target.name} at ${target.address}: ${result.status}${target.legacy ? ' (legacy deployment file)' : ''}`);
+      if (result.codeHashChanged) console.log(`  code hash ${result.codeHash} differs from the recorded ${target.codeHash}`);
+      if (!result.verified || result.codeHashChanged) failed++;
+    }
+    if (failed > 0) throw new Error(`${failed} of ${targets.length} deployment${targets.length === 1 ? '' : 's'} failed verification`);
+  });
+
+addChainsParam(
+  task('compare-code', 'Compares the code at an address on this network and the --chains networks, as chainId 0 authorizations require')
+    .addOptionalParam('address', 'Address to compare (default: BatchCallDelegation from deployments/)')
+).setAction(async (args, hre) => {
+  const address = await resolveDeployment(hre, args.address, 'BatchCallDelegation', 'address');
+  const { chains } = await crossChainOptions(args);
+  if (chains.length === 0) throw new Error('Pass the RPC URLs of the other chains with --chains or CHAIN_RPC_URLS');
+
+  const comparison = await compareCode([hre.ethers.provider, ...chains], address);
+  console.log(formatCodeComparison(comparison));
+  if (!comparison.identical) throw new Error(`The code at ${address} is not the same on every chain`);
+  return comparison;
+});
@@ -0,0 +1,9 @@
+// Registers the project's Hardhat tasks; run `npx hardhat help <task>` for their parameters
+require('./deploy');
+require('./delegation');
+require('./transfers');
+require('./relayer');
+require('./offline');
+require('./signers');
+require('./replacement');
+require('./journal');
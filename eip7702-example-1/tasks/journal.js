@@ -0,0 +1,43 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { EXPORT_FORMATS, openJournal, resumeJournal, exportJournal } = require('../lib/journal');
+const { receiptOptionsFromEnv, requirePositiveInteger } = require('../lib/receipt');
+const { requireWritable } = require('./utils');
+
+const { timeoutMs, confirmations } = receiptOptionsFromEnv();
+
+task('journal-resume', 'Picks up the journaled transactions still open after a crash or Ctrl-C: waits for them or broadcasts them again')
+  .addOptionalParam('journal', 'Journal file (default: journal/transactions.jsonl)', process.env.JOURNAL_FILE || undefined)
+  .addOptionalParam('timeout', 'Seconds to wait for each receipt before giving up', timeoutMs / 1000, types.int)
+  .addOptionalParam('confirmations', 'Blocks to wait for after a transaction is mined', confirmations, types.int)
+  .addFlag('noRebroadcast', 'Only wait; leave transactions the node no longer knows alone')
+  .addFlag('acceptInvalidAuthorizations', 'Broadcast again transactions whose authorizations the node would now skip')
+  .setAction(async (args, hre) => {
+    requirePositiveInteger(args.timeout, '--timeout');
+    requirePositiveInteger(args.confirmations, '--confirmations');
+    return resumeJournal(hre.ethers.provider, openJournal(args.journal), {
+      rebroadcast: !args.noRebroadcast,
+      acceptInvalidAuthorizations: args.acceptInvalidAuthorizations,
+      receiptOptions: { timeoutMs: args.timeout * 1000, confirmations: args.confirmations }
+    });
+  });
+
+task('journal-export', 'Writes the journaled transactions as CSV or JSON, for accounting and audits')
+  .addOptionalParam('journal', 'Journal file (default: journal/transactions.jsonl)', process.env.JOURNAL_FILE || undefined)
+  .addOptionalParam('format', `Output format: ${EXPORT_FORMATS.join(' or ')}`, 'csv')
+  .addOptionalParam('status', 'Only transactions with this status, e.g. mined')
+  .addOptionalParam('out', 'File to write (default: standard output)')
+  .addFlag('force', 'Overwrite --out if it exists')
+  .setAction(async (args) => {
+    if (!EXPORT_FORMATS.includes(args.format)) throw new Error(`--format must be ${EXPORT_FORMATS.join(' or ')}, got "${args.format}"`);
+    if (args.out) requireWritable(args.out, args.force);
+    const entries = openJournal(args.journal).entries().filter(entry => !args.status || entry.status === args.status);
+    const output = exportJournal(entries, args.format);
+    if (!args.out) {
+      process.stdout.write(output);
+      return entries;
+    }
+    fs.writeFileSync(args.out, output);
+    console.log(`${entries.length} transaction${entries.length === 1 ? '' : 's'} written to ${args.out}`);
+    return entries;
+  });
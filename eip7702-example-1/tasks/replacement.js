@@ -0,0 +1,66 @@
+const { task, types } = require('hardhat/config');
+const { ethers } = require('ethers');
+const { DEFAULT_BUMP_PERCENT, speedUpTransaction, cancelTransaction } = require('../lib/replacement');
+const { loadSigner, addTransactionParams, transactionOptions } = require('./utils');
+
+const requireTxHash = (value) => {
+  if (!ethers.isHexString(value, 32)) throw new Error(`--tx must be a transaction hash, got "${value}"`);
+  return value;
+};
+
+// Nodes refuse a replacement that pays less than 10% more
+const requireBump = (value) => {
+  if (value < DEFAULT_BUMP_PERCENT) throw new Error(`--bump must be at least ${DEFAULT_BUMP_PERCENT}`);
+  return value;
+};
+
+addTransactionParams(
+  task('speed-up', 'Re-sends a pending transaction with higher fees: same nonce, payload and authorizations')
+    .addParam('tx', 'Hash of the pending transaction')
+    .addOptionalParam('key', 'Environment variable holding the sender private key or signer spec', 'PRIVATE_KEY')
+    .addOptionalParam('bump', 'Least fee increase over the pending transaction, in percent', DEFAULT_BUMP_PERCENT, types.int)
+    .addFlag('acceptInvalidAuthorizations', 'Send authorizations the node would now skip instead of refusing')
+).setAction(async (args, hre) => {
+  const txHash = requireTxHash(args.tx);
+  const bumpPercent = requireBump(args.bump);
+  const sender = await loadSigner(hre, args.key);
+  const { fees, receiptOptions, journal } = transactionOptions(args);
+  return speedUpTransaction(hre.ethers.provider, {
+    txHash,
+    sender,
+    bumpPercent,
+    fees,
+    receiptOptions,
+    journal,
+    acceptInvalidAuthorizations: args.acceptInvalidAuthorizations
+  });
+});
+
+addTransactionParams(
+  task('cancel', 'Replaces a pending transaction with a zero-value transfer to the sender and invalidates its authorizations')
+    .addParam('tx', 'Hash of the pending transaction')
+    .addOptionalParam('key', 'Environment variable holding the sender private key or signer spec', 'PRIVATE_KEY')
+    .addOptionalParam('authorityKeys', 'Comma-separated environment variables holding the keys of other authorities in the pending transaction, so their authorizations are invalidated too')
+    .addOptionalParam('bump', 'Least fee increase over the pending transaction, in percent', DEFAULT_BUMP_PERCENT, types.int)
+    .addFlag('acceptInvalidAuthorizations', 'Send authorizations the node would now skip instead of refusing')
+).setAction(async (args, hre) => {
+  const txHash = requireTxHash(args.tx);
+  const bumpPercent = requireBump(args.bump);
+  const sender = await loadSigner(hre, args.key);
+  const authorities = [];
+  for (const envName of (args.authorityKeys ?? '').split(',').map(name => name.trim()).filter(Boolean)) {
+    authorities.push(await loadSigner(hre, envName));
+  }
+  const { marginPercent, fees, receiptOptions, journal } = transactionOptions(args);
+  return cancelTransaction(hre.ethers.provider, {
+    txHash,
+    sender,
+    authorities,
+    bumpPercent,
+    marginPercent,
+    fees,
+    receiptOptions,
+    journal,
+    acceptInvalidAuthorizations: args.acceptInvalidAuthorizations
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { ethers } = require('ethers');
+const { createSignerServer, promptPassword, readPasswordFile } = require('../lib/signers');
+const { createSignerPolicy } = require('../lib/signerPolicy');
+const { requireAddress, requireWritable, loadSigner } = require('./utils');
+
+task('keystore-new', 'Writes an encrypted JSON keystore for a new account, or for a key moved out of the environment')
+  .addParam('out', 'Keystore file to write')
+  .addOptionalParam('importKey', 'Environment variable holding a private key to encrypt instead of a new random one')
+  .addOptionalParam('passwordFile', 'File holding the password (prompted for twice otherwise)')
+  .addFlag('force', 'Overwrite --out if it exists')
+  .setAction(async (args) => {
+    requireWritable(args.out, args.force);
+    let wallet = ethers.Wallet.createRandom();
+    if (args.importKey) {
+      const key = process.env[args.importKey];
+      if (!key) throw new Error(`Environment variable ${args.importKey} is not set`);
+      try {
+        wallet = new ethers.Wallet(key);
+      } catch (error) {
+        throw new Error(`${args.importKey} does not hold a private key`);
+      }
+    }
+
+    let password;
+    if (args.passwordFile) {
+      password = readPasswordFile(args.passwordFile);
+    } else {
+      password = await promptPassword('New keystore password: ');
+      if ((await promptPassword('Repeat the password: ')) !== password) throw new Error('The passwords do not match');
+    }
+    if (password.length === 0) throw new Error('Refusing to encrypt the key with an empty password');
+
+    fs.writeFileSync(args.out, await wallet.encrypt(password), { mode: 0o600 });
+    console.log(`Keystore of ${wallet.address} written to ${args.out}`);
+    console.log(`Use it as PRIVATE_KEY=keystore:${args.out}${args.importKey ? `, then remove the plain key from ${args.importKey}` : ''}`);
+    return wallet.address;
+  });
+
+task('signer-server', 'Serves keys of this machine to external: signers, so other processes never hold them')
+  .addOptionalParam('keys', 'Comma-separated environment variables holding the private keys or signer specs to serve', 'PRIVATE_KEY')
+  .addOptionalParam('port', 'Port to listen on', 3100, types.int)
+  .addOptionalParam('host', 'Interface to listen on', '127.0.0.1')
+  .addOptionalParam('delegates', 'Comma-separated contracts authorizations may delegate to (default: any); requests that cannot be verified against it are refused')
+  .addFlag('authorizationsOnly', 'Refuse to sign anything but EIP-7702 authorizations')
+  .setAction(async (args, hre) => {
+    const signers = [];
+    for (const envName of args.keys.split(',').map(name => name.trim()).filter(Boolean)) {
+      signers.push(await loadSigner(hre, envName));
+    }
+    if (signers.length === 0) throw new Error('--keys names no environment variables');
+    const delegates = args.delegates?.split(',').map(address => requireAddress(address.trim(), 'delegates'));
+    const token = process.env.EXTERNAL_SIGNER_TOKEN;
+    if (!token) console.log('EXTERNAL_SIGNER_TOKEN is not set: any process that reaches the port can request signatures');
+
+    const approve = createSignerPolicy({ delegates, authorizationsOnly: args.authorizationsOnly });
+
+    const server = await createSignerServer(signers, { token, approve }).listen(args.port, args.host);
+    console.log(`Signer server listening on http://${args.host}:${server.address().port}`);
+    signers.forEach(signer => console.log(`  ${signer.address} (${signer.description})`));
+
+    // Serve until interrupted
+    await new Promise((resolve) => {
+      process.once('SIGINT', () => server.close(resolve));
+      process.once('SIGTERM', () => server.close(resolve));
+    });
+  });
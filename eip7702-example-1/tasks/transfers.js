@@ -0,0 +1,83 @@
+const { task, types } = require('hardhat/config');
+const { sponsoredTransfer, transferWithAuthorization } = require('../lib/flows');
+const {
+  requireAddress,
+  requireAmount,
+  loadSigner,
+  resolveDeployment,
+  requireVerifiedDelegate,
+  addTransactionParams,
+  transactionOptions
+} = require('./utils');
+
+addTransactionParams(
+  task('sponsored-transfer', 'ERC20 transfer from a token holder without ETH; a gas payer sends the type 0x04 transaction')
+    .addParam('to', 'Recipient address')
+    .addParam('amount', 'Token amount in human units, e.g. 1.123 (converted with the token\'s decimals)')
+    .addOptionalParam('token', 'ERC20 token address (default: AuthorizationERC20Delegation from deployments/)')
+    .addOptionalParam('delegate', 'BatchCallDelegation address (default: from deployments/)')
+    .addOptionalParam('holderKey', 'Environment variable holding the token holder private key or signer spec', 'TOKEN_HOLDER_PRIVATE_KEY')
+    .addOptionalParam('payerKey', 'Environment variable holding the gas payer private key or signer spec', 'GAS_PAYER_PRIVATE_KEY')
+    .addFlag('skipVerify', 'Delegate even if the code at --delegate does not match the compiled BatchCallDelegation')
+    .addFlag('dryRun', 'Simulate the signed transaction and report its effects without sending it')
+    .addFlag('accessList', 'Attach an EIP-2930 access list when it lowers the gas estimate')
+).setAction(async (args, hre) => {
+  const recipient = requireAddress(args.to, 'to');
+  const amount = requireAmount(args.amount, 'amount');
+  const tokenHolder = await loadSigner(hre, process.env[args.holderKey] ? args.holderKey : 'PRIVATE_KEY');
+  const gasPayer = await loadSigner(hre, args.payerKey);
+  const token = await resolveDeployment(hre, args.token, 'AuthorizationERC20Delegation', 'token');
+  const delegate = await resolveDeployment(hre, args.delegate, 'BatchCallDelegation', 'delegate');
+  await requireVerifiedDelegate(hre, delegate, 'BatchCallDelegation', { skip: args.skipVerify });
+
+  console.log(`Token holder: ${tokenHolder.address}`);
+  console.log(`Gas payer   : ${gasPayer.address}`);
+  console.log(`BatchCallDelegation contract: ${delegate}`);
+  return sponsoredTransfer(hre.ethers.provider, {
+    tokenHolder,
+    gasPayer,
+    delegate,
+    token,
+    recipient,
+    amount,
+    dryRun: args.dryRun,
+    generateAccessList: args.accessList,
+    ...transactionOptions(args)
+  });
+});
+
+addTransactionParams(
+  task('transfer-with-authorization', 'EIP-3009 transferWithAuthorization, sent directly or inside a delegated batch')
+    .addParam('to', 'Recipient address')
+    .addParam('amount', 'Token amount in human units, e.g. 25')
+    .addOptionalParam('token', 'EIP-3009 token address (default: AuthorizationERC20Delegation from deployments/)')
+    .addOptionalParam('validFor', 'Seconds the signed authorization stays valid', 3600, types.int)
+    .addOptionalParam('key', 'Environment variable holding the token holder private key or signer spec', 'PRIVATE_KEY')
+    .addOptionalParam('delegate', 'BatchCallDelegation address for --via-delegation (default: from deployments/)')
+    .addFlag('viaDelegation', 'Submit the call through BatchCallDelegation in a type 0x04 transaction')
+    .addFlag('skipVerify', 'With --via-delegation, delegate even if the code at --delegate does not match the compiled BatchCallDelegation')
+    .addFlag('dryRun', 'With --via-delegation, simulate the signed transaction and report its effects without sending it')
+    .addFlag('accessList', 'With --via-delegation, attach an EIP-2930 access list when it lowers the gas estimate')
+).setAction(async (args, hre) => {
+  const recipient = requireAddress(args.to, 'to');
+  const amount = requireAmount(args.amount, 'amount');
+  if (args.validFor <= 0) throw new Error('--valid-for must be positive');
+  const wallet = await loadSigner(hre, args.key);
+  const token = await resolveDeployment(hre, args.token, 'AuthorizationERC20Delegation', 'token');
+  const delegate = args.viaDelegation ? await resolveDeployment(hre, args.delegate, 'BatchCallDelegation', 'delegate') : undefined;
+  if (delegate) await requireVerifiedDelegate(hre, delegate, 'BatchCallDelegation', { skip: args.skipVerify });
+
+  console.log(`Token: ${token}`);
+  if (delegate) console.log(`BatchCallDelegation: ${delegate}`);
+  return transferWithAuthorization(hre.ethers.provider, {
+    wallet,
+    token,
+    recipient,
+    amount,
+    validForSeconds: args.validFor,
+    delegate,
+    dryRun: args.dryRun,
+    generateAccessList: args.accessList,
+    ...transactionOptions(args)
+  });
+});
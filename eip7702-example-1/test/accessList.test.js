@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { signAuthorizations } = require('../lib/eip7702');
+const { encodeExecute, encodeExecuteWithSignature } = require('../lib/batchCallDelegation');
+const { createSignedIntent } = require('../lib/intent');
+const { collectAccesses, createAccessList, chooseAccessList, formatAccessListDecision } = require('../lib/accessList');
+const { executeBatch, transferWithAuthorization } = require('../lib/flows');
+const { deployContracts, newWallet, quiet } = require('./fixtures');
+
+describe('Access lists', () => {
+  // ERC-7201 namespace of BatchCallDelegation's used intent nonces
+  const NONCE_STORAGE_SLOT = '0xdc17add86c830f1b35a075d2898f5b14f5d0ac8ca9efd98718a89dc559922700';
+
+  // Batch of `count` calls reading a different storage slot of another contract each
+  const storageBatch = async (count) => {
+    const other = await ethers.deployContract('BatchCallDelegation');
+    const target = await other.getAddress();
+    return { target, calls: Array.from({ length: count }, (_, i) => ({ to: target, value: 0n, data: other.interface.encodeFunctionData('nonceUsed', [i]) })) };
+  };
+
+  const request = async (eoa, batchAddress, calls) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const authorizationList = await signAuthorizations(ethers.provider, { chainId, sender: eoa.address, senderNonce: 0n, entries: [{ address: batchAddress, signer: eoa }] });
+    return { from: eoa.address, to: eoa.address, value: 0n, data: encodeExecute(calls), authorizationList };
+  };
+
+  it('lists the cold accounts of a delegated batch from an opcode trace', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const { target, calls } = await storageBatch(1);
+
+    const { accessList, method } = await createAccessList(ethers.provider, await request(eoa, batchAddress, calls));
+
+    // The Hardhat network has no eth_createAccessList
+    expect(method).to.equal('debug_traceCall');
+    expect(accessList).to.have.length(1);
+    expect(accessList[0].address).to.equal(target);
+    expect(accessList[0].storageKeys).to.have.length(1);
+  });
+
+  it('keeps the storage slots of the delegated account itself', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    const { chainId } = await ethers.provider.getNetwork();
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const { intent, signature } = await createSignedIntent(ethers.provider, eoa, { calls: [], deadline: timestamp + 3600 });
+    const authorizationList = await signAuthorizations(ethers.provider, {
+      chainId,
+      sender: sponsor.address,
+      senderNonce: await ethers.provider.getTransactionCount(sponsor.address),
+      entries: [{ address: batchAddress, signer: eoa }]
+    });
+
+    const { accessList } = await createAccessList(ethers.provider, {
+      from: sponsor.address,
+      to: eoa.address,
+      value: 0n,
+      data: encodeExecuteWithSignature(intent, signature),
+      authorizationList
+    });
+
+    // executeWithSignature marks the intent nonce used in the EOA's storage
+    const nonceSlot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'bytes32'], [intent.nonce, NONCE_STORAGE_SLOT]));
+    const own = accessList.find(({ address }) => address === eoa.address);
+    expect(own.storageKeys).to.include(nonceSlot);
+    expect(accessList.some(({ address }) => address === sponsor.address)).to.equal(false);
+  });
+
+  it('follows the storage context through calls and delegate calls', () => {
+    const to = ethers.Wallet.createRandom().address;
+    const library = ethers.Wallet.createRandom().address;
+    const other = ethers.Wallet.createRandom().address;
+    const slot = (n) => ethers.toBeHex(n, 32).slice(2);
+    const touched = collectAccesses([
+      { op: 'SLOAD', depth: 1, stack: [slot(1)] },
+      { op: 'DELEGATECALL', depth: 1, stack: [slot(0), slot(0), slot(0), slot(0), library.slice(2).padStart(64, '0'), slot(5000)] },
+      { op: 'SSTORE', depth: 2, stack: [slot(9), slot(2)] },
+      { op: 'CALL', depth: 2, stack: [slot(0), slot(0), slot(0), slot(0), slot(0), other.slice(2).padStart(64, '0'), slot(5000)] },
+      { op: 'SLOAD', depth: 3, stack: [slot(3)] },
+      { op: 'SLOAD', depth: 1, stack: [slot(4)] }
+    ], to);
+
+    expect([...touched.get(to)]).to.deep.equal([1, 2, 4].map(n => ethers.toBeHex(n, 32)));
+    expect([...touched.get(library)]).to.deep.equal([]);
+    expect([...touched.get(other)]).to.deep.equal([ethers.toBeHex(3, 32)]);
+  });
+
+  it('keeps the list only when it lowers the estimate, and says so', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const { calls } = await storageBatch(3);
+
+    const decision = await chooseAccessList(ethers.provider, await request(eoa, batchAddress, calls));
+    expect(decision.included).to.equal(true);
+    expect(decision.gasWith < decision.gasWithout).to.equal(true);
+    expect(formatAccessListDecision(decision)).to.match(/^Access list: included, 1 account, 3 storage keys \(debug_traceCall\); .*saves \d+ gas$/);
+
+    // An empty batch touches nothing cold
+    const empty = await chooseAccessList(ethers.provider, await request(eoa, batchAddress, []));
+    expect(empty).to.include({ included: false, gasWith: null });
+    expect(formatAccessListDecision(empty)).to.equal('Access list: none (the transaction touches no cold account)');
+
+    expect(formatAccessListDecision({ included: false, accessList: [], method: 'eth_createAccessList', gasWithout: 50000n, gasWith: 52400n }))
+      .to.equal('Access list: left out, from eth_createAccessList; estimate 50000 without, 52400 with: would cost 2400 gas more');
+  });
+
+  it('sends a batch with the chosen access list', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const { calls } = await storageBatch(3);
+    const logs = [];
+
+    const { tx, receipt } = await executeBatch(ethers.provider, {
+      wallet: eoa,
+      delegate: batchAddress,
+      calls,
+      generateAccessList: true,
+      log: line => logs.push(line)
+    });
+
+    expect(receipt.status).to.equal(1);
+    expect(logs.some(line => line.startsWith('Access list: included'))).to.equal(true);
+    const raw = await ethers.provider.send('eth_getTransactionByHash', [receipt.hash]);
+    expect(tx.accessList).to.have.length(1);
+    expect(raw.accessList.map(entry => entry.address.toLowerCase())).to.deep.equal(tx.accessList.map(entry => entry.address.toLowerCase()));
+  });
+
+  it('refuses an access list for the direct transferWithAuthorization call', async () => {
+    const wallet = await newWallet();
+    await expect(transferWithAuthorization(ethers.provider, { wallet, token: wallet.address, recipient: wallet.address, amount: '1', generateAccessList: true, ...quiet }))
+      .to.be.rejectedWith(/needs the delegated path/);
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  signAuthorization,
+  buildSetCodeTransaction,
+  serializeSetCodeTransaction,
+  getSetCodeTransactionHash,
+  signSetCodeTransaction,
+  parseSetCodeTransaction,
+  recoverSender
+} = require('../lib/eip7702');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const { deployContracts } = require('./fixtures');
+
+// Sends a self-sponsored type 0x04 transaction carrying `authorization` as is. Signing bypasses
+// signSetCodeTransaction on purpose, which would refuse the invalid nonces tested here.
+const sendWithAuthorization = async (wallet, authorization) => {
+  const { chainId } = await ethers.provider.getNetwork();
+  const tx = buildSetCodeTransaction({
+    chainId,
+    nonce: await ethers.provider.getTransactionCount(wallet.address),
+    maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+    maxFeePerGas: ethers.parseUnits('100', 'gwei'),
+    gasLimit: 100000n,
+    to: wallet.address,
+    authorizationList: [authorization]
+  });
+  const signedTx = serializeSetCodeTransaction(tx, wallet.signingKey.sign(getSetCodeTransactionHash(tx)));
+  const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+  return ethers.provider.getTransactionReceipt(txHash);
+};
+
+describe('EIP-7702 authorizations', () => {
+  it('applies an authorization with the sender nonce + 1', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const { chainId } = await ethers.provider.getNetwork();
+    const nonce = await ethers.provider.getTransactionCount(eoa.address);
+
+    const receipt = await sendWithAuthorization(eoa, await signAuthorization({ chainId, address: batchAddress, nonce: nonce + 1 }, eoa));
+
+    expect(receipt.status).to.equal(1);
+    expect(parseDelegationDesignator(await ethers.provider.getCode(eoa.address))).to.equal(batchAddress);
+  });
+
+  it('skips an authorization with the wrong nonce', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const { chainId } = await ethers.provider.getNetwork();
+    const nonce = await ethers.provider.getTransactionCount(eoa.address);
+
+    // The account nonce itself is already consumed by the transaction when the list is processed
+    const receipt = await sendWithAuthorization(eoa, await signAuthorization({ chainId, address: batchAddress, nonce }, eoa));
+
+    expect(receipt.status).to.equal(1);
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+  });
+
+  it('skips an authorization for another chainId', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const nonce = await ethers.provider.getTransactionCount(eoa.address);
+
+    const receipt = await sendWithAuthorization(eoa, await signAuthorization({ chainId: 1n, address: batchAddress, nonce: nonce + 1 }, eoa));
+
+    expect(receipt.status).to.equal(1);
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+  });
+
+  it('accepts a chainId 0 authorization on any chain', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const nonce = await ethers.provider.getTransactionCount(eoa.address);
+
+    await sendWithAuthorization(eoa, await signAuthorization({ chainId: 0n, address: batchAddress, nonce: nonce + 1 }, eoa));
+
+    expect(parseDelegationDesignator(await ethers.provider.getCode(eoa.address))).to.equal(batchAddress);
+  });
+
+  it('refuses to sign a transaction whose authorization nonce cannot apply', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const { chainId } = await ethers.provider.getNetwork();
+    const tx = buildSetCodeTransaction({
+      chainId,
+      nonce: 0,
+      maxPriorityFeePerGas: 1n,
+      maxFeePerGas: 1n,
+      gasLimit: 100000n,
+      to: eoa.address,
+      authorizationList: [await signAuthorization({ chainId, address: batchAddress, nonce: 0 }, eoa)]
+    });
+
+    await expect(signSetCodeTransaction(tx, eoa)).to.be.rejectedWith(/expected 1/);
+  });
+
+  it('round-trips a signed transaction through the parser', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const { chainId } = await ethers.provider.getNetwork();
+    const tx = buildSetCodeTransaction({
+      chainId,
+      nonce: 0,
+      maxPriorityFeePerGas: 1n,
+      maxFeePerGas: 2n,
+      gasLimit: 100000n,
+      to: eoa.address,
+      authorizationList: [await signAuthorization({ chainId, address: batchAddress, nonce: 1 }, eoa)]
+    });
+
+    const parsed = parseSetCodeTransaction(await signSetCodeTransaction(tx, eoa));
+
+    expect(recoverSender(parsed)).to.equal(eoa.address);
+    expect(parsed.authorizationList[0].address).to.equal(batchAddress);
+    expect(parsed.authorizationList[0].nonce).to.equal(1n);
+  });
+});
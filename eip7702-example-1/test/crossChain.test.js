@@ -0,0 +1,94 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { DETERMINISTIC_DEPLOYER, getDeterministicAddress, deployDeterministic } = require('../lib/create2');
+const { compareCode, requireIdenticalCode } = require('../lib/crossChain');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const { setDelegation } = require('../lib/flows');
+const { createSigningRequest, describeSigningRequest, signSigningRequest, broadcastSignedRequest } = require('../lib/offline');
+const { deployContracts, newWallet, quiet } = require('./fixtures');
+
+// The Hardhat network under another chain ID; `code` replaces what it has deployed
+const otherChain = (chainId, code) => ({
+  getNetwork: async () => ({ chainId }),
+  getTransactionCount: (address) => ethers.provider.getTransactionCount(address),
+  getCode: async (address) => code ?? ethers.provider.getCode(address)
+});
+
+describe('Cross-chain authorizations', () => {
+  it('deploys through the CREATE2 deployer at an address fixed by the init code and salt', async () => {
+    const { batchAddress } = await loadFixture(deployContracts);
+    const [deployer] = await ethers.getSigners();
+    const { data: initCode } = await (await ethers.getContractFactory('BatchCallDelegation')).getDeployTransaction();
+
+    const first = await deployDeterministic(ethers.provider, deployer, { initCode, salt: 'batch-v1', ...quiet });
+    expect(await ethers.provider.getCode(DETERMINISTIC_DEPLOYER)).to.not.equal('0x');
+    expect(first).to.include({ address: getDeterministicAddress(initCode, 'batch-v1'), deployed: true });
+    expect(await ethers.provider.getCode(first.address)).to.equal(await ethers.provider.getCode(batchAddress));
+
+    // Same salt: already there; other salt: another address
+    expect(await deployDeterministic(ethers.provider, deployer, { initCode, salt: 'batch-v1', ...quiet })).to.include({ address: first.address, deployed: false });
+    const second = await deployDeterministic(ethers.provider, deployer, { initCode, salt: ethers.ZeroHash, ...quiet });
+    expect(second.address).to.not.equal(first.address);
+  });
+
+  it('compares the delegate code on every chain', async () => {
+    const { batchAddress } = await loadFixture(deployContracts);
+
+    const same = await compareCode([ethers.provider, otherChain(10n), otherChain(10n)], batchAddress);
+    expect(same.identical).to.equal(true);
+    expect(same.chains.map(({ chainId }) => chainId)).to.deep.equal([31337n, 10n]);
+
+    expect((await compareCode([ethers.provider, otherChain(10n, '0x6000')], batchAddress)).identical).to.equal(false);
+    expect((await compareCode([ethers.provider, otherChain(10n, '0x')], batchAddress)).chains[1].codeHash).to.equal(null);
+
+    await expect(requireIdenticalCode(ethers.provider, [], [batchAddress], quiet)).to.be.rejectedWith(/needs the other chains/);
+    await expect(requireIdenticalCode(ethers.provider, [otherChain(10n, '0x6000')], [batchAddress], quiet)).to.be.rejectedWith(/not the same on every chain/);
+    await expect(requireIdenticalCode(ethers.provider, [ethers.provider], [batchAddress], quiet)).to.be.rejectedWith(/all the current chain/);
+    // Revocations have no code to compare
+    await requireIdenticalCode(ethers.provider, [], [ethers.ZeroAddress], quiet);
+  });
+
+  it('signs a chainId 0 delegation only once the other chains have the same delegate code', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const nonce = await ethers.provider.getTransactionCount(eoa.address);
+    const logs = [];
+
+    await expect(setDelegation(ethers.provider, { wallet: eoa, delegate: batchAddress, anyChain: true, chains: [otherChain(10n, '0x6000')], ...quiet }))
+      .to.be.rejectedWith(/not the same on every chain/);
+    expect(await ethers.provider.getTransactionCount(eoa.address)).to.equal(nonce);
+
+    const { authorizationList } = await setDelegation(ethers.provider, {
+      wallet: eoa,
+      delegate: batchAddress,
+      anyChain: true,
+      chains: [otherChain(10n)],
+      log: line => logs.push(line)
+    });
+    expect(authorizationList[0].chainId).to.equal(0n);
+    expect(logs[0]).to.match(/^WARNING: signing an authorization for chainId 0/);
+    expect(parseDelegationDesignator(await ethers.provider.getCode(eoa.address))).to.equal(batchAddress);
+  });
+
+  it('reuses an offline authorization signed for chainId 0 on another chain', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    const payer = await newWallet();
+    const create = (anyChain) => createSigningRequest(otherChain(10n), { authority: eoa.address, delegate: batchAddress, sponsor: sponsor.address, anyChain });
+
+    // Bound to chain 10 unless signed for any chain
+    const bound = await create(false);
+    await expect(broadcastSignedRequest(ethers.provider, bound, await signSigningRequest(bound, eoa), { sponsor, ...quiet }))
+      .to.be.rejectedWith(/request is for chain 10, but the provider is on chain 31337/);
+
+    const request = await create(true);
+    expect(describeSigningRequest(request)).to.include('Auth chain: 0 (any chain)');
+    const signatures = await signSigningRequest(request, eoa);
+    await expect(broadcastSignedRequest(ethers.provider, request, signatures, { sponsor, ...quiet })).to.be.rejectedWith(/needs the other chains/);
+    // Only the named sponsor may send it
+    await expect(broadcastSignedRequest(ethers.provider, request, signatures, { sponsor: payer, chains: [otherChain(10n)], ...quiet })).to.be.rejectedWith(/names/);
+
+    const { receipt } = await broadcastSignedRequest(ethers.provider, request, signatures, { sponsor, chains: [otherChain(10n)], ...quiet });
+    expect(receipt.status).to.equal(1);
+    expect(parseDelegationDesignator(await ethers.provider.getCode(eoa.address))).to.equal(batchAddress);
+  });
+});
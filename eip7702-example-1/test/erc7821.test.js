@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { setDelegation, executeBatch } = require('../lib/flows');
+const {
+  batchInterface,
+  ERC7821_MODES,
+  encodeExecutionData,
+  decodeExecutionData,
+  encodeExecute,
+  encodeERC7821Execute
+} = require('../lib/batchCallDelegation');
+const { decodeCall } = require('../lib/inspect');
+const { diagnoseBatchFailure } = require('../lib/diagnostics');
+const { deployContracts, quiet } = require('./fixtures');
+
+// What a wallet or dapp knows of the account: nothing but ERC-7821
+const ERC7821_ABI = [
+  'function execute(bytes32 mode, bytes executionData) payable',
+  'function supportsExecutionMode(bytes32 mode) view returns (bool)'
+];
+
+describe('ERC-7821 execution', () => {
+  // Reverts with Unauthorized: only the delegated account itself may burn its nonces
+  const failingCall = (batchAddress) => ({ to: batchAddress, value: 0n, data: batchInterface.encodeFunctionData('invalidateNonce', [1]) });
+
+  const delegatedAccount = async () => {
+    const fixture = await loadFixture(deployContracts);
+    await setDelegation(ethers.provider, { wallet: fixture.eoa, delegate: fixture.batchAddress, ...quiet });
+    return { ...fixture, account: new ethers.Contract(fixture.eoa.address, ERC7821_ABI, fixture.eoa) };
+  };
+
+  it('reports the single and batch modes as supported', async () => {
+    const { account } = await delegatedAccount();
+    // callType | execType | unused | modeSelector | payload
+    const mode = (callType, execType = '00', selector = '00000000') => ethers.zeroPadBytes(`0x${callType}${execType}00000000${selector}`, 32);
+
+    expect(await account.supportsExecutionMode(ERC7821_MODES.single)).to.equal(true);
+    expect(await account.supportsExecutionMode(ERC7821_MODES.batch)).to.equal(true);
+    // The payload is ignored
+    expect(await account.supportsExecutionMode(ethers.concat([ethers.dataSlice(ERC7821_MODES.batch, 0, 10), ethers.zeroPadValue('0x01', 22)]))).to.equal(true);
+    // Try exec type, batch with opData, delegatecall
+    expect(await account.supportsExecutionMode(mode('01', '01'))).to.equal(false);
+    expect(await account.supportsExecutionMode(mode('01', '00', '78210001'))).to.equal(false);
+    expect(await account.supportsExecutionMode(mode('ff'))).to.equal(false);
+  });
+
+  it('runs single and batch executions sent by standard tooling', async () => {
+    const { account, batch, sponsor, batchAddress, recipient } = await delegatedAccount();
+    const other = ethers.Wallet.createRandom().address;
+    const single = [{ to: recipient, value: 3n, data: '0x' }];
+    const calls = [{ to: recipient, value: 4n, data: '0x' }, { to: other, value: 5n, data: '0x' }];
+
+    await expect(account.execute(ERC7821_MODES.single, encodeExecutionData(single, 'single')))
+      .to.emit(batch.attach(account.target), 'CallExecuted').withArgs(recipient, 3n, '0x', true);
+    await account.execute(ERC7821_MODES.batch, encodeExecutionData(calls));
+    expect(await ethers.provider.getBalance(recipient)).to.equal(7n);
+    expect(await ethers.provider.getBalance(other)).to.equal(5n);
+
+    await expect(account.execute(ERC7821_MODES.batch, encodeExecutionData([calls[0], failingCall(batchAddress)])))
+      .to.be.revertedWithCustomError(batch, 'CallReverted').withArgs(1, batchAddress, (reason) => batch.interface.parseError(reason).name === 'Unauthorized');
+    await expect(account.execute(ethers.zeroPadBytes('0x0101', 32), encodeExecutionData(calls)))
+      .to.be.revertedWithCustomError(batch, 'UnsupportedExecutionMode');
+    await expect(account.execute(ERC7821_MODES.single, '0x1234'))
+      .to.be.revertedWithCustomError(batch, 'InvalidExecutionData');
+    await expect(account.connect(sponsor).execute(ERC7821_MODES.batch, encodeExecutionData(calls)))
+      .to.be.revertedWithCustomError(batch, 'Unauthorized').withArgs(sponsor.address);
+  });
+
+  it('encodes and decodes both formats', async () => {
+    const { recipient, batchAddress } = await loadFixture(deployContracts);
+    const calls = [
+      { to: recipient, value: 1n, data: '0x' },
+      { to: batchAddress, value: 0n, data: batchInterface.encodeFunctionData('nonceUsed', [7]) }
+    ];
+
+    expect(decodeExecutionData(ERC7821_MODES.batch, encodeExecutionData(calls))).to.deep.equal(calls);
+    expect(decodeExecutionData(ERC7821_MODES.single, encodeExecutionData([calls[1]], 'single'))).to.deep.equal([calls[1]]);
+    expect(() => encodeExecutionData(calls, 'single')).to.throw(/exactly one call/);
+    expect(() => encodeExecute(calls, { format: 'erc4337' })).to.throw(/native or erc7821/);
+    expect(encodeExecute(calls, { format: 'erc7821' })).to.equal(encodeERC7821Execute(calls));
+
+    // Inspection sees the same calls behind either entry point
+    const native = decodeCall({ to: recipient, data: encodeExecute(calls) });
+    const standard = decodeCall({ to: recipient, data: encodeERC7821Execute([calls[1]], { mode: 'single' }) });
+    expect(native.calls.map(call => call.to)).to.deep.equal([recipient, batchAddress]);
+    expect(standard).to.include({ function: 'execute(bytes32,bytes)', mode: ERC7821_MODES.single });
+    expect(standard.calls[0].function).to.equal('nonceUsed(uint256)');
+  });
+
+  it('delegates and runs an ERC-7821 batch through the flows', async () => {
+    const { eoa, sponsor, batchAddress, recipient } = await loadFixture(deployContracts);
+    const calls = [{ to: recipient, value: ethers.parseEther('0.01'), data: '0x' }];
+
+    await expect(executeBatch(ethers.provider, { wallet: eoa, sponsor, delegate: batchAddress, calls, format: 'erc7821', ...quiet }))
+      .to.be.rejectedWith(/only applies to a plain batch the account sends itself/);
+    const { receipt } = await executeBatch(ethers.provider, { wallet: eoa, delegate: batchAddress, calls, format: 'erc7821', ...quiet });
+    expect(receipt.status).to.equal(1);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(ethers.parseEther('0.01'));
+
+    const failure = await diagnoseBatchFailure(ethers.provider, {
+      from: eoa.address,
+      to: eoa.address,
+      data: encodeExecute([...calls, failingCall(batchAddress)], { format: 'erc7821' })
+    });
+    expect(failure.index).to.equal(1);
+    expect(failure.revert.kind).to.equal('Unauthorized');
+  });
+});
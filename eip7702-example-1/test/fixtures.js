@@ -0,0 +1,33 @@
+const { ethers } = require('hardhat');
+const { setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+
+// Shared setup of the test suite; use with loadFixture so every test starts from the same snapshot.
+// Flows take their wallets as ethers Wallets (or lib/signers.js signers) because type 0x04
+// transactions are signed over their digest, which Hardhat's JSON-RPC signers cannot do.
+
+// Silences the progress output of the flows
+const quiet = { log: () => {} };
+
+const newWallet = async (eth = '10') => {
+  const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+  if (eth !== null) await setBalance(wallet.address, ethers.parseEther(eth));
+  return wallet;
+};
+
+const deployContracts = async () => {
+  const batch = await ethers.deployContract('BatchCallDelegation');
+
+  return {
+    batch,
+    batchAddress: await batch.getAddress(),
+    eoa: await newWallet(),
+    sponsor: await newWallet(),
+    recipient: ethers.Wallet.createRandom().address
+  };
+};
+
+module.exports = {
+  quiet,
+  newWallet,
+  deployContracts
+};
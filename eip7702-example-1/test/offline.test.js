@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const { encodeExecute } = require('../lib/batchCallDelegation');
+const {
+  readSigningRequest,
+  writeJsonFile,
+  createSigningRequest,
+  signSigningRequest,
+  verifySignatures,
+  broadcastSignedRequest
+} = require('../lib/offline');
+const { toJson } = require('../lib/inspect');
+const { deployContracts, quiet } = require('./fixtures');
+
+describe('Offline signing', () => {
+  // The request travels to the offline machine as a file
+  const roundTrip = (request) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-'));
+    try {
+      writeJsonFile(path.join(dir, 'request.json'), request);
+      return readSigningRequest(path.join(dir, 'request.json'));
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  };
+
+  const transfer = (recipient, eth) => [{ to: recipient, value: ethers.parseEther(eth), data: '0x' }];
+
+  // The Hardhat network has no state overrides in eth_estimateGas, so self-paid requests get a fixed gas limit
+  const gasLimit = 200000n;
+
+  it('signs a self-paid delegation and batch offline and broadcasts it online', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const request = roundTrip(await createSigningRequest(ethers.provider, {
+      authority: eoa.address,
+      delegate: batchAddress,
+      calls: transfer(recipient, '0.5'),
+      gasLimit
+    }));
+
+    const signatures = JSON.parse(toJson(await signSigningRequest(request, eoa)));
+    const { receipt } = await broadcastSignedRequest(ethers.provider, request, signatures, quiet);
+
+    expect(receipt.from).to.equal(eoa.address);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(ethers.parseEther('0.5'));
+    expect(parseDelegationDesignator(await ethers.provider.getCode(eoa.address))).to.equal(batchAddress);
+  });
+
+  it('dry-runs the signed transaction, which can still be broadcast afterwards', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const request = await createSigningRequest(ethers.provider, {
+      authority: eoa.address,
+      delegate: batchAddress,
+      calls: transfer(recipient, '0.5'),
+      gasLimit
+    });
+    const signatures = await signSigningRequest(request, eoa);
+
+    const { simulation } = await broadcastSignedRequest(ethers.provider, request, signatures, { dryRun: true, ...quiet });
+    expect(simulation.success).to.equal(true);
+    expect(simulation.balances.find(balance => balance.account === recipient).delta).to.equal(ethers.parseEther('0.5'));
+    expect(await ethers.provider.getBalance(recipient)).to.equal(0n);
+
+    const { receipt } = await broadcastSignedRequest(ethers.provider, request, signatures, quiet);
+    expect(receipt.status).to.equal(1);
+  });
+
+  it('lets a sponsor send a batch signed offline', async () => {
+    const { eoa, sponsor, batchAddress, recipient } = await loadFixture(deployContracts);
+    const eoaBalance = await ethers.provider.getBalance(eoa.address);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const request = roundTrip(await createSigningRequest(ethers.provider, {
+      authority: eoa.address,
+      delegate: batchAddress,
+      calls: transfer(recipient, '0.5'),
+      sponsor: sponsor.address,
+      deadline: timestamp + 3600
+    }));
+
+    const signatures = await signSigningRequest(request, eoa);
+    expect(signatures.rawTransaction).to.equal(null);
+    await broadcastSignedRequest(ethers.provider, request, signatures, { sponsor, ...quiet });
+
+    expect(await ethers.provider.getBalance(eoa.address)).to.equal(eoaBalance - ethers.parseEther('0.5'));
+    expect(await ethers.provider.getBalance(recipient)).to.equal(ethers.parseEther('0.5'));
+  });
+
+  it('rejects signatures that do not match the request or its authority', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const request = await createSigningRequest(ethers.provider, { authority: eoa.address, delegate: batchAddress, gasLimit });
+
+    await expect(signSigningRequest(request, ethers.Wallet.createRandom())).to.be.rejectedWith(/key belongs to/);
+
+    const signatures = await signSigningRequest(request, eoa);
+    const forged = { ...signatures, authorization: { ...signatures.authorization, s: ethers.toBeHex(BigInt(signatures.authorization.s) - 1n, 32) } };
+    expect(() => verifySignatures(request, forged)).to.throw(/recovers to/);
+
+    const edited = { ...request, calls: transfer(recipient, '1') };
+    expect(() => verifySignatures(edited, signatures)).to.throw(/different request/);
+  });
+
+  it('refuses a request file whose signed fields were tampered with', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const request = await createSigningRequest(ethers.provider, {
+      authority: eoa.address,
+      delegate: batchAddress,
+      calls: transfer(recipient, '0.5'),
+      gasLimit
+    });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-'));
+    const file = path.join(dir, 'request.json');
+    // The summary still shows the batch contract and the transfer
+    const tamper = (changes) => {
+      const json = JSON.parse(toJson(request));
+      writeJsonFile(file, { ...json, authorization: { ...json.authorization, ...changes.authorization }, transaction: { ...json.transaction, ...changes.transaction } });
+      return () => readSigningRequest(file);
+    };
+    const drain = transfer(recipient, '100');
+
+    try {
+      expect(tamper({ authorization: { address: recipient } })).to.throw(/authorization delegates to/);
+      expect(tamper({ authorization: { chainId: '5' } })).to.throw(/authorization is for chain 5/);
+      expect(tamper({ transaction: { to: recipient } })).to.throw(/transaction is sent to/);
+      expect(tamper({ transaction: { value: '1' } })).to.throw(/transaction sends/);
+      expect(tamper({ transaction: { chainId: '5' } })).to.throw(/transaction is for chain 5/);
+      expect(tamper({ transaction: { data: encodeExecute(drain) } })).to.throw(/not the batch of calls/);
+      expect(tamper({ authorization: { chainId: '0' } })).not.to.throw();
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+    await expect(signSigningRequest({ ...request, transaction: { ...request.transaction, to: recipient } }, eoa)).to.be.rejectedWith(/Inconsistent signing request/);
+  });
+
+  it('keeps the execute format of a self-paid ERC-7821 batch', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const exported = await createSigningRequest(ethers.provider, {
+      authority: eoa.address,
+      delegate: batchAddress,
+      calls: transfer(recipient, '0.5'),
+      format: 'erc7821',
+      gasLimit
+    });
+    const request = roundTrip(exported);
+    expect(request.format).to.equal('erc7821');
+    // The native data of the same calls is not what the request says it signs
+    expect(() => roundTrip({ ...exported, format: 'native' })).to.throw(/not the batch of calls/);
+    expect(() => roundTrip({ ...exported, format: 'other' })).to.throw(/execute format "other"/);
+
+    const signatures = await signSigningRequest(request, eoa);
+    await broadcastSignedRequest(ethers.provider, request, signatures, quiet);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(ethers.parseEther('0.5'));
+  });
+
+  it('refuses a request that went stale before it was broadcast', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const request = await createSigningRequest(ethers.provider, { authority: eoa.address, delegate: batchAddress, gasLimit });
+    const signatures = await signSigningRequest(request, eoa);
+    await (await eoa.sendTransaction({ to: recipient, value: 1n })).wait();
+
+    await expect(broadcastSignedRequest(ethers.provider, request, signatures, quiet)).to.be.rejectedWith(/export and sign a new request/);
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { setDelegation, executeBatch } = require('../lib/flows');
+const { batchInterface } = require('../lib/batchCallDelegation');
+const { resolveBatch, loadBatchFile, saveBatchFile } = require('../lib/batchFile');
+const { allowFailureFlags, createBatchReport, buildRetryBatch } = require('../lib/batchReport');
+const { toJson } = require('../lib/inspect');
+const { deployContracts, quiet } = require('./fixtures');
+
+describe('Batches allowing failures', () => {
+  // Reverts with Unauthorized: only the delegated account itself may burn its nonces
+  const failingCall = (batchAddress) => ({ to: batchAddress, value: 0n, data: batchInterface.encodeFunctionData('invalidateNonce', [1]) });
+
+  it('records failing calls that may fail and reverts on any other', async () => {
+    const { eoa, batch, batchAddress, recipient } = await loadFixture(deployContracts);
+    await setDelegation(ethers.provider, { wallet: eoa, delegate: batchAddress, ...quiet });
+    const account = new ethers.Contract(eoa.address, batch.interface, eoa);
+    const calls = [{ to: recipient, value: 5n, data: '0x' }, failingCall(batchAddress)];
+
+    await expect(account.executeAllowingFailures(calls, [false, false]))
+      .to.be.revertedWithCustomError(batch, 'CallReverted');
+    await expect(account.executeAllowingFailures(calls, [true]))
+      .to.be.revertedWithCustomError(batch, 'FlagsLengthMismatch').withArgs(2, 1);
+
+    const results = await account.executeAllowingFailures.staticCall(calls, [false, true]);
+    expect(results.map(({ success }) => success)).to.deep.equal([true, false]);
+    expect(batch.interface.parseError(results[1].returnData).name).to.equal('Unauthorized');
+
+    await expect(account.executeAllowingFailures(calls, [false, true]))
+      .to.emit(account, 'CallResult').withArgs(0, recipient, 5n, true, '0x')
+      .and.to.emit(account, 'CallResult').withArgs(1, batchAddress, 0n, false, results[1].returnData);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(5n);
+  });
+
+  it('reports which calls of a self-paid batch went through', async () => {
+    const { eoa, sponsor, batchAddress, recipient } = await loadFixture(deployContracts);
+    const calls = [failingCall(batchAddress), { to: recipient, value: ethers.parseEther('0.01'), data: '0x' }];
+
+    const { results } = await executeBatch(ethers.provider, { wallet: eoa, delegate: batchAddress, calls, allowFailure: [true, true], ...quiet });
+
+    expect(results.map(({ index, success }) => [index, success])).to.deep.equal([[0, false], [1, true]]);
+    expect(results[0].revert.kind).to.equal('Unauthorized');
+    expect(results[1]).to.include({ kind: 'transfer', to: recipient });
+    expect(await ethers.provider.getBalance(recipient)).to.equal(ethers.parseEther('0.01'));
+
+    // Signed intents only cover execute()
+    await expect(executeBatch(ethers.provider, { wallet: eoa, sponsor, delegate: batchAddress, calls, allowFailure: [true, true], ...quiet }))
+      .to.be.rejectedWith(/drop the sponsor/);
+  });
+
+  it('limits failures to the calls marked optional in the batch file', async () => {
+    const { recipient } = await loadFixture(deployContracts);
+    const spec = {
+      calls: [
+        { type: 'eth', to: recipient, amount: '0.1' },
+        { type: 'eth', to: recipient, amount: '0.2', optional: true }
+      ]
+    };
+
+    const { optional, entries } = await resolveBatch(ethers.provider, spec);
+    expect(optional).to.deep.equal([false, true]);
+    expect(entries).to.equal(spec.calls);
+    expect(allowFailureFlags('optional', optional)).to.deep.equal([false, true]);
+    expect(allowFailureFlags('all', optional)).to.deep.equal([true, true]);
+    expect(() => allowFailureFlags('optional', [false, false])).to.throw(/none may fail/);
+    expect(() => allowFailureFlags('some', optional)).to.throw(/failure mode/);
+    await expect(resolveBatch(ethers.provider, { calls: [{ ...spec.calls[0], optional: 'yes' }] }))
+      .to.be.rejectedWith(/calls\[0\]\.optional: expected true or false/);
+  });
+
+  it('rebuilds a batch file of only the failed calls from the report', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const other = ethers.Wallet.createRandom().address;
+    const spec = {
+      calls: [
+        { type: 'eth', to: recipient, amount: '0.1' },
+        { type: 'call', to: batchAddress, signature: 'invalidateNonce(uint256)', args: ['1'], optional: true },
+        { type: 'eth', to: other, amount: '0.2' }
+      ]
+    };
+    const batch = await resolveBatch(ethers.provider, spec);
+    const { chainId } = await ethers.provider.getNetwork();
+    const { txHash, results } = await executeBatch(ethers.provider, {
+      wallet: eoa,
+      delegate: batchAddress,
+      calls: batch.calls,
+      allowFailure: allowFailureFlags('optional', batch.optional),
+      ...quiet
+    });
+
+    const report = createBatchReport({ chainId, account: eoa.address, txHash, ...batch, results });
+    expect(report).to.include({ succeeded: 2, failed: 1 });
+    expect(report.calls[1].reason).to.match(/^Unauthorized/);
+
+    // The report survives a round trip through its JSON file, and the retry batch through YAML
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-retry-'));
+    const retryFile = path.join(dir, 'retry.yaml');
+    saveBatchFile(retryFile, buildRetryBatch(JSON.parse(toJson(report))));
+    const retry = loadBatchFile(retryFile);
+    fs.rmSync(dir, { recursive: true });
+
+    expect(retry).to.deep.equal({ calls: [spec.calls[1]] });
+    expect((await resolveBatch(ethers.provider, retry)).calls[0].to).to.equal(batchAddress);
+    expect(() => buildRetryBatch({ ...report, calls: report.calls.filter(call => call.success) })).to.throw(/nothing to retry/);
+  });
+});
@@ -0,0 +1,42 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { createRelayer, pollRelay } = require('../lib/relayer');
+const { deployContracts, newWallet, quiet } = require('./fixtures');
+
+describe('Sponsorship relayer', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  const startRelayer = async ({ batchAddress }, policy) => {
+    const gasPayer = await newWallet();
+    const relayer = createRelayer(ethers.provider, { gasPayer, delegate: batchAddress, policy, ...quiet });
+    server = await relayer.listen(0);
+    return { relayer, gasPayer, url: `http://127.0.0.1:${server.address().port}` };
+  };
+
+  it('stops polling a relay the relayer does not know', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { url } = await startRelayer(fixture);
+
+    await expect(pollRelay(url, ethers.id('unknown'), { timeoutMs: 1000 })).to.be.rejectedWith(/could not report relay .* \(404\): Unknown relay/);
+  });
+
+  it('drops the connection of a request body that is too large', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { url } = await startRelayer(fixture);
+
+    // The relayer stops reading past 64 KiB instead of buffering the whole upload
+    await expect(fetch(`${url}/relay`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: 'x'.repeat(4 * 1024 * 1024) }))
+      .to.be.rejectedWith(/fetch failed/);
+    // Counted in bytes: 30,000 characters of 3 bytes each
+    await expect(fetch(`${url}/relay`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify('€'.repeat(30000)) }))
+      .to.be.rejectedWith(/fetch failed/);
+    const info = await (await fetch(`${url}/info`)).json();
+    expect(info.delegate).to.equal(fixture.batchAddress);
+  });
+});
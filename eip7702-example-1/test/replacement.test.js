@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { signAuthorization, signAuthorizations, buildSetCodeTransaction, signSetCodeTransaction } = require('../lib/eip7702');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const { speedUpTransaction, cancelTransaction, getPendingTransaction } = require('../lib/replacement');
+const { deployContracts, newWallet, quiet } = require('./fixtures');
+
+const gwei = (value) => ethers.parseUnits(value, 'gwei');
+
+describe('Replacing pending transactions', () => {
+  // Blocks are mined only while the replacement is being waited for
+  const receiptOptions = { initialIntervalMs: 10, onPoll: () => { ethers.provider.send('evm_mine', []); } };
+
+  // The fixture deploys with automine on, so it is loaded first
+  beforeEach(async () => {
+    await loadFixture(deployContracts);
+    await ethers.provider.send('evm_setAutomine', [false]);
+  });
+
+  afterEach(async () => {
+    await ethers.provider.send('evm_setAutomine', [true]);
+  });
+
+  // Sends a cheap type 0x04 transaction from `sender` that stays in the mempool. `signed` replaces
+  // the authorizations signed from `entries`.
+  const sendStuck = async (sender, entries, signed) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const nonce = BigInt(await ethers.provider.getTransactionCount(sender.address));
+    const authorizationList = signed ?? await signAuthorizations(ethers.provider, { chainId, sender: sender.address, senderNonce: nonce, entries });
+    const tx = buildSetCodeTransaction({
+      chainId,
+      nonce,
+      maxFeePerGas: gwei('1'),
+      maxPriorityFeePerGas: gwei('1'),
+      gasLimit: 200000n,
+      to: sender.address,
+      authorizationList
+    });
+    return ethers.provider.send('eth_sendRawTransaction', [await signSetCodeTransaction(tx, sender)]);
+  };
+
+  it('speeds up a stuck delegation with the same authorization', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const txHash = await sendStuck(eoa, [{ address: batchAddress, signer: eoa }]);
+
+    const result = await speedUpTransaction(ethers.provider, { txHash, sender: eoa, receiptOptions, ...quiet });
+
+    expect(result.landed).to.equal('speed-up');
+    expect(result.replacedTxHash).to.equal(txHash);
+    expect(result.authorizations).to.deep.equal([{ authority: eoa.address, delegate: batchAddress, status: 'applied' }]);
+    expect(await ethers.provider.getTransactionReceipt(txHash)).to.equal(null);
+    const replacement = await ethers.provider.send('eth_getTransactionByHash', [result.txHash]);
+    expect(BigInt(replacement.maxFeePerGas) >= gwei('1.1')).to.equal(true);
+    expect(parseDelegationDesignator(await ethers.provider.getCode(eoa.address))).to.equal(batchAddress);
+  });
+
+  it('refuses to speed up an authorization whose nonce moved, unless told to', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    // Signed at nonce 0, but the authority moved on before the transaction was mined
+    const { chainId } = await ethers.provider.getNetwork();
+    const stale = await signAuthorization({ chainId, address: batchAddress, nonce: 0 }, eoa);
+    await ethers.provider.send('hardhat_setNonce', [eoa.address, '0x1']);
+    const txHash = await sendStuck(sponsor, null, [stale]);
+
+    await expect(speedUpTransaction(ethers.provider, { txHash, sender: sponsor, receiptOptions, ...quiet }))
+      .to.be.rejectedWith(/nonce 0 is stale[\s\S]*acceptInvalidAuthorizations/);
+    const result = await speedUpTransaction(ethers.provider, { txHash, sender: sponsor, receiptOptions, acceptInvalidAuthorizations: true, ...quiet });
+
+    expect(result.stale).to.deep.equal([eoa.address]);
+    expect(result.authorizations).to.deep.equal([{ authority: eoa.address, delegate: batchAddress, status: 'skipped' }]);
+  });
+
+  it('cancels a sponsored delegation and uses up the authorizations it has keys for', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    const other = await newWallet();
+    const txHash = await sendStuck(sponsor, [{ address: batchAddress, signer: eoa }, { address: batchAddress, signer: other }]);
+    const logs = [];
+
+    const result = await cancelTransaction(ethers.provider, { txHash, sender: sponsor, authorities: [eoa], receiptOptions, log: line => logs.push(line) });
+
+    expect(result.landed).to.equal('cancel');
+    expect(result.receipt.to).to.equal(sponsor.address);
+    expect(result.authorizations).to.deep.equal([
+      { authority: eoa.address, nonce: 0n, status: 'burned' },
+      { authority: other.address, nonce: 0n, status: 'valid' }
+    ]);
+    expect(logs.some(line => line.includes(`without the key of ${other.address}`))).to.equal(true);
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+    expect(await ethers.provider.getTransactionCount(eoa.address)).to.equal(1);
+  });
+
+  it('cancels a self-paid delegation with its own authorization nonce', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const txHash = await sendStuck(eoa, [{ address: batchAddress, signer: eoa }]);
+
+    const result = await cancelTransaction(ethers.provider, { txHash, sender: eoa, receiptOptions, ...quiet });
+
+    expect(result.landed).to.equal('cancel');
+    expect(result.authorizations).to.deep.equal([{ authority: eoa.address, nonce: 1n, status: 'burned' }]);
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+    expect(await ethers.provider.getTransactionCount(eoa.address)).to.equal(2);
+  });
+
+  it('refuses transactions that are mined or from someone else', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    const txHash = await sendStuck(eoa, [{ address: batchAddress, signer: eoa }]);
+
+    await expect(speedUpTransaction(ethers.provider, { txHash, sender: sponsor, ...quiet })).to.be.rejectedWith(/is from/);
+    await ethers.provider.send('evm_mine', []);
+    await expect(getPendingTransaction(ethers.provider, txHash)).to.be.rejectedWith(/already mined/);
+  });
+});
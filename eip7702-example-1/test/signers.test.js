@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+const { setDelegation } = require('../lib/flows');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const {
+  DigestSigner,
+  fromSigningKey,
+  keystoreSigner,
+  externalSigner,
+  createSignerServer,
+  signerFromSpec
+} = require('../lib/signers');
+const { createSignerPolicy } = require('../lib/signerPolicy');
+const { buildAuthorization, getAuthorizationHash } = require('../lib/eip7702');
+const { deployContracts, quiet } = require('./fixtures');
+
+describe('Signer backends', () => {
+  const TEST_MNEMONIC = 'test test test test test test test test test test test junk';
+
+  it('delegates an account whose key only exists in an encrypted keystore', async () => {
+    const { batchAddress } = await loadFixture(deployContracts);
+    const account = ethers.Wallet.createRandom();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    try {
+      // A cheap scrypt setting keeps the test fast; real keystores use the default
+      const keystore = path.join(dir, 'account.json');
+      fs.writeFileSync(keystore, await ethers.encryptKeystoreJson(account, 'correct horse', { scrypt: { N: 1 << 10 } }));
+      fs.writeFileSync(path.join(dir, 'password'), 'correct horse\n');
+      fs.writeFileSync(path.join(dir, 'wrong'), 'battery staple\n');
+
+      await expect(keystoreSigner(keystore, { passwordFile: path.join(dir, 'wrong') })).to.be.rejectedWith(/Could not decrypt/);
+      const signer = await signerFromSpec(`keystore:${keystore}`, { passwordFile: path.join(dir, 'password'), provider: ethers.provider });
+      expect(signer.address).to.equal(account.address);
+
+      await setBalance(signer.address, ethers.parseEther('1'));
+      await setDelegation(ethers.provider, { wallet: signer, delegate: batchAddress, ...quiet });
+      expect(parseDelegationDesignator(await ethers.provider.getCode(account.address))).to.equal(batchAddress);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  it('derives mnemonic accounts and refuses raw keys when they are not allowed', async () => {
+    expect((await signerFromSpec('mnemonic:0', { mnemonic: TEST_MNEMONIC })).address).to.equal('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+    expect((await signerFromSpec("mnemonic:m/44'/60'/0'/0/1", { mnemonic: TEST_MNEMONIC })).address).to.equal('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+
+    const key = ethers.Wallet.createRandom().privateKey;
+    const error = await signerFromSpec(key, { allowRawKey: false }).catch(caught => caught);
+    expect(error.message).to.match(/not allowed/).and.not.include(key.slice(2));
+    await expect(signerFromSpec('mnemonic:0', {})).to.be.rejectedWith(/needs a mnemonic/);
+  });
+
+  it('signs through an external signer process that applies its own policy', async () => {
+    const { batchAddress, sponsor } = await loadFixture(deployContracts);
+    const account = fromSigningKey(ethers.Wallet.createRandom().signingKey, 'remote key');
+    const approve = ({ context }) => {
+      if (context.kind !== 'authorization') throw new Error(`${context.kind} requests are not signed here`);
+    };
+    const server = await createSignerServer([account], { token: 'secret', approve, ...quiet }).listen(0);
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      await expect(externalSigner(url, { token: 'wrong' })).to.be.rejectedWith(/bearer token/);
+      const remote = await externalSigner(url, { token: 'secret', provider: ethers.provider });
+      expect(remote.address).to.equal(account.address);
+
+      await setDelegation(ethers.provider, { wallet: remote, sponsor, delegate: batchAddress, ...quiet });
+      expect(parseDelegationDesignator(await ethers.provider.getCode(account.address))).to.equal(batchAddress);
+      await expect(remote.signMessage('hello')).to.be.rejectedWith(/message requests are not signed here/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('refuses digests it cannot verify against the delegate allow-list', async () => {
+    const { batchAddress, recipient } = await loadFixture(deployContracts);
+    const account = fromSigningKey(ethers.Wallet.createRandom().signingKey, 'remote key');
+    await setBalance(account.address, ethers.parseEther('1'));
+    const approve = createSignerPolicy({ delegates: [batchAddress] });
+    const server = await createSignerServer([account], { approve, ...quiet }).listen(0);
+    try {
+      const remote = await externalSigner(`http://127.0.0.1:${server.address().port}`, { provider: ethers.provider });
+      const { chainId } = await ethers.provider.getNetwork();
+      const foreign = buildAuthorization({ chainId, address: ethers.Wallet.createRandom().address, nonce: 0 });
+
+      // An authorization for a delegate outside the list, passed off as something else
+      await expect(remote.signDigest(getAuthorizationHash(foreign), { kind: 'message', message: '0x1234' }))
+        .to.be.rejectedWith(/digest is not the hash of the message/);
+      await expect(remote.signDigest(getAuthorizationHash(foreign), { kind: 'blob' })).to.be.rejectedWith(/nothing to rebuild it from/);
+      await expect(remote.signDigest(getAuthorizationHash(foreign))).to.be.rejectedWith(/a bare digest/);
+      await expect(remote.signDigest(getAuthorizationHash(foreign), { kind: 'authorization', authorization: foreign }))
+        .to.be.rejectedWith(/is not allowed/);
+
+      // Requests that rebuild to their digest still go through: a type 0x04 delegation, a plain transfer and a message
+      await setDelegation(ethers.provider, { wallet: remote, delegate: batchAddress, ...quiet });
+      expect(parseDelegationDesignator(await ethers.provider.getCode(account.address))).to.equal(batchAddress);
+      await (await remote.sendTransaction({ to: recipient, value: 1000n })).wait();
+      expect(ethers.verifyMessage('hello', await remote.signMessage('hello'))).to.equal(account.address);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('drops the connection of a request body that is too large', async () => {
+    const account = fromSigningKey(ethers.Wallet.createRandom().signingKey, 'remote key');
+    const server = await createSignerServer([account], quiet).listen(0);
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      // Counted in bytes: 30,000 characters of 3 bytes each
+      await expect(fetch(url, { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'signer_accounts', params: ['€'.repeat(30000)] }) }))
+        .to.be.rejectedWith(/fetch failed/);
+      const reply = await (await fetch(url, { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'signer_accounts' }) })).json();
+      expect(reply.result).to.deep.equal([account.address]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('works as an ethers signer and rejects signatures of another key', async () => {
+    const { sponsor, recipient } = await loadFixture(deployContracts);
+    const signer = fromSigningKey(sponsor.signingKey, 'sponsor', ethers.provider);
+    await (await signer.sendTransaction({ to: recipient, value: 1000n })).wait();
+    expect(await ethers.provider.getBalance(recipient)).to.equal(1000n);
+
+    const other = ethers.Wallet.createRandom().signingKey;
+    const forged = new DigestSigner(sponsor.address, async (digest) => other.sign(digest), { description: 'faulty backend' });
+    await expect(forged.signMessage('hello')).to.be.rejectedWith(/faulty backend returned a signature that does not recover/);
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { signAuthorization } = require('../lib/eip7702');
+const { SECP256K1_N, AuthorizationError, validateAuthorizations } = require('../lib/validation');
+const { setDelegation, executeBatch, sendSetCodeTransaction } = require('../lib/flows');
+const { deployContracts, newWallet, quiet } = require('./fixtures');
+
+describe('Authorization validation', () => {
+  const sign = async (wallet, fields) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    return signAuthorization({ chainId, ...fields }, wallet);
+  };
+
+  // The problems reported for `authorizationList`, by tuple index
+  const problemsOf = async (authorizationList, options) => {
+    try {
+      await validateAuthorizations(ethers.provider, authorizationList, options);
+    } catch (error) {
+      expect(error).to.be.instanceOf(AuthorizationError);
+      return Object.fromEntries(error.problems.map(({ index, message }) => [index, message]));
+    }
+    return {};
+  };
+
+  it('accepts tuples whose nonces follow the sender and earlier tuples', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    const senderNonce = await ethers.provider.getTransactionCount(sponsor.address);
+
+    const checked = await validateAuthorizations(ethers.provider, [
+      await sign(sponsor, { address: batchAddress, nonce: senderNonce + 1 }),
+      await sign(eoa, { address: batchAddress, nonce: 0 }),
+      await sign(eoa, { address: ethers.ZeroAddress, nonce: 1 })
+    ], { sender: sponsor.address, senderNonce });
+
+    expect(checked.map(({ authority, nonce }) => [authority, nonce])).to.deep.equal([[sponsor.address, 1n], [eoa.address, 0n], [eoa.address, 1n]]);
+  });
+
+  it('rejects malformed fields and a non-canonical s', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    const valid = await sign(eoa, { address: batchAddress, nonce: 0 });
+    // The same signature mirrored into the upper half of the curve order still recovers
+    const mirrored = { ...valid, s: ethers.toBeHex(SECP256K1_N - BigInt(valid.s), 32), yParity: 1 - valid.yParity };
+
+    const problems = await problemsOf([
+      mirrored,
+      { ...valid, yParity: 2 },
+      { ...valid, nonce: (1n << 64n) - 1n },
+      { ...valid, r: ethers.ZeroHash }
+    ]);
+
+    expect(problems[0]).to.equal('s is not canonical (above n/2)');
+    expect(problems[1]).to.equal('yParity 2 is not 0 or 1');
+    expect(problems[2]).to.equal('nonce 18446744073709551615 is not below 2^64 - 1');
+    expect(problems[3]).to.equal('r is out of range');
+  });
+
+  it('rejects tuples the live chain state would skip', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    const contractAccount = await newWallet();
+    await ethers.provider.send('hardhat_setCode', [contractAccount.address, '0x6000']);
+    await setDelegation(ethers.provider, { wallet: sponsor, delegate: batchAddress, ...quiet });
+    const empty = ethers.Wallet.createRandom().address;
+
+    const problems = await problemsOf([
+      await signAuthorization({ chainId: 1n, address: batchAddress, nonce: 0 }, eoa),
+      await sign(eoa, { address: batchAddress, nonce: 5 }),
+      await sign(sponsor, { address: batchAddress, nonce: 0 }),
+      await sign(contractAccount, { address: batchAddress, nonce: 0 }),
+      await sign(eoa, { address: empty, nonce: 0 }),
+      await sign(eoa, { address: sponsor.address, nonce: 1 })
+    ]);
+
+    // Skipped tuples leave the nonce to the next one
+    expect(problems[0]).to.equal(`${eoa.address}: it is for chain 1, but the network is chain 31337`);
+    expect(problems[1]).to.match(/nonce 5 is ahead of the authority's nonce 0$/);
+    // The self-paid delegation used nonces 0 and 1
+    expect(problems[2]).to.match(/nonce 0 is stale; the authority will be at nonce 2$/);
+    expect(problems[3]).to.match(/the authority is a contract, not an EOA$/);
+    expect(problems[4]).to.match(new RegExp(`the delegate ${empty} has no code on chain 31337$`));
+    expect(problems[5]).to.match(/is itself a delegated account/);
+  });
+
+  it('runs before anything is signed or sent', async () => {
+    const { eoa, sponsor, batchAddress, recipient } = await loadFixture(deployContracts);
+    const nonces = async () => [await ethers.provider.getTransactionCount(eoa.address), await ethers.provider.getTransactionCount(sponsor.address)];
+    const before = await nonces();
+
+    await expect(executeBatch(ethers.provider, {
+      wallet: eoa,
+      sponsor,
+      delegate: ethers.Wallet.createRandom().address,
+      calls: [{ to: recipient, value: 1n, data: '0x' }],
+      ...quiet
+    })).to.be.rejectedWith(/Authorization list rejected:\n {2}\[0\] .*has no code/);
+
+    // A stale authorization signed earlier
+    const stale = await sign(eoa, { address: batchAddress, nonce: 0 });
+    await setDelegation(ethers.provider, { wallet: eoa, sponsor, delegate: batchAddress, ...quiet });
+    await expect(sendSetCodeTransaction(ethers.provider, { sender: sponsor, to: eoa.address, authorizationList: [stale], ...quiet }))
+      .to.be.rejectedWith(/nonce 0 is stale/);
+    expect(await nonces()).to.deep.equal([before[0] + 1, before[1] + 1]);
+  });
+});
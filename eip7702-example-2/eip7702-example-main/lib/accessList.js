@@ -0,0 +1,139 @@
+const { ethers } = require('ethers');
+const { recoverAuthority } = require('./eip7702');
+const { estimateSetCodeGas, toRpcAuthorization } = require('./gas');
+
+// EIP-2930 access lists for type 0x04 transactions. Listing an account or storage slot prepays it
+// (2400 / 1900 gas) so its first access costs 100 gas instead of 2600 / 2100: each entry the
+// transaction really touches saves about 100 gas, each entry it does not touch wastes its price.
+// The list comes from
+//   eth_createAccessList   when the node accepts the authorization list
+//   debug_traceCall        otherwise: the accounts and slots read in an opcode trace of the call
+// and is only worth sending when the gas estimate with it is lower.
+
+// Sender, recipient, authorities and precompiles are warm from the start, but not their storage
+const LAST_PRECOMPILE = 0x11n;
+
+const ACCOUNT_OPS = new Set(['BALANCE', 'EXTCODESIZE', 'EXTCODECOPY', 'EXTCODEHASH']);
+const CALL_OPS = new Set(['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL']);
+const STORAGE_OPS = new Set(['SLOAD', 'SSTORE']);
+
+const word = (value) => ethers.toBigInt(value.startsWith('0x') ? value : `0x${value}`);
+const toAddress = (value) => ethers.getAddress(ethers.toBeHex(word(value) & ((1n << 160n) - 1n), 20));
+// The struct logger lists the stack bottom first
+const peek = (stack, index) => stack[stack.length - 1 - index];
+
+const toRpc = (request) => ({
+  from: request.from,
+  to: request.to,
+  value: ethers.toQuantity(request.value ?? 0),
+  data: request.data ?? '0x',
+  authorizationList: (request.authorizationList ?? []).map(toRpcAuthorization)
+});
+
+// Accounts and storage slots an opcode trace touches, keyed by account
+const collectAccesses = (structLogs, to) => {
+  const touched = new Map([[to, new Set()]]);
+  const touch = (address) => {
+    if (!touched.has(address)) touched.set(address, new Set());
+    return touched.get(address);
+  };
+  // Storage context of each call depth; null inside contracts being created
+  const frames = [to];
+  let next = null;
+  for (const { op, depth, stack = [] } of structLogs) {
+    if (depth > frames.length) frames.push(next);
+    frames.length = depth;
+    const context = frames[depth - 1];
+
+    if (STORAGE_OPS.has(op) && context) touch(context).add(ethers.toBeHex(word(peek(stack, 0)), 32));
+    if (ACCOUNT_OPS.has(op)) touch(toAddress(peek(stack, 0)));
+    if (CALL_OPS.has(op)) {
+      const target = toAddress(peek(stack, 1));
+      touch(target);
+      // Code of the target, storage of the caller
+      next = op === 'CALL' || op === 'STATICCALL' ? target : context;
+    }
+    if (op === 'CREATE' || op === 'CREATE2') next = null;
+  }
+  return touched;
+};
+
+const fromTrace = async (provider, request) => {
+  const trace = await provider.send('debug_traceCall', [toRpc(request), 'latest', { disableMemory: true, disableStorage: true }]);
+  if (trace.failed) throw new Error('the traced call reverts');
+  const touched = collectAccesses(trace.structLogs, ethers.getAddress(request.to));
+  return [...touched].map(([address, keys]) => ({ address, storageKeys: [...keys] }));
+};
+
+const fromNode = async (provider, request) => {
+  const result = await provider.send('eth_createAccessList', [toRpc(request), 'latest']);
+  if (result.error) throw new Error(result.error);
+  return result.accessList.map(({ address, storageKeys }) => ({ address: ethers.getAddress(address), storageKeys }));
+};
+
+// The access list of `request` (from, to, value, data and a signed authorizationList), without the
+// entries that only list an account that is warm anyway. Resolves with { accessList, method }.
+const createAccessList = async (provider, request) => {
+  const warm = new Set([request.from, request.to, ...(request.authorizationList ?? []).map(recoverAuthority)].map(ethers.getAddress));
+  let entries;
+  let method = 'eth_createAccessList';
+  try {
+    entries = await fromNode(provider, request);
+  } catch (nodeError) {
+    method = 'debug_traceCall';
+    try {
+      entries = await fromTrace(provider, request);
+    } catch (traceError) {
+      throw new Error(`Cannot build an access list: eth_createAccessList failed (${nodeError.shortMessage || nodeError.message}) and so did debug_traceCall (${traceError.shortMessage || traceError.message})`);
+    }
+  }
+  // A delegated EOA runs its code in its own storage, e.g. the intent nonces of executeWithSignature
+  const accessList = entries.filter(({ address, storageKeys }) =>
+    (!warm.has(address) || storageKeys.length > 0) && ethers.toBigInt(address) > LAST_PRECOMPILE);
+  return { accessList, method };
+};
+
+// Estimates `request` with and without its access list and keeps the list only if it lowers the
+// gas. `baseline` is an estimateSetCodeGas result without a list, when the caller has one.
+// Resolves with { included, accessList, method, gasWithout, gasWith, estimate, reason }, where
+// `estimate` is the estimateSetCodeGas result to use.
+const chooseAccessList = async (provider, request, { marginPercent, baseline } = {}) => {
+  const without = baseline ?? await estimateSetCodeGas(provider, request, { marginPercent });
+  const none = (reason) => ({ included: false, accessList: [], method: null, gasWithout: without.estimate, gasWith: null, estimate: without, reason });
+
+  let generated;
+  try {
+    generated = await createAccessList(provider, request);
+  } catch (error) {
+    return none(error.message);
+  }
+  if (generated.accessList.length === 0) return none('the transaction touches no cold account');
+
+  const withList = await estimateSetCodeGas(provider, { ...request, accessList: generated.accessList }, { marginPercent });
+  const included = withList.estimate < without.estimate;
+  return {
+    included,
+    accessList: included ? generated.accessList : [],
+    method: generated.method,
+    gasWithout: without.estimate,
+    gasWith: withList.estimate,
+    estimate: included ? withList : without,
+    reason: null
+  };
+};
+
+const formatAccessListDecision = ({ included, accessList, method, gasWithout, gasWith, reason }) => {
+  if (gasWith === null) return `Access list: none (${reason})`;
+  const difference = gasWithout > gasWith ? `saves ${gasWithout - gasWith} gas` : `would cost ${gasWith - gasWithout} gas more`;
+  const size = included
+    ? `${accessList.length} account${accessList.length === 1 ? '' : 's'}, ${accessList.reduce((total, { storageKeys }) => total + storageKeys.length, 0)} storage keys (${method})`
+    : `from ${method}`;
+  return `Access list: ${included ? 'included' : 'left out'}, ${size}; estimate ${gasWithout} without, ${gasWith} with: ${difference}`;
+};
+
+module.exports = {
+  collectAccesses,
+  createAccessList,
+  chooseAccessList,
+  formatAccessListDecision
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { tokenInterface } = require('./token');
+const { normalizeCall } = require('./batchCallDelegation');
+
+// Keys allowed on each kind of batch entry; anything else is reported as a typo.
+// `optional: true` marks a call that may fail in a batch run with --allow-failures optional.
+const ENTRY_KEYS = {
+  eth: ['type', 'to', 'amount', 'optional'],
+  erc20: ['type', 'token', 'to', 'amount', 'optional'],
+  call: ['type', 'to', 'signature', 'artifact', 'function', 'args', 'value', 'optional']
+};
+
+// Reads a batch description from a .json, .yaml or .yml file.
+// YAML is read with the JSON schema so 0x-prefixed addresses stay strings.
+const loadBatchFile = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json'
+      ? JSON.parse(text)
+      : yaml.load(text, { schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    throw new Error(`Cannot parse batch file ${file}: ${error.message}`);
+  }
+};
+
+// Writes a batch description as JSON or, for .yaml and .yml files, YAML
+const saveBatchFile = (file, spec) => {
+  const text = path.extname(file).toLowerCase() === '.json'
+    ? `${JSON.stringify(spec, null, 2)}\n`
+    : yaml.dump(spec, { schema: yaml.JSON_SCHEMA });
+  fs.writeFileSync(file, text);
+};
+
+// Numbers past 2^53 have already lost precision by the time the file is parsed
+const checkNumbers = (value, where) => {
+  if (typeof value === 'number' && !Number.isSafeInteger(value) && !/^\d+\.\d+$/.test(String(value))) {
+    throw new Error(`${where}: ${value} cannot be represented exactly; quote it as a string`);
+  }
+  if (Array.isArray(value)) value.forEach((item, i) => checkNumbers(item, `${where}[${i}]`));
+  return value;
+};
+
+const toAmount = (value, where) => {
+  checkNumbers(value, where);
+  const amount = typeof value === 'number' ? String(value) : value;
+  if (typeof amount !== 'string' || !/^\d+(\.\d+)?$/.test(amount)) {
+    throw new Error(`${where}: expected a decimal amount such as "1.5", got ${JSON.stringify(value)}`);
+  }
+  return amount;
+};
+
+// An address, or the name of a contract recorded in deployments/
+const resolveTarget = (value, where, deployments) => {
+  if (typeof value === 'string' && ethers.isAddress(value)) return ethers.getAddress(value);
+  const deployment = deployments.find(candidate => candidate.name === value);
+  if (!deployment) throw new Error(`${where}: ${JSON.stringify(value)} is neither an address nor a contract in deployments/`);
+  return deployment.address;
+};
+
+// Function fragment from an ABI signature ("approve(address,uint256)") or a Hardhat artifact
+const resolveFunction = async (entry, where, readArtifact) => {
+  if ((entry.signature === undefined) === (entry.artifact === undefined)) {
+    throw new Error(`${where}: give either signature or artifact`);
+  }
+  if (entry.signature !== undefined) {
+    if (entry.function !== undefined) throw new Error(`${where}: function is only used together with artifact`);
+    const signature = String(entry.signature).trim();
+    try {
+      const iface = new ethers.Interface([signature.startsWith('function ') ? signature : `function ${signature}`]);
+      return { iface, fragment: iface.fragments[0] };
+    } catch (error) {
+      throw new Error(`${where}.signature: invalid function signature ${JSON.stringify(entry.signature)}`);
+    }
+  }
+
+  if (!readArtifact) throw new Error(`${where}.artifact: artifacts cannot be read here`);
+  if (typeof entry.function !== 'string') throw new Error(`${where}.function: name of the ${entry.artifact} function to call is required`);
+  let artifact;
+  try {
+    artifact = await readArtifact(entry.artifact);
+  } catch (error) {
+    throw new Error(`${where}.artifact: no artifact named ${JSON.stringify(entry.artifact)}`);
+  }
+  const iface = new ethers.Interface(artifact.abi);
+  let fragment;
+  try {
+    fragment = iface.getFunction(entry.function);
+  } catch (error) {
+    // Overloaded names need the full signature, e.g. "safeTransferFrom(address,address,uint256)"
+    throw new Error(`${where}.function: ${error.shortMessage || error.message}`);
+  }
+  if (!fragment) throw new Error(`${where}.function: ${entry.artifact} has no function ${JSON.stringify(entry.function)}`);
+  return { iface, fragment };
+};
+
+const resolveEntry = async (provider, entry, where, { deployments, readArtifact, tokens }) => {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`${where}: expected an object`);
+  const allowed = ENTRY_KEYS[entry.type];
+  if (!allowed) throw new Error(`${where}.type: expected one of ${Object.keys(ENTRY_KEYS).join(', ')}, got ${JSON.stringify(entry.type)}`);
+  const unknown = Object.keys(entry).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) throw new Error(`${where}: unknown key${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} for type ${entry.type}`);
+
+  if (entry.optional !== undefined && typeof entry.optional !== 'boolean') throw new Error(`${where}.optional: expected true or false`);
+  const to = resolveTarget(entry.to, `${where}.to`, deployments);
+
+  if (entry.type === 'eth') {
+    const amount = toAmount(entry.amount, `${where}.amount`);
+    return { call: { to, value: ethers.parseEther(amount), data: '0x' }, label: `send ${amount} ETH to ${to}` };
+  }
+
+  if (entry.type === 'erc20') {
+    const token = resolveTarget(entry.token, `${where}.token`, deployments);
+    const amount = toAmount(entry.amount, `${where}.amount`);
+    if (!tokens.has(token)) {
+      const contract = new ethers.Contract(token, tokenInterface, provider);
+      tokens.set(token, Promise.all([contract.decimals(), contract.symbol()]).catch(() => {
+        throw new Error(`${where}.token: ${token} does not answer decimals()/symbol(); is it an ERC20?`);
+      }));
+    }
+    const [decimals, symbol] = await tokens.get(token);
+    let value;
+    try {
+      value = ethers.parseUnits(amount, decimals);
+    } catch (error) {
+      throw new Error(`${where}.amount: ${amount} has more than ${decimals} decimals`);
+    }
+    return {
+      call: { to: token, value: 0n, data: tokenInterface.encodeFunctionData('transfer', [to, value]) },
+      label: `transfer ${amount} ${symbol} to ${to}`
+    };
+  }
+
+  const { iface, fragment } = await resolveFunction(entry, where, readArtifact);
+  const args = checkNumbers(entry.args ?? [], `${where}.args`);
+  if (!Array.isArray(args)) throw new Error(`${where}.args: expected a list`);
+  const value = entry.value === undefined ? 0n : ethers.parseEther(toAmount(entry.value, `${where}.value`));
+  if (value > 0n && !fragment.payable) throw new Error(`${where}.value: ${fragment.format()} is not payable`);
+  let data;
+  try {
+    data = iface.encodeFunctionData(fragment, args);
+  } catch (error) {
+    throw new Error(`${where}.args: cannot encode ${fragment.format()}: ${error.shortMessage || error.message}`);
+  }
+  return { call: { to, value, data }, label: `${fragment.format()} on ${to}${value > 0n ? ` with ${ethers.formatEther(value)} ETH` : ''}` };
+};
+
+// Validates a batch description and encodes it into the Call[] of BatchCallDelegation.execute,
+// with a label, the `optional` flag and the source entry of each call.
+// `deployments` comes from loadDeployments; `readArtifact(name)` resolves `artifact` entries.
+// Every problem in the file is reported at once, prefixed with its location (e.g. calls[2].to).
+const resolveBatch = async (provider, spec, { deployments = [], readArtifact } = {}) => {
+  if (spec === null || typeof spec !== 'object' || !Array.isArray(spec.calls) || spec.calls.length === 0) {
+    throw new Error('Invalid batch file: expected a non-empty "calls" list');
+  }
+
+  const tokens = new Map();
+  const calls = [];
+  const labels = [];
+  const optional = [];
+  const errors = [];
+  for (const [index, entry] of spec.calls.entries()) {
+    try {
+      const resolved = await resolveEntry(provider, entry, `calls[${index}]`, { deployments, readArtifact, tokens });
+      calls.push(normalizeCall(resolved.call));
+      labels.push(resolved.label);
+      optional.push(entry.optional === true);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  if (errors.length > 0) throw new Error(`Invalid batch file:\n  ${errors.join('\n  ')}`);
+  return { calls, labels, optional, entries: spec.calls };
+};
+
+module.exports = {
+  loadBatchFile,
+  saveBatchFile,
+  resolveBatch
+};
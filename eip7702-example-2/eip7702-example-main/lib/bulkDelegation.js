@@ -0,0 +1,158 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { sendSetCodeTransaction } = require('./flows');
+const { getIntrinsicGas, applyMargin, DEFAULT_MARGIN_PERCENT, MAX_TRANSACTION_GAS } = require('./gas');
+const { parseDelegationDesignator } = require('./delegation');
+const { DEFAULT_HD_PATH, mnemonicSigner, signerFromSpec } = require('./signers');
+
+const DEFAULT_MAX_PER_TRANSACTION = 64;
+const DEFAULT_MAX_GAS = MAX_TRANSACTION_GAS;
+
+// `count` accounts of a mnemonic, at `basePath`/start, `basePath`/start+1, ...
+const walletsFromMnemonic = (phrase, { count, start = 0, basePath = DEFAULT_HD_PATH }) =>
+  Array.from({ length: count }, (_, i) => mnemonicSigner(phrase, { path: `${basePath}/${start + i}` }));
+
+// One signer spec per line (keystore:<file>, mnemonic:<index>, external:<url> or, where allowed, a
+// private key; see signerFromSpec); blank lines and # comments are ignored. `options` go to
+// signerFromSpec. Every bad line is reported at once.
+const walletsFromKeyFile = async (file, options = {}) => {
+  const wallets = [];
+  const errors = [];
+  for (const [index, line] of fs.readFileSync(file, 'utf8').split(/\r?\n/).entries()) {
+    const spec = line.replace(/#.*/, '').trim();
+    if (!spec) continue;
+    try {
+      wallets.push(await signerFromSpec(spec, options));
+    } catch (error) {
+      errors.push(`${file}:${index + 1}: ${error.message}`);
+    }
+  }
+  if (errors.length > 0) throw new Error(`Invalid key file:\n  ${errors.join('\n  ')}`);
+  if (wallets.length === 0) throw new Error(`${file} contains no signers`);
+  return wallets;
+};
+
+// Largest number of authorizations per transaction whose gas limit stays within `maxGas`.
+// Each one adds the EIP-7702 per-authorization cost; the transaction carries no calldata.
+const maxAuthorizationsPerTransaction = ({
+  maxPerTransaction = DEFAULT_MAX_PER_TRANSACTION,
+  maxGas = DEFAULT_MAX_GAS,
+  marginPercent = DEFAULT_MARGIN_PERCENT
+} = {}) => {
+  let count = 0;
+  while (count < maxPerTransaction) {
+    const gas = applyMargin(getIntrinsicGas({ data: '0x', authorizationList: new Array(count + 1) }), marginPercent);
+    if (gas > ethers.toBigInt(maxGas)) break;
+    count++;
+  }
+  if (count === 0) throw new Error(`A gas limit of ${maxGas} does not fit a single authorization`);
+  return count;
+};
+
+// Sorts the distinct authorities into those that need an authorization and those reported without one:
+//   already    already in the requested state
+//   contract   has code that is not a delegation designator, so EIP-7702 ignores its authorizations
+const classifyAuthorities = async (provider, wallets, delegate) => {
+  const seen = new Set();
+  const pending = [];
+  const results = [];
+  for (const wallet of wallets) {
+    const address = wallet.address;
+    if (seen.has(address)) continue;
+    seen.add(address);
+
+    const code = await provider.getCode(address);
+    const current = parseDelegationDesignator(code);
+    if (code !== '0x' && current === null) results.push({ address, status: 'contract' });
+    else if ((current ?? ethers.ZeroAddress) === delegate) results.push({ address, status: 'already', delegate: current });
+    else pending.push(wallet);
+  }
+  return { pending, results };
+};
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+// Delegates every wallet to `delegate` (ZeroAddress revokes) with authorizations packed into as few
+// type 0x04 transactions as the limits allow, all paid by `gasPayer`. Nodes skip invalid
+// authorizations without failing the transaction, so each authority's code is read back afterwards.
+// Resolves with one result per wallet, in input order:
+//   { address, status: applied | skipped | failed | already | contract | duplicate, txHash, delegate, error }
+const bulkDelegate = async (provider, {
+  gasPayer,
+  wallets,
+  delegate,
+  maxPerTransaction,
+  maxGas,
+  marginPercent,
+  fees,
+  receiptOptions,
+  generateAccessList,
+  journal,
+  log = console.log
+}) => {
+  const target = ethers.getAddress(delegate);
+  const { pending, results } = await classifyAuthorities(provider, wallets, target);
+  const size = maxAuthorizationsPerTransaction({ maxPerTransaction, maxGas, marginPercent });
+  const chunks = chunk(pending, size);
+  log(`${pending.length} of ${wallets.length} authorities need an authorization: ${chunks.length} transaction${chunks.length === 1 ? '' : 's'} of up to ${size}`);
+
+  for (const [index, batch] of chunks.entries()) {
+    log(`Transaction ${index + 1}/${chunks.length}: ${batch.length} authorization${batch.length === 1 ? '' : 's'}`);
+    let txHash;
+    try {
+      // Sent to the gas payer itself: the authorizations are the whole point of the transaction
+      ({ txHash } = await sendSetCodeTransaction(provider, {
+        sender: gasPayer,
+        to: gasPayer.address,
+        authorizations: batch.map(wallet => ({ address: target, signer: wallet })),
+        marginPercent,
+        fees,
+        receiptOptions,
+        generateAccessList,
+        journal,
+        kind: 'bulk-delegate',
+        log
+      }));
+    } catch (error) {
+      for (const { address } of batch) results.push({ address, status: 'failed', txHash: error.receipt?.hash ?? null, error: error.message });
+      continue;
+    }
+
+    for (const { address } of batch) {
+      const current = parseDelegationDesignator(await provider.getCode(address));
+      results.push((current ?? ethers.ZeroAddress) === target
+        ? { address, status: 'applied', txHash, delegate: current }
+        : { address, status: 'skipped', txHash, delegate: current, error: 'authorization was not applied (nonce changed before inclusion or invalid signature)' });
+    }
+  }
+
+  // Repeated authorities are reported as duplicate after their first occurrence
+  const byAddress = new Map(results.map(result => [result.address, result]));
+  const reported = new Set();
+  return wallets.map(({ address }) => {
+    if (reported.has(address)) return { address, status: 'duplicate' };
+    reported.add(address);
+    return byAddress.get(address);
+  });
+};
+
+const formatBulkReport = (results) => {
+  const counts = results.reduce((total, { status }) => ({ ...total, [status]: (total[status] ?? 0) + 1 }), {});
+  return [
+    ...results.map(({ address, status, txHash, error }) =>
+      `  ${address}  ${status.padEnd(9)}${txHash ? ` ${txHash}` : ''}${error ? ` (${error})` : ''}`),
+    `Summary: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`
+  ].join('\n');
+};
+
+module.exports = {
+  DEFAULT_HD_PATH,
+  DEFAULT_MAX_PER_TRANSACTION,
+  DEFAULT_MAX_GAS,
+  walletsFromMnemonic,
+  walletsFromKeyFile,
+  maxAuthorizationsPerTransaction,
+  classifyAuthorities,
+  bulkDelegate,
+  formatBulkReport
+};
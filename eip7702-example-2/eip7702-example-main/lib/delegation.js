@@ -0,0 +1,94 @@
+const { ethers } = require('ethers');
+const { tokenInterface } = require('./token');
+const { findDeployment } = require('./deployments');
+
+// EIP-7702 delegation designator: 0xef0100 || address
+const DELEGATION_PREFIX = '0xef0100';
+const DELEGATION_CODE_LENGTH = 23;
+
+// Returns the delegate address encoded in `code`, or null if it is not a designator
+const parseDelegationDesignator = (code) => {
+  if (!code || ethers.dataLength(code) !== DELEGATION_CODE_LENGTH) return null;
+  if (ethers.dataSlice(code, 0, 3).toLowerCase() !== DELEGATION_PREFIX) return null;
+  return ethers.getAddress(ethers.dataSlice(code, 3));
+};
+
+const getTokenBalance = async (provider, token, account) => {
+  const contract = new ethers.Contract(token, tokenInterface, provider);
+  try {
+    const [balance, decimals, symbol] = await Promise.all([
+      contract.balanceOf(account),
+      contract.decimals(),
+      contract.symbol()
+    ]);
+    return { token, symbol, decimals: Number(decimals), balance, error: null };
+  } catch (error) {
+    return { token, symbol: null, decimals: null, balance: null, error: error.shortMessage || error.message };
+  }
+};
+
+// Delegation state, nonce and balances of one account. `deployments` ([{ name, address }])
+// labels known delegates; `tokens` lists ERC20 addresses to report balances for.
+const getDelegationStatus = async (provider, address, { deployments = [], tokens = [] } = {}) => {
+  const account = ethers.getAddress(address);
+  const [code, nonce, balance] = await Promise.all([
+    provider.getCode(account),
+    provider.getTransactionCount(account),
+    provider.getBalance(account)
+  ]);
+
+  const delegate = parseDelegationDesignator(code);
+  let state = 'eoa';
+  if (delegate) state = 'delegated';
+  else if (code !== '0x') state = 'contract';
+
+  let delegateInfo = null;
+  if (delegate) {
+    const known = findDeployment(deployments, delegate);
+    const delegateCode = await provider.getCode(delegate);
+    delegateInfo = {
+      address: delegate,
+      name: known?.name ?? null,
+      hasCode: delegateCode !== '0x'
+    };
+  }
+
+  return {
+    address: account,
+    state,
+    delegate: delegateInfo,
+    nonce,
+    balance,
+    tokens: await Promise.all(tokens.map(token => getTokenBalance(provider, token, account)))
+  };
+};
+
+const formatDelegationStatus = (status) => {
+  const lines = [`${status.address}`];
+  if (status.state === 'delegated') {
+    const name = status.delegate.name ? ` (${status.delegate.name})` : ' (unknown contract)';
+    lines.push(`  delegated to : ${status.delegate.address}${name}`);
+    if (!status.delegate.hasCode) lines.push('  warning      : delegate has no code, calls to this account do nothing');
+  } else if (status.state === 'contract') {
+    lines.push('  state        : contract account (not an EOA)');
+  } else {
+    lines.push('  state        : plain EOA, not delegated');
+  }
+  lines.push(
+    `  nonce        : ${status.nonce}`,
+    `  ETH balance  : ${ethers.formatEther(status.balance)}`
+  );
+  for (const token of status.tokens) {
+    lines.push(token.error
+      ? `  token        : ${token.token} (unreadable: ${token.error})`
+      : `  ${token.symbol.padEnd(13)}: ${ethers.formatUnits(token.balance, token.decimals)} (${token.token})`);
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  DELEGATION_PREFIX,
+  parseDelegationDesignator,
+  getDelegationStatus,
+  formatDelegationStatus
+};
@@ -0,0 +1,223 @@
+const { ethers } = require('ethers');
+const { batchInterface, NATIVE_EXECUTE, getBatchCalls, encodeExecute } = require('./batchCallDelegation');
+const { getDelegatedCode } = require('./gas');
+const { decodeCall } = require('./inspect');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to zero-initialized internal function'
+};
+
+// require() messages of AuthorizationERC20Delegation
+const TOKEN_REASONS = {
+  BALANCE: 'insufficient token balance',
+  ALLOWANCE: 'insufficient allowance',
+  SIG: 'signature does not recover to the authorizer',
+  TIME_NOT_YET: 'authorization is not valid yet (validAfter)',
+  TIME_EXPIRED: 'authorization has expired (validBefore)',
+  USED_OR_CANCELLED: 'authorization nonce was already used or canceled',
+  STATE: 'authorization nonce was already used or canceled'
+};
+
+// Errors of BatchCallDelegation itself, raised before any call of the batch runs
+const BATCH_REASONS = {
+  Unauthorized: 'only the account itself may call execute(); others need executeWithSignature()',
+  UnsupportedExecutionMode: 'the delegate supports the ERC-7821 single and batch modes only',
+  InvalidExecutionData: 'the ERC-7821 single-mode executionData is too short',
+  FlagsLengthMismatch: 'executeAllowingFailures() needs one allowFailure flag per call',
+  InvalidSignature: 'the intent signature does not recover to the account',
+  IntentExpired: 'the intent deadline has passed',
+  NonceAlreadyUsed: 'the intent already ran or its nonce was invalidated'
+};
+
+const decodeRevert = (data) => {
+  if (!data || data === '0x') return { kind: 'empty', message: 'reverted without data' };
+
+  const selector = ethers.dataSlice(data, 0, 4);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [reason] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      const hint = TOKEN_REASONS[reason];
+      return { kind: 'Error', reason, message: hint ? `${reason} (${hint})` : reason };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      return { kind: 'Panic', code, message: `Panic 0x${code.toString(16)}: ${PANIC_REASONS[Number(code)] ?? 'unknown panic code'}` };
+    }
+    const parsed = batchInterface.parseError(data);
+    if (parsed && BATCH_REASONS[parsed.name]) {
+      const args = parsed.fragment.inputs.map((input, i) => `${input.name}=${parsed.args[i]}`).join(', ');
+      return { kind: parsed.name, args: parsed.args, message: `${parsed.name}(${args}): ${BATCH_REASONS[parsed.name]}` };
+    }
+    if (parsed && parsed.name === 'CallReverted') {
+      const inner = decodeRevert(parsed.args.reason);
+      return {
+        kind: 'CallReverted',
+        index: Number(parsed.args.index),
+        to: parsed.args.to,
+        inner,
+        message: `call ${parsed.args.index} to ${parsed.args.to} reverted: ${inner.message}`
+      };
+    }
+  } catch (error) {
+    // Fall through to the raw representation
+  }
+  return { kind: 'unknown', selector, data, message: `custom error ${selector}` };
+};
+
+// Digs the revert data out of the different error shapes of ethers and Hardhat
+const getRevertData = (error) => {
+  const candidates = [error.data, error.error?.data, error.info?.error?.data, error.data?.data, error.error?.data?.data];
+  return candidates.find(candidate => typeof candidate === 'string' && ethers.isHexString(candidate)) ?? null;
+};
+
+// eth_call with the delegated code in `overrides`; returns null on success, the revert data otherwise
+const simulate = async (provider, { from, to, value, data }, overrides, blockTag) => {
+  try {
+    await provider.send('eth_call', [
+      { from, to, value: ethers.toQuantity(value ?? 0), data },
+      blockTag,
+      overrides
+    ]);
+    return null;
+  } catch (error) {
+    const revertData = getRevertData(error);
+    if (revertData === null) throw error;
+    return revertData;
+  }
+};
+
+// Re-simulates a failed batch of BatchCallDelegation (any of its execute functions) and pins the failure to a call.
+// Delegates that revert with CallReverted identify the call directly. Older deployments that
+// revert with "call reverted" are bisected by simulating growing prefixes of the batch, and the
+// failing call is then replayed on its own from the delegated account to recover its reason.
+const diagnoseBatchFailure = async (provider, { from, to, value, data, authorizationList, blockTag = 'latest' }) => {
+  if (typeof blockTag === 'number') blockTag = ethers.toQuantity(blockTag);
+  const overrides = await getDelegatedCode(provider, authorizationList ?? []);
+  const revertData = await simulate(provider, { from, to, value, data }, overrides, blockTag);
+  if (revertData === null) {
+    return { reproduced: false, message: 'The transaction no longer reverts when simulated; state has changed since it was mined' };
+  }
+
+  const parsedCall = batchInterface.parseTransaction({ data, value: value ?? 0 });
+  const revert = decodeRevert(revertData);
+  const calls = getBatchCalls(parsedCall);
+  if (calls === null) return { reproduced: true, index: null, revert, message: revert.message };
+
+  let index = revert.kind === 'CallReverted' ? revert.index : null;
+  let reason = revert.kind === 'CallReverted' ? revert.inner : revert;
+
+  // Only execute() predates CallReverted; a truncated signed batch would no longer match its signature
+  if (index === null && parsedCall.signature === NATIVE_EXECUTE && !BATCH_REASONS[revert.kind]) {
+    for (let k = 1; k <= calls.length; k++) {
+      const prefix = encodeExecute(calls.slice(0, k));
+      if (await simulate(provider, { from, to, value, data: prefix }, overrides, blockTag) !== null) {
+        index = k - 1;
+        break;
+      }
+    }
+    if (index !== null) {
+      const failing = calls[index];
+      const innerData = await simulate(provider, { from: to, to: failing.to, value: failing.value, data: failing.data }, overrides, blockTag);
+      if (innerData !== null) reason = decodeRevert(innerData);
+    }
+  }
+
+  if (index === null) return { reproduced: true, index: null, revert, message: revert.message };
+
+  const failing = calls[index];
+  return {
+    reproduced: true,
+    index,
+    call: decodeCall({ to: failing.to, value: failing.value, data: failing.data }),
+    selector: failing.data === '0x' ? null : ethers.dataSlice(failing.data, 0, 4),
+    revert: reason,
+    message: `Call ${index} to ${failing.to} failed: ${reason.message}`
+  };
+};
+
+// Per-call summary of a successful batch from the CallExecuted events emitted by `account`
+const summarizeBatchExecution = (receipt, account) => {
+  const executor = ethers.getAddress(account);
+  return receipt.logs
+    .filter(log => ethers.getAddress(log.address) === executor)
+    .map(log => batchInterface.parseLog(log))
+    .filter(parsed => parsed && parsed.name === 'CallExecuted')
+    .map((parsed, index) => ({
+      index,
+      success: parsed.args.success,
+      ...decodeCall({ to: parsed.args.to, value: parsed.args.value, data: parsed.args.data })
+    }));
+};
+
+const describeCall = (call) => {
+  if (call.kind === 'transfer') return `ETH transfer of ${ethers.formatEther(call.value)} to ${call.to}`;
+  if (call.kind === 'unknown') return `call ${call.selector} on ${call.to}`;
+  return `${call.contract}.${call.function.split('(')[0]} on ${call.to}`;
+};
+
+const formatBatchFailure = (diagnosis) => {
+  if (!diagnosis.reproduced || diagnosis.index === null) return diagnosis.message;
+  return [
+    `Batch call ${diagnosis.index} failed`,
+    `  target  : ${diagnosis.call.to}`,
+    `  selector: ${diagnosis.selector ?? '(none, plain ETH transfer)'}`,
+    `  call    : ${describeCall(diagnosis.call)}`,
+    `  reason  : ${diagnosis.revert.message}`
+  ].join('\n');
+};
+
+const formatBatchSummary = (summary) => [
+  `Executed ${summary.length} call${summary.length === 1 ? '' : 's'}:`,
+  ...summary.map(call => `  [${call.index}] ${call.success ? 'ok' : 'failed'} ${describeCall(call)}`)
+].join('\n');
+
+// Per-call outcome of executeAllowingFailures from the CallResult events emitted by `account`.
+// `calls` is the batch that was sent; failed calls carry their decoded revert reason.
+const summarizeBatchResults = (receipt, account, calls) => {
+  const executor = ethers.getAddress(account);
+  return receipt.logs
+    .filter(log => ethers.getAddress(log.address) === executor)
+    .map(log => batchInterface.parseLog(log))
+    .filter(parsed => parsed && parsed.name === 'CallResult')
+    .map((parsed) => {
+      const index = Number(parsed.args.index);
+      return {
+        index,
+        success: parsed.args.success,
+        returnData: parsed.args.returnData,
+        revert: parsed.args.success ? null : decodeRevert(parsed.args.returnData),
+        ...decodeCall({ to: parsed.args.to, value: parsed.args.value, data: calls[index]?.data ?? '0x' })
+      };
+    });
+};
+
+const formatBatchResults = (results) => {
+  const failed = results.filter(result => !result.success).length;
+  return [
+    `Ran ${results.length} call${results.length === 1 ? '' : 's'}, ${failed} failed:`,
+    ...results.map(result => `  [${result.index}] ${result.success ? 'ok' : 'FAILED'} ${describeCall(result)}${result.success ? '' : `: ${result.revert.message}`}`)
+  ].join('\n');
+};
+
+module.exports = {
+  decodeRevert,
+  getRevertData,
+  diagnoseBatchFailure,
+  summarizeBatchExecution,
+  formatBatchFailure,
+  formatBatchSummary,
+  summarizeBatchResults,
+  formatBatchResults
+};
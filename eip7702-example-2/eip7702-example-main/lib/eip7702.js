@@ -0,0 +1,247 @@
+const { ethers } = require('ethers');
+const { toSigner } = require('./signers');
+
+// EIP-7702 constants
+const AUTHORIZATION_MAGIC = '0x05'; // prefix of the authorization signing payload
+const SET_CODE_TX_TYPE = '0x04'; // transaction type identifier
+
+// RLP integers are minimal big-endian: zero is the empty string, never '0x00'
+const toRlpQuantity = (value) => {
+  const quantity = ethers.toBigInt(value ?? 0);
+  return quantity === 0n ? '0x' : ethers.toBeHex(quantity);
+};
+
+const fromRlpQuantity = (hex) => (hex === '0x' ? 0n : ethers.toBigInt(hex));
+
+// --- Authorizations ---
+
+const buildAuthorization = ({ chainId, address, nonce }) => ({
+  chainId: ethers.toBigInt(chainId),
+  address: ethers.getAddress(address),
+  nonce: ethers.toBigInt(nonce)
+});
+
+// keccak256(0x05 || rlp([chainId, address, nonce]))
+const getAuthorizationHash = (authorization) => ethers.keccak256(ethers.concat([
+  AUTHORIZATION_MAGIC,
+  ethers.encodeRlp([
+    toRlpQuantity(authorization.chainId),
+    authorization.address,
+    toRlpQuantity(authorization.nonce)
+  ])
+]));
+
+// `signer` is any backend of lib/signers.js, or a wallet or signing key
+const signAuthorization = async (authorization, signer) => {
+  const unsigned = buildAuthorization(authorization);
+  const signature = await toSigner(signer).signDigest(getAuthorizationHash(unsigned), { kind: 'authorization', authorization: unsigned });
+  return { ...unsigned, yParity: signature.yParity, r: signature.r, s: signature.s };
+};
+
+const recoverAuthority = (signedAuthorization) => ethers.recoverAddress(
+  getAuthorizationHash(signedAuthorization),
+  ethers.Signature.from({
+    r: signedAuthorization.r,
+    s: signedAuthorization.s,
+    yParity: Number(signedAuthorization.yParity)
+  })
+);
+
+const encodeAuthorization = (signedAuthorization) => [
+  toRlpQuantity(signedAuthorization.chainId),
+  signedAuthorization.address,
+  toRlpQuantity(signedAuthorization.nonce),
+  toRlpQuantity(signedAuthorization.yParity),
+  toRlpQuantity(signedAuthorization.r),
+  toRlpQuantity(signedAuthorization.s)
+];
+
+const decodeAuthorization = (fields) => {
+  if (!Array.isArray(fields) || fields.length !== 6) {
+    throw new Error('Invalid authorization tuple: expected [chainId, address, nonce, yParity, r, s]');
+  }
+  const [chainId, address, nonce, yParity, r, s] = fields;
+  return {
+    chainId: fromRlpQuantity(chainId),
+    address: ethers.getAddress(address),
+    nonce: fromRlpQuantity(nonce),
+    yParity: Number(fromRlpQuantity(yParity)),
+    r: ethers.toBeHex(fromRlpQuantity(r), 32),
+    s: ethers.toBeHex(fromRlpQuantity(s), 32)
+  };
+};
+
+// --- Authorization nonces ---
+//
+// The sender's nonce is incremented before the authorization list is processed, and every
+// applied authorization increments its authority's nonce. An entry whose nonce does not match
+// is skipped by the node while the transaction itself still succeeds, so nonces are derived
+// here rather than picked by hand:
+//   authority == sender: senderNonce + 1 + (earlier entries for the same authority)
+//   authority != sender: accountNonce + (earlier entries for the same authority)
+
+const resolveAuthorizationNonces = async (provider, { sender, senderNonce, authorities }) => {
+  const senderAddress = ethers.getAddress(sender);
+  const next = new Map();
+  const nonces = [];
+  for (const authority of authorities.map(ethers.getAddress)) {
+    if (!next.has(authority)) {
+      const base = authority === senderAddress
+        ? ethers.toBigInt(senderNonce) + 1n
+        : ethers.toBigInt(await provider.getTransactionCount(authority));
+      next.set(authority, base);
+    }
+    nonces.push(next.get(authority));
+    next.set(authority, next.get(authority) + 1n);
+  }
+  return nonces;
+};
+
+// Signs one authorization per entry ({ address, signer }) with the nonce the node will expect
+// when `sender` submits the transaction at `senderNonce`
+const signAuthorizations = async (provider, { chainId, sender, senderNonce, entries }) => {
+  const signers = entries.map(({ signer }) => toSigner(signer));
+  const nonces = await resolveAuthorizationNonces(provider, {
+    sender,
+    senderNonce,
+    authorities: signers.map(signer => signer.address)
+  });
+  const signed = [];
+  for (const [i, { address }] of entries.entries()) {
+    signed.push(await signAuthorization({ chainId, address, nonce: nonces[i] }, signers[i]));
+  }
+  return signed;
+};
+
+// Offline consistency check of an authorization list against the transaction that carries it
+const assertAuthorizationNonces = (tx, sender) => {
+  const senderAddress = ethers.getAddress(sender);
+  const expected = new Map([[senderAddress, tx.nonce + 1n]]);
+  tx.authorizationList.forEach((authorization, index) => {
+    const authority = recoverAuthority(authorization);
+    const nonce = ethers.toBigInt(authorization.nonce);
+    if (expected.has(authority) && expected.get(authority) !== nonce) {
+      const rule = authority === senderAddress
+        ? "the sender's authorizations start at its transaction nonce + 1"
+        : 'each entry must follow the previous one for the same authority';
+      throw new Error(`Authorization ${index} for ${authority} has nonce ${nonce}, expected ${expected.get(authority)} (${rule})`);
+    }
+    expected.set(authority, nonce + 1n);
+  });
+};
+
+// --- Type 0x04 transactions ---
+
+const buildSetCodeTransaction = (tx) => {
+  if (!tx.to) throw new Error('Set code transactions require a "to" address');
+  if (!tx.authorizationList || tx.authorizationList.length === 0) {
+    throw new Error('Set code transactions require a non-empty authorization list');
+  }
+  return {
+    chainId: ethers.toBigInt(tx.chainId),
+    nonce: ethers.toBigInt(tx.nonce),
+    maxPriorityFeePerGas: ethers.toBigInt(tx.maxPriorityFeePerGas ?? 0),
+    maxFeePerGas: ethers.toBigInt(tx.maxFeePerGas),
+    gasLimit: ethers.toBigInt(tx.gasLimit),
+    to: ethers.getAddress(tx.to),
+    value: ethers.toBigInt(tx.value ?? 0),
+    data: tx.data ?? '0x',
+    accessList: tx.accessList ?? [],
+    authorizationList: tx.authorizationList
+  };
+};
+
+const encodeTransactionFields = (tx) => [
+  toRlpQuantity(tx.chainId),
+  toRlpQuantity(tx.nonce),
+  toRlpQuantity(tx.maxPriorityFeePerGas),
+  toRlpQuantity(tx.maxFeePerGas),
+  toRlpQuantity(tx.gasLimit),
+  tx.to,
+  toRlpQuantity(tx.value),
+  tx.data,
+  tx.accessList.map(({ address, storageKeys }) => [address, storageKeys]),
+  tx.authorizationList.map(encodeAuthorization)
+];
+
+// Without a signature this is the signing payload, with one it is the raw transaction
+const serializeSetCodeTransaction = (tx, signature) => {
+  const fields = encodeTransactionFields(tx);
+  if (signature) {
+    fields.push(toRlpQuantity(signature.yParity), toRlpQuantity(signature.r), toRlpQuantity(signature.s));
+  }
+  return ethers.hexlify(ethers.concat([SET_CODE_TX_TYPE, ethers.encodeRlp(fields)]));
+};
+
+const getSetCodeTransactionHash = (tx) => ethers.keccak256(serializeSetCodeTransaction(tx));
+
+// Refuses to sign when an authorization nonce cannot be valid for this sender
+const signSetCodeTransaction = async (tx, signer) => {
+  const sender = toSigner(signer);
+  assertAuthorizationNonces(tx, sender.address);
+  const signature = await sender.signDigest(getSetCodeTransactionHash(tx), { kind: 'transaction', tx });
+  return serializeSetCodeTransaction(tx, signature);
+};
+
+const parseSetCodeTransaction = (raw) => {
+  const bytes = ethers.getBytes(raw);
+  if (bytes[0] !== Number(SET_CODE_TX_TYPE)) {
+    throw new Error(`Not a set code transaction: type 0x${bytes[0].toString(16).padStart(2, '0')}`);
+  }
+  const fields = ethers.decodeRlp(bytes.slice(1));
+  if (!Array.isArray(fields) || (fields.length !== 10 && fields.length !== 13)) {
+    throw new Error(`Invalid set code transaction: expected 10 or 13 fields, got ${fields.length}`);
+  }
+
+  const [chainId, nonce, maxPriorityFeePerGas, maxFeePerGas, gasLimit, to, value, data, accessList, authorizationList] = fields;
+  const tx = {
+    chainId: fromRlpQuantity(chainId),
+    nonce: fromRlpQuantity(nonce),
+    maxPriorityFeePerGas: fromRlpQuantity(maxPriorityFeePerGas),
+    maxFeePerGas: fromRlpQuantity(maxFeePerGas),
+    gasLimit: fromRlpQuantity(gasLimit),
+    to: ethers.getAddress(to),
+    value: fromRlpQuantity(value),
+    data,
+    accessList: accessList.map(([address, storageKeys]) => ({ address: ethers.getAddress(address), storageKeys })),
+    authorizationList: authorizationList.map(decodeAuthorization)
+  };
+
+  if (fields.length === 13) {
+    const [yParity, r, s] = fields.slice(10);
+    tx.signature = {
+      yParity: Number(fromRlpQuantity(yParity)),
+      r: ethers.toBeHex(fromRlpQuantity(r), 32),
+      s: ethers.toBeHex(fromRlpQuantity(s), 32)
+    };
+    tx.hash = ethers.keccak256(raw);
+  }
+  return tx;
+};
+
+const recoverSender = (tx) => {
+  if (!tx.signature) throw new Error('Transaction is not signed');
+  return ethers.recoverAddress(getSetCodeTransactionHash(tx), ethers.Signature.from(tx.signature));
+};
+
+module.exports = {
+  AUTHORIZATION_MAGIC,
+  SET_CODE_TX_TYPE,
+  toRlpQuantity,
+  fromRlpQuantity,
+  buildAuthorization,
+  getAuthorizationHash,
+  signAuthorization,
+  recoverAuthority,
+  encodeAuthorization,
+  decodeAuthorization,
+  resolveAuthorizationNonces,
+  signAuthorizations,
+  assertAuthorizationNonces,
+  buildSetCodeTransaction,
+  serializeSetCodeTransaction,
+  getSetCodeTransactionHash,
+  signSetCodeTransaction,
+  parseSetCodeTransaction,
+  recoverSender
+};
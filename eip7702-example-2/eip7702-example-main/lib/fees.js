@@ -0,0 +1,143 @@
+const { ethers } = require('ethers');
+
+// EIP-1559 fees for the transactions this project sends. Strategies:
+//   node      the node's suggestion (getFeeData), checked against the latest base fee
+//   history   a percentile of the tips paid in recent blocks (eth_feeHistory) on top of the next base fee
+//   fixed     `maxFeePerGas` and `maxPriorityFeePerGas` as given
+// Caps apply to every strategy. Chains without a base fee, or whose node suggests no EIP-1559
+// fees (common on Substrate-based EVM chains), get the gas price in both fields, which makes the
+// transaction pay exactly that price like a legacy one.
+
+const FEE_STRATEGIES = ['node', 'history', 'fixed'];
+const DEFAULT_FEE_PERCENTILE = 50;
+const DEFAULT_FEE_HISTORY_BLOCKS = 10;
+// Room for the base fee to rise over a few full blocks (12.5% each) before the transaction is mined
+const BASE_FEE_MULTIPLIER = 2n;
+
+const gwei = (value) => `${ethers.formatUnits(value, 'gwei')} gwei`;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// `percentile` of the tips in the last `blocks` blocks (their median), and the base fee of the next block.
+// Empty blocks report a zero tip, so they are left out.
+const getFeeHistory = async (provider, { percentile = DEFAULT_FEE_PERCENTILE, blocks = DEFAULT_FEE_HISTORY_BLOCKS } = {}) => {
+  let history;
+  try {
+    history = await provider.send('eth_feeHistory', [ethers.toQuantity(blocks), 'latest', [percentile]]);
+  } catch (error) {
+    throw new Error(`The node does not serve eth_feeHistory (${error.shortMessage || error.message}); use the node or fixed fee strategy`);
+  }
+  const tips = (history.reward ?? [])
+    .filter((_, index) => history.gasUsedRatio[index] > 0)
+    .map(([tip]) => ethers.toBigInt(tip));
+  return {
+    nextBaseFee: ethers.toBigInt(history.baseFeePerGas.at(-1)),
+    tip: tips.length > 0 ? median(tips) : null
+  };
+};
+
+const fromNode = async (provider, baseFee, options, notes) => {
+  const feeData = await provider.getFeeData();
+  if (baseFee === null || feeData.maxFeePerGas === null) {
+    if (feeData.gasPrice === null) throw new Error('The node suggests no fees; use the fixed fee strategy');
+    notes.push(`the node suggests no EIP-1559 fees, so its gas price of ${gwei(feeData.gasPrice)} is paid`);
+    return { maxFeePerGas: feeData.gasPrice, maxPriorityFeePerGas: feeData.gasPrice };
+  }
+
+  // A missing or zero tip is checked against what recent blocks paid; chains that do not use tips keep zero
+  let tip = feeData.maxPriorityFeePerGas ?? 0n;
+  if (tip === 0n) {
+    const history = await getFeeHistory(provider, options).catch(() => null);
+    if (history?.tip > 0n) {
+      tip = history.tip;
+      notes.push(`the node suggests no tip; recent blocks paid ${gwei(tip)}`);
+    }
+  }
+  let maxFee = feeData.maxFeePerGas;
+  if (maxFee < baseFee + tip) {
+    maxFee = baseFee * BASE_FEE_MULTIPLIER + tip;
+    notes.push(`the node's max fee is below the base fee of ${gwei(baseFee)} plus the tip; raised`);
+  }
+  return { maxFeePerGas: maxFee, maxPriorityFeePerGas: tip };
+};
+
+const fromHistory = async (provider, baseFee, options, notes) => {
+  const history = await getFeeHistory(provider, options);
+  if (history.tip === null) notes.push('no recent block paid tips; none is added');
+  const tip = history.tip ?? 0n;
+  return { maxFeePerGas: history.nextBaseFee * BASE_FEE_MULTIPLIER + tip, maxPriorityFeePerGas: tip };
+};
+
+// Fees to sign with. `options`:
+//   strategy               node | history | fixed (default: fixed when maxFeePerGas is given, node otherwise)
+//   maxFeePerGas           fixed max fee, in wei
+//   maxPriorityFeePerGas   fixed tip, in wei (default: the max fee, i.e. a plain gas price)
+//   percentile, blocks     what the history strategy looks at
+//   maxFeeCap              highest max fee to sign, in wei
+//   priorityFeeCap         highest tip to sign, in wei
+// Resolves with { maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas, strategy, notes }; `notes`
+// explains every adjustment.
+const getFees = async (provider, options = {}) => {
+  const strategy = options.strategy ?? (options.maxFeePerGas !== undefined ? 'fixed' : 'node');
+  if (!FEE_STRATEGIES.includes(strategy)) throw new Error(`Unknown fee strategy "${strategy}"; use ${FEE_STRATEGIES.join(', ')}`);
+  const { baseFeePerGas } = await provider.getBlock('latest');
+  const notes = [];
+
+  let fees;
+  if (strategy === 'fixed') {
+    if (options.maxFeePerGas === undefined) throw new Error('The fixed fee strategy needs a max fee');
+    fees = { maxFeePerGas: options.maxFeePerGas, maxPriorityFeePerGas: options.maxPriorityFeePerGas ?? options.maxFeePerGas };
+  } else if (strategy === 'history') {
+    if (baseFeePerGas === null) throw new Error('The chain has no base fee, so there is no fee history to follow; use the node or fixed fee strategy');
+    fees = await fromHistory(provider, baseFeePerGas, options, notes);
+  } else {
+    fees = await fromNode(provider, baseFeePerGas, options, notes);
+  }
+
+  let { maxFeePerGas, maxPriorityFeePerGas } = fees;
+  if (options.priorityFeeCap !== undefined && maxPriorityFeePerGas > options.priorityFeeCap) {
+    maxPriorityFeePerGas = options.priorityFeeCap;
+    notes.push(`tip capped at ${gwei(maxPriorityFeePerGas)}`);
+  }
+  if (options.maxFeeCap !== undefined && maxFeePerGas > options.maxFeeCap) {
+    maxFeePerGas = options.maxFeeCap;
+    notes.push(`max fee capped at ${gwei(maxFeePerGas)}`);
+  }
+  // Nodes reject a tip above the max fee
+  if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+  if (baseFeePerGas !== null && maxFeePerGas < baseFeePerGas) {
+    notes.push(`the max fee is below the current base fee of ${gwei(baseFeePerGas)}; the transaction waits until it drops`);
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas, strategy, notes };
+};
+
+const formatFees = ({ maxFeePerGas, maxPriorityFeePerGas, strategy, notes }) =>
+  [`Fees (${strategy}): max ${gwei(maxFeePerGas)}, tip ${gwei(maxPriorityFeePerGas)}`, ...notes.map(note => `  ${note}`)].join('\n');
+
+// Aborts before signing when `from` could spend more than `maxTotalCost` (if given) or more than
+// it holds. The worst case is every unit of gas at the max fee, plus the value sent.
+const requireAffordable = async (provider, { from, gasLimit, maxFeePerGas, value = 0n }, { maxTotalCost } = {}) => {
+  const cost = ethers.toBigInt(gasLimit) * ethers.toBigInt(maxFeePerGas) + ethers.toBigInt(value);
+  const detail = `${gasLimit} gas at ${gwei(maxFeePerGas)}${value > 0n ? ` plus ${ethers.formatEther(value)} ETH sent` : ''}`;
+  if (maxTotalCost !== undefined && cost > maxTotalCost) {
+    throw new Error(`The transaction could cost ${from} up to ${ethers.formatEther(cost)} ETH (${detail}), above the limit of ${ethers.formatEther(maxTotalCost)} ETH`);
+  }
+  const balance = await provider.getBalance(from);
+  if (balance < cost) {
+    throw new Error(`${from} holds ${ethers.formatEther(balance)} ETH, but the transaction could cost up to ${ethers.formatEther(cost)} ETH (${detail})`);
+  }
+  return cost;
+};
+
+module.exports = {
+  FEE_STRATEGIES,
+  DEFAULT_FEE_PERCENTILE,
+  DEFAULT_FEE_HISTORY_BLOCKS,
+  getFeeHistory,
+  getFees,
+  formatFees,
+  requireAffordable
+};
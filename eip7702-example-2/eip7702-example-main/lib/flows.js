@@ -0,0 +1,345 @@
+const { ethers } = require('ethers');
+const { signAuthorizations, buildSetCodeTransaction, signSetCodeTransaction } = require('./eip7702');
+const { encodeExecute, encodeExecuteWithSignature, encodeExecuteAllowingFailures } = require('./batchCallDelegation');
+const { createSignedIntent } = require('./intent');
+const { estimateSetCodeGas, MAX_TRANSACTION_GAS } = require('./gas');
+const { getFees, formatFees, requireAffordable } = require('./fees');
+const { chooseAccessList, formatAccessListDecision } = require('./accessList');
+const { ANY_CHAIN_ID, ANY_CHAIN_WARNING, requireIdenticalCode } = require('./crossChain');
+const { validateAuthorizations } = require('./validation');
+const { sendJournaled, trackJournaled } = require('./journal');
+const {
+  diagnoseBatchFailure,
+  summarizeBatchExecution,
+  formatBatchFailure,
+  formatBatchSummary,
+  summarizeBatchResults,
+  formatBatchResults
+} = require('./diagnostics');
+const { tokenInterface, signTransferWithAuthorization, encodeTransferWithAuthorization } = require('./token');
+const { toSigner } = require('./signers');
+const { simulateTransaction, formatSimulation } = require('./simulation');
+
+// The delegated flows behind the Hardhat tasks. Wallets are signers of lib/signers.js or ethers
+// wallets, connected to `provider`; every flow forwards its other options to sendSetCodeTransaction.
+
+// Submits an already signed transaction, type 0x04 or the plain one of a direct transfer, and
+// waits for it. Failed transactions are re-simulated and the diagnosis is attached to the thrown
+// error. A `journal` of lib/journal.js records the signed transaction before it is sent, and its
+// fate; `kind` and `strategy` label the entry.
+const broadcastSetCodeTransaction = async (provider, {
+  signedTx,
+  tx,
+  sender,
+  receiptOptions = {},
+  journal,
+  kind,
+  strategy,
+  log = console.log
+}) => {
+  const txHash = await sendJournaled(provider, journal, signedTx, { kind, strategy });
+  log(`tx sent: ${txHash}`);
+  log('Waiting for transaction to be mined...');
+
+  const receipt = await trackJournaled(provider, journal, txHash, {
+    sender,
+    nonce: tx.nonce,
+    receiptOptions
+  });
+  log(`tx is mined in block ${receipt.blockNumber} (gas used ${receipt.gasUsed})`);
+
+  if (receipt.status === 0) {
+    // Re-simulate against the pre-block state to find the failing call and its reason
+    const failure = await diagnoseBatchFailure(provider, {
+      from: sender,
+      to: tx.to,
+      value: tx.value,
+      data: tx.data,
+      authorizationList: tx.authorizationList,
+      blockTag: receipt.blockNumber - 1
+    });
+    log(formatBatchFailure(failure));
+    const error = new Error(`Transaction failed. Hash: ${receipt.hash}`);
+    error.receipt = receipt;
+    error.failure = failure;
+    throw error;
+  }
+
+  return { txHash, receipt };
+};
+
+// Signs, submits and waits for a type 0x04 transaction sent by `sender` to `to`, carrying one
+// authorization per { address, signer } entry, or the already signed `authorizationList`.
+const sendSetCodeTransaction = async (provider, {
+  sender,
+  to,
+  value = 0n,
+  data = '0x',
+  authorizations,
+  authorizationList: signedAuthorizations,
+  marginPercent,
+  fees: feeOptions = {},
+  receiptOptions = {},
+  dryRun = false,
+  generateAccessList = false,
+  anyChain = false,
+  chains = [],
+  journal,
+  kind = 'set-code',
+  log = console.log
+}) => {
+  const { chainId } = await provider.getNetwork();
+  // `anyChain` signs the authorizations for chainId 0; before any chainId 0 authorization is signed
+  // or sent, its delegate's code is compared with the other `chains` (providers, see lib/crossChain.js)
+  if (anyChain && signedAuthorizations) throw new Error('anyChain only applies to authorizations signed here');
+  const universal = signedAuthorizations
+    ? signedAuthorizations.filter(authorization => ethers.toBigInt(authorization.chainId) === ANY_CHAIN_ID)
+    : (anyChain ? authorizations : []);
+  if (anyChain) log(ANY_CHAIN_WARNING);
+  if (universal.length > 0) await requireIdenticalCode(provider, chains, universal.map(({ address }) => address), { log });
+
+  const senderNonce = await provider.getTransactionCount(sender.address);
+  const authorizationList = signedAuthorizations ?? await signAuthorizations(provider, {
+    chainId: anyChain ? ANY_CHAIN_ID : chainId,
+    sender: sender.address,
+    senderNonce,
+    entries: authorizations
+  });
+  // Before anything is estimated or signed, as the node would skip an invalid one silently
+  await validateAuthorizations(provider, authorizationList, { sender: sender.address, senderNonce });
+  log(`Validated ${authorizationList.length} authorization${authorizationList.length === 1 ? '' : 's'} against chain ${chainId}`);
+
+  let gasLimit;
+  let accessList = [];
+  let reverts = false;
+  try {
+    const request = { from: sender.address, to, value, data, authorizationList };
+    let estimate = await estimateSetCodeGas(provider, request, { marginPercent });
+    // Built from a trace (lib/accessList.js) and included only if it saves gas
+    if (generateAccessList) {
+      const decision = await chooseAccessList(provider, request, { marginPercent, baseline: estimate });
+      log(formatAccessListDecision(decision));
+      ({ accessList, estimate } = decision);
+    }
+    gasLimit = estimate.gasLimit;
+    log(`Estimated gas limit: ${gasLimit} (${estimate.method})`);
+  } catch (error) {
+    // A dry run whose estimation reverts is still simulated, to show where it fails
+    if (!dryRun || !error.reverted) throw error;
+    reverts = true;
+    gasLimit = MAX_TRANSACTION_GAS;
+    log(`${error.message}; simulating with the gas limit cap of ${gasLimit}`);
+  }
+
+  // `fees` are the options of getFees() in lib/fees.js plus `maxTotalCost`, which caps the
+  // sender's worst-case cost along with its balance before anything is signed
+  const fees = await getFees(provider, feeOptions);
+  log(formatFees(fees));
+  // The gas cap stand-in of a reverting dry run is not what a real transaction would cost
+  if (!reverts) await requireAffordable(provider, { from: sender.address, gasLimit, maxFeePerGas: fees.maxFeePerGas, value }, feeOptions);
+  const tx = buildSetCodeTransaction({
+    chainId,
+    nonce: senderNonce,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+    maxFeePerGas: fees.maxFeePerGas,
+    gasLimit,
+    to,
+    value,
+    data,
+    accessList,
+    authorizationList
+  });
+  const signedTx = await signSetCodeTransaction(tx, sender);
+
+  // Simulated instead of sent (lib/simulation.js); the result carries the report, not a receipt
+  if (dryRun) {
+    const simulation = await simulateTransaction(provider, { signedTx });
+    log(formatSimulation(simulation));
+    return { tx, signedTx, txHash: null, receipt: null, simulation, authorizationList };
+  }
+
+  const { txHash, receipt } = await broadcastSetCodeTransaction(provider, {
+    signedTx,
+    tx,
+    sender: sender.address,
+    receiptOptions,
+    journal,
+    kind,
+    strategy: fees.strategy,
+    log
+  });
+  return { tx, signedTx, txHash, receipt, authorizationList };
+};
+
+// Points `wallet`'s code at `delegate` (ZeroAddress clears it). `sponsor` pays the gas if given.
+const setDelegation = async (provider, { wallet, sponsor, delegate, ...options }) => {
+  const log = options.log ?? console.log;
+  const result = await sendSetCodeTransaction(provider, {
+    kind: delegate === ethers.ZeroAddress ? 'revoke' : 'delegate',
+    ...options,
+    sender: sponsor ?? wallet,
+    to: wallet.address,
+    authorizations: [{ address: delegate, signer: wallet }]
+  });
+  if (options.dryRun) return result;
+  log(`EOA account's code: ${await provider.getCode(wallet.address)}`);
+  return result;
+};
+
+const revokeDelegation = (provider, { wallet, sponsor, ...options }) =>
+  setDelegation(provider, { ...options, wallet, sponsor, delegate: ethers.ZeroAddress });
+
+// How long the intent signed for a sponsored batch stays valid
+const INTENT_VALIDITY_SECONDS = 3600;
+
+// Delegates `wallet` to BatchCallDelegation and runs `calls` in the same transaction. The wallet
+// itself calls execute(); a `sponsor` instead submits an intent signed by the wallet to
+// executeWithSignature(), valid until `deadline` (default: one hour from the latest block).
+// With `allowFailure` (one flag per call) the batch runs through executeAllowingFailures(): flagged
+// calls may fail without reverting the rest, and the result carries their outcome as `results`.
+// `format: 'erc7821'` calls the standard ERC-7821 execute(mode, executionData) instead of execute(Call[]).
+const executeBatch = async (provider, { wallet, sponsor, delegate, calls, deadline, allowFailure, format = 'native', ...options }) => {
+  const log = options.log ?? console.log;
+  if (allowFailure && sponsor) throw new Error('A batch allowing failures runs through execute(), so the account has to send it itself; drop the sponsor');
+  if (format !== 'native' && (sponsor || allowFailure)) throw new Error(`The ${format} format only applies to a plain batch the account sends itself`);
+  let data = allowFailure ? encodeExecuteAllowingFailures(calls, allowFailure) : encodeExecute(calls, { format });
+  if (sponsor) {
+    const { timestamp } = await provider.getBlock('latest');
+    const { intent, signature } = await createSignedIntent(provider, wallet, {
+      calls,
+      deadline: deadline ?? timestamp + INTENT_VALIDITY_SECONDS
+    });
+    log(`Signed batch intent with nonce ${intent.nonce}, valid until ${intent.deadline}`);
+    data = encodeExecuteWithSignature(intent, signature);
+  }
+
+  const result = await sendSetCodeTransaction(provider, {
+    kind: 'batch',
+    ...options,
+    sender: sponsor ?? wallet,
+    to: wallet.address,
+    data,
+    authorizations: [{ address: delegate, signer: wallet }]
+  });
+  if (options.dryRun) return result;
+  if (allowFailure) {
+    const results = summarizeBatchResults(result.receipt, wallet.address, calls);
+    log(formatBatchResults(results));
+    return { ...result, results };
+  }
+  log(formatBatchSummary(summarizeBatchExecution(result.receipt, wallet.address)));
+  return result;
+};
+
+const getTokenInfo = async (provider, token, account) => {
+  const contract = new ethers.Contract(token, tokenInterface, provider);
+  const [balance, decimals, symbol] = await Promise.all([
+    contract.balanceOf(account),
+    contract.decimals(),
+    contract.symbol()
+  ]);
+  return { balance, decimals, symbol };
+};
+
+// ERC20 transfer out of `tokenHolder`, which needs no ETH: `gasPayer` sends the type 0x04
+// transaction with tokenHolder's signed intent, and tokenHolder's delegated code performs
+// transfer() as msg.sender.
+// `amount` is in human units and converted with the token's decimals.
+const sponsoredTransfer = async (provider, { tokenHolder, gasPayer, delegate, token, recipient, amount, ...options }) => {
+  const log = options.log ?? console.log;
+  const { balance, decimals, symbol } = await getTokenInfo(provider, token, tokenHolder.address);
+  const value = ethers.parseUnits(amount, decimals);
+
+  log(`Current ${symbol} balance of tokenHolder: ${ethers.formatUnits(balance, decimals)}`);
+  log(`Attempting to transfer: ${ethers.formatUnits(value, decimals)} ${symbol}`);
+  if (balance < value) throw new Error('Insufficient token balance');
+
+  const result = await executeBatch(provider, {
+    kind: 'sponsored-transfer',
+    ...options,
+    wallet: tokenHolder,
+    sponsor: gasPayer,
+    delegate,
+    calls: [{ data: tokenInterface.encodeFunctionData('transfer', [recipient, value]), to: token, value: 0n }]
+  });
+  if (options.dryRun) return result;
+
+  const { balance: newBalance } = await getTokenInfo(provider, token, tokenHolder.address);
+  log(`New ${symbol} balance of tokenHolder: ${ethers.formatUnits(newBalance, decimals)}`);
+  return result;
+};
+
+// EIP-3009 transferWithAuthorization signed by `wallet`. Sent as a normal transaction calling the
+// token, or, when `delegate` is given, as a single call inside the delegated batch.
+const transferWithAuthorization = async (provider, { wallet, token, recipient, amount, validForSeconds = 3600, delegate, ...options }) => {
+  const log = options.log ?? console.log;
+  // Dry runs and access lists are only wired into the type 0x04 path
+  if (options.dryRun && !delegate) throw new Error('A dry run of transferWithAuthorization needs the delegated path (--via-delegation)');
+  if (options.generateAccessList && !delegate) throw new Error('An access list for transferWithAuthorization needs the delegated path (--via-delegation)');
+  const { decimals, symbol } = await getTokenInfo(provider, token, wallet.address);
+  const now = Math.floor(Date.now() / 1000);
+
+  const authorization = await signTransferWithAuthorization(provider, wallet, {
+    token,
+    to: recipient,
+    value: ethers.parseUnits(amount, decimals),
+    validAfter: now - 60, // already valid
+    validBefore: now + validForSeconds
+  });
+  log(`Signed transferWithAuthorization of ${amount} ${symbol}, nonce ${authorization.nonce}`);
+
+  let result;
+  if (delegate) {
+    result = await executeBatch(provider, {
+      kind: 'transfer-with-authorization',
+      ...options,
+      wallet,
+      delegate,
+      calls: [{ data: encodeTransferWithAuthorization(authorization), to: token, value: 0n }]
+    });
+  } else {
+    // An ordinary type 2 transaction, priced, checked and journaled like the type 0x04 ones
+    const data = encodeTransferWithAuthorization(authorization);
+    const { gasLimit } = await estimateSetCodeGas(provider, { from: wallet.address, to: token, value: 0n, data }, { marginPercent: options.marginPercent });
+    const fees = await getFees(provider, options.fees);
+    log(formatFees(fees));
+    await requireAffordable(provider, { from: wallet.address, gasLimit, maxFeePerGas: fees.maxFeePerGas }, options.fees);
+    const { chainId } = await provider.getNetwork();
+    const tx = {
+      type: 2,
+      chainId,
+      nonce: await provider.getTransactionCount(wallet.address),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      maxFeePerGas: fees.maxFeePerGas,
+      gasLimit,
+      to: token,
+      value: 0n,
+      data
+    };
+    result = await broadcastSetCodeTransaction(provider, {
+      signedTx: await toSigner(wallet).signTransaction(tx),
+      tx,
+      sender: wallet.address,
+      receiptOptions: options.receiptOptions,
+      journal: options.journal,
+      kind: 'transfer-with-authorization',
+      strategy: fees.strategy,
+      log
+    });
+  }
+  if (options.dryRun) return { ...result, authorization };
+
+  const { balance } = await getTokenInfo(provider, token, recipient);
+  log(`Recipient balance after: ${ethers.formatUnits(balance, decimals)} ${symbol}`);
+  return { ...result, authorization };
+};
+
+module.exports = {
+  broadcastSetCodeTransaction,
+  sendSetCodeTransaction,
+  setDelegation,
+  revokeDelegation,
+  executeBatch,
+  sponsoredTransfer,
+  transferWithAuthorization
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { SET_CODE_TX_TYPE, parseSetCodeTransaction } = require('./eip7702');
+const { inspectSetCodeTransaction, decodeCall } = require('./inspect');
+const { waitForTransaction } = require('./receipt');
+const { revalidateAuthorizations } = require('./validation');
+
+const DEFAULT_JOURNAL_FILE = path.join(__dirname, '../journal/transactions.jsonl');
+
+// Local journal of the transactions this project sends. The file is append-only, one JSON line per
+// event, each flushed to disk before the call returns; a transaction is recorded once it is signed
+// and before it is broadcast, so a crash or Ctrl-C never loses it. Lines are keyed by transaction
+// hash, and later lines update earlier ones:
+//   { hash, at, status: 'signed', kind, chainId, from, to, nonce, value, gasLimit, fees, authorizations, call, rawTransaction }
+//   { hash, at, status, receipt?, error? }
+// Statuses: signed -> pending -> mined | failed | timeout | dropped | replaced, or rejected by the node.
+const OPEN_STATUSES = ['signed', 'pending', 'timeout', 'dropped'];
+
+const plain = (value) => JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+
+// What an accountant needs from a receipt
+const summarizeReceipt = (receipt) => ({
+  blockNumber: receipt.blockNumber,
+  blockHash: receipt.blockHash,
+  status: receipt.status,
+  gasUsed: receipt.gasUsed,
+  effectiveGasPrice: receipt.gasPrice
+});
+
+// The fields of a signed type 0x02 or 0x04 transaction that are journaled
+const describeSignedTransaction = (rawTransaction) => {
+  if (ethers.dataSlice(rawTransaction, 0, 1) === SET_CODE_TX_TYPE) {
+    const report = inspectSetCodeTransaction(rawTransaction);
+    return {
+      hash: ethers.keccak256(rawTransaction),
+      type: 4,
+      chainId: report.chainId,
+      from: report.from,
+      to: report.to,
+      nonce: report.nonce,
+      value: report.value,
+      gasLimit: report.gasLimit,
+      fees: { maxFeePerGas: report.maxFeePerGas, maxPriorityFeePerGas: report.maxPriorityFeePerGas },
+      authorizations: report.authorizations.map(({ authority, address, nonce, chainId }) => ({ authority, address, nonce, chainId })),
+      call: report.call
+    };
+  }
+  const tx = ethers.Transaction.from(rawTransaction);
+  return {
+    hash: tx.hash,
+    type: tx.type,
+    chainId: tx.chainId,
+    from: tx.from,
+    to: tx.to,
+    nonce: tx.nonce,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+    fees: { maxFeePerGas: tx.maxFeePerGas ?? tx.gasPrice, maxPriorityFeePerGas: tx.maxPriorityFeePerGas ?? tx.gasPrice },
+    authorizations: [],
+    call: decodeCall({ to: tx.to, value: tx.value, data: tx.data })
+  };
+};
+
+// Opens (or creates) the journal at `file`. `record` and `update` return the transaction hash.
+const openJournal = (file = DEFAULT_JOURNAL_FILE) => {
+  const append = (line) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const fd = fs.openSync(file, 'a+');
+    try {
+      // A line cut short by a crash is left alone; the next one starts on its own line
+      const { size } = fs.fstatSync(fd);
+      const lastByte = Buffer.alloc(1);
+      if (size > 0) fs.readSync(fd, lastByte, 0, 1, size - 1);
+      const prefix = size > 0 && lastByte.toString() !== '\n' ? '\n' : '';
+      fs.writeSync(fd, `${prefix}${JSON.stringify(plain({ ...line, at: new Date().toISOString() }))}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  // Journals a signed transaction before it is broadcast. `details` adds { kind, strategy, replaces }.
+  const record = (rawTransaction, { kind = 'set-code', strategy, replaces } = {}) => {
+    const { fees, ...tx } = describeSignedTransaction(rawTransaction);
+    append({
+      ...tx,
+      status: 'signed',
+      kind,
+      fees: { ...fees, ...(strategy ? { strategy } : {}) },
+      ...(replaces ? { replaces } : {}),
+      rawTransaction
+    });
+    return tx.hash;
+  };
+
+  const update = (hash, status, { receipt, error } = {}) => {
+    append({
+      hash,
+      status,
+      ...(receipt ? { receipt: summarizeReceipt(receipt) } : {}),
+      ...(error ? { error: error.shortMessage || error.message || String(error) } : {})
+    });
+    return hash;
+  };
+
+  // Every journaled transaction with its latest status, in the order they were recorded
+  const entries = () => {
+    if (!fs.existsSync(file)) return [];
+    const byHash = new Map();
+    for (const text of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (text.trim() === '') continue;
+      let line;
+      try {
+        line = JSON.parse(text);
+      } catch (error) {
+        // Cut short by a crash mid-write
+        continue;
+      }
+      const { at, ...fields } = line;
+      const entry = byHash.get(line.hash);
+      if (entry) Object.assign(entry, fields, { updatedAt: at });
+      // Updates of transactions sent before they were journaled have nothing to update
+      else if (line.status === 'signed') byHash.set(line.hash, { ...fields, createdAt: at, updatedAt: at });
+    }
+    return [...byHash.values()];
+  };
+
+  return { file, record, update, entries };
+};
+
+// Waits for the journaled transaction `hash` and records how it ended; rethrows wait errors
+const trackJournaled = async (provider, journal, hash, { sender, nonce, receiptOptions = {} }) => {
+  try {
+    const receipt = await waitForTransaction(provider, hash, { sender, nonce, ...receiptOptions });
+    journal?.update(hash, receipt.status === 1 ? 'mined' : 'failed', { receipt });
+    return receipt;
+  } catch (error) {
+    journal?.update(hash, error.status ?? 'failed', { error });
+    throw error;
+  }
+};
+
+// Sends a journaled transaction: recorded as signed first, pending once the node accepted it,
+// rejected if it did not
+const sendJournaled = async (provider, journal, rawTransaction, details) => {
+  journal?.record(rawTransaction, details);
+  let txHash;
+  try {
+    txHash = await provider.send('eth_sendRawTransaction', [rawTransaction]);
+  } catch (error) {
+    journal?.update(ethers.keccak256(rawTransaction), 'rejected', { error });
+    throw error;
+  }
+  journal?.update(txHash, 'pending');
+  return txHash;
+};
+
+// Picks up the open entries of the provider's chain after a crash or an interrupted wait: entries
+// already mined are recorded, entries whose nonce another transaction used are marked replaced,
+// entries the node no longer knows are broadcast again (unless `rebroadcast` is false), and the
+// rest are waited for. An entry whose authorizations the node would now skip is not broadcast
+// again unless `acceptInvalidAuthorizations` is set. Resolves with { hash, kind, status } per entry.
+const resumeJournal = async (provider, journal, {
+  rebroadcast = true,
+  acceptInvalidAuthorizations = false,
+  receiptOptions = {},
+  log = console.log
+} = {}) => {
+  const { chainId } = await provider.getNetwork();
+  const open = journal.entries().filter(entry => OPEN_STATUSES.includes(entry.status) && BigInt(entry.chainId) === chainId);
+  log(`${open.length} open journal entr${open.length === 1 ? 'y' : 'ies'} on chain ${chainId}`);
+
+  const results = [];
+  for (const entry of open) {
+    const { hash, kind, from } = entry;
+    const nonce = BigInt(entry.nonce);
+    let status;
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) {
+      status = receipt.status === 1 ? 'mined' : 'failed';
+      journal.update(hash, status, { receipt });
+    } else if (BigInt(await provider.getTransactionCount(from, 'latest')) > nonce) {
+      journal.update(hash, 'replaced', { error: `nonce ${nonce} of ${from} was used by another transaction` });
+      status = 'replaced';
+    } else {
+      const known = await provider.send('eth_getTransactionByHash', [hash]);
+      if (!known && !rebroadcast) {
+        log(`${hash} (${kind}): unknown to the node, not rebroadcast`);
+        results.push({ hash, kind, status: entry.status });
+        continue;
+      }
+      if (!known) {
+        try {
+          if (entry.type === 4) {
+            const { authorizationList } = parseSetCodeTransaction(entry.rawTransaction);
+            await revalidateAuthorizations(provider, authorizationList, { sender: from, senderNonce: nonce, accept: acceptInvalidAuthorizations, log });
+          }
+        } catch (error) {
+          log(`${hash} (${kind}): not broadcast again: ${error.message}`);
+          results.push({ hash, kind, status: entry.status });
+          continue;
+        }
+        try {
+          await provider.send('eth_sendRawTransaction', [entry.rawTransaction]);
+          journal.update(hash, 'pending');
+          log(`${hash} (${kind}): broadcast again`);
+        } catch (error) {
+          journal.update(hash, 'rejected', { error });
+          log(`${hash} (${kind}): rejected by the node: ${error.shortMessage || error.message}`);
+          results.push({ hash, kind, status: 'rejected' });
+          continue;
+        }
+      }
+      try {
+        status = (await trackJournaled(provider, journal, hash, { sender: from, nonce, receiptOptions })).status === 1 ? 'mined' : 'failed';
+      } catch (error) {
+        status = error.status ?? 'failed';
+      }
+    }
+    log(`${hash} (${kind}): ${status}`);
+    results.push({ hash, kind, status });
+  }
+  return results;
+};
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const CSV_COLUMNS = [
+  'hash', 'kind', 'status', 'chainId', 'from', 'to', 'nonce', 'valueEth', 'authorizations', 'calls',
+  'gasLimit', 'feeStrategy', 'maxFeePerGas', 'maxPriorityFeePerGas', 'blockNumber', 'gasUsed', 'effectiveGasPrice',
+  'feeEth', 'replaces', 'error', 'createdAt', 'updatedAt'
+];
+
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// "<function> <to>" per call, the inner calls of a batch included
+const describeCalls = (call) => {
+  if (!call) return '';
+  if (call.calls) return call.calls.map(describeCalls).join('; ');
+  const what = call.kind === 'transfer' ? `${ethers.formatEther(call.value)} ETH` : (call.function ?? call.selector ?? 'call');
+  return `${what} to ${call.to}`;
+};
+
+const toCsvRow = (entry) => {
+  const { receipt } = entry;
+  const row = {
+    ...entry,
+    valueEth: entry.value === undefined ? '' : ethers.formatEther(entry.value),
+    authorizations: (entry.authorizations ?? []).map(({ authority, address, nonce }) => `${authority}->${address}@${nonce}`).join('; '),
+    calls: describeCalls(entry.call),
+    feeStrategy: entry.fees?.strategy,
+    maxFeePerGas: entry.fees?.maxFeePerGas,
+    maxPriorityFeePerGas: entry.fees?.maxPriorityFeePerGas,
+    blockNumber: receipt?.blockNumber,
+    gasUsed: receipt?.gasUsed,
+    effectiveGasPrice: receipt?.effectiveGasPrice,
+    feeEth: receipt ? ethers.formatEther(BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice)) : ''
+  };
+  return CSV_COLUMNS.map(column => csvField(row[column])).join(',');
+};
+
+// The journal as CSV (one row per transaction, amounts in ETH and wei) or JSON (every field)
+const exportJournal = (entries, format = 'csv') => {
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format "${format}"; use ${EXPORT_FORMATS.join(' or ')}`);
+  if (format === 'json') return `${JSON.stringify(entries, null, 2)}\n`;
+  return `${[CSV_COLUMNS.join(','), ...entries.map(toCsvRow)].join('\n')}\n`;
+};
+
+module.exports = {
+  DEFAULT_JOURNAL_FILE,
+  OPEN_STATUSES,
+  EXPORT_FORMATS,
+  openJournal,
+  sendJournaled,
+  trackJournaled,
+  resumeJournal,
+  exportJournal
+};
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const {
+  buildAuthorization,
+  signAuthorization,
+  recoverAuthority,
+  buildSetCodeTransaction,
+  signSetCodeTransaction,
+  parseSetCodeTransaction,
+  recoverSender
+} = require('./eip7702');
+const { EXECUTE_FORMATS, encodeExecute, encodeExecuteWithSignature, normalizeCall } = require('./batchCallDelegation');
+const { estimateSetCodeGas } = require('./gas');
+const { getFees, requireAffordable } = require('./fees');
+const { signBatchIntent, recoverIntentSigner } = require('./intent');
+const { toSigner } = require('./signers');
+const { parseDelegationDesignator } = require('./delegation');
+const { broadcastSetCodeTransaction, sendSetCodeTransaction } = require('./flows');
+const { decodeCall, toJson } = require('./inspect');
+const { simulateTransaction, formatSimulation } = require('./simulation');
+const { ANY_CHAIN_ID, ANY_CHAIN_WARNING, requireIdenticalCode } = require('./crossChain');
+const { validateAuthorizations } = require('./validation');
+
+// Air-gapped signing in three steps:
+//   1. online   createSigningRequest  -> request file (unsigned authorization, batch, transaction)
+//   2. offline  signSigningRequest    -> signatures file, signed with the authority's key
+//   3. online   broadcastSignedRequest checks the signatures against the request and sends it
+// Self-paid requests carry the whole unsigned transaction, which the authority signs offline.
+// Sponsored requests leave the transaction to the sponsor; the authority signs the authorization
+// and, when there are calls, a batch intent for executeWithSignature().
+// An authorization signed for chainId 0 in a sponsored request without calls can be broadcast on
+// every chain where the authority is at the requested nonce; everything else is bound to its chain.
+
+const REQUEST_TYPE = 'eip7702-signing-request';
+const SIGNATURES_TYPE = 'eip7702-signatures';
+const FORMAT_VERSION = 1;
+
+// JSON with sorted keys and bigints as strings, so the hash does not depend on formatting
+const canonicalJson = (value) => {
+  if (typeof value === 'bigint') return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const getRequestHash = (request) => ethers.id(canonicalJson(request));
+
+const toBigInts = (object, keys) => Object.fromEntries(Object.entries(object).map(([key, value]) =>
+  [key, keys.includes(key) ? ethers.toBigInt(value) : value]));
+
+// The offline reviewer reads the summary (delegate, calls) but signs the authorization and the
+// transaction, so a request whose signed fields differ from its summary is refused
+const requireConsistentRequest = (request) => {
+  const problems = [];
+  const { chainId, authority, delegate, authorization, transaction } = request;
+  if (authorization.address !== delegate) problems.push(`the authorization delegates to ${authorization.address}, not ${delegate}`);
+  if (authorization.chainId !== chainId && authorization.chainId !== 0n) problems.push(`the authorization is for chain ${authorization.chainId}, not ${chainId}`);
+  if (request.sponsor && transaction) problems.push('a sponsored request carries a transaction');
+  if (!request.sponsor && !transaction) problems.push('a self-paid request carries no transaction');
+  // The data is encoded in the request's own execute format
+  const knownFormat = EXECUTE_FORMATS.includes(request.format);
+  if (!knownFormat) problems.push(`the execute format ${JSON.stringify(request.format)} is not ${EXECUTE_FORMATS.join(' or ')}`);
+  if (request.sponsor && request.format !== 'native' && request.calls.length > 0) problems.push(`a sponsored batch runs through executeWithSignature(), not the ${request.format} format`);
+  if (transaction) {
+    if (transaction.to !== authority) problems.push(`the transaction is sent to ${transaction.to}, not ${authority}`);
+    if (transaction.value !== 0n) problems.push(`the transaction sends ${ethers.formatEther(transaction.value)} ETH`);
+    if (transaction.chainId !== chainId) problems.push(`the transaction is for chain ${transaction.chainId}, not ${chainId}`);
+    if (knownFormat) {
+      const data = request.calls.length > 0 ? encodeExecute(request.calls, { format: request.format }) : '0x';
+      if (String(transaction.data).toLowerCase() !== data) problems.push('the transaction data is not the batch of calls');
+    }
+  }
+  if (problems.length > 0) throw new Error(`Inconsistent signing request:\n  ${problems.join('\n  ')}`);
+  return request;
+};
+
+// Request as written by createSigningRequest, with its numbers and addresses restored
+const normalizeRequest = (request) => {
+  if (request?.type !== REQUEST_TYPE) throw new Error(`Not a signing request (type ${JSON.stringify(request?.type)})`);
+  if (request.version !== FORMAT_VERSION) throw new Error(`Unsupported signing request version ${request.version}`);
+  return requireConsistentRequest({
+    ...request,
+    chainId: ethers.toBigInt(request.chainId),
+    authority: ethers.getAddress(request.authority),
+    delegate: ethers.getAddress(request.delegate),
+    sponsor: request.sponsor ? ethers.getAddress(request.sponsor) : null,
+    authorization: buildAuthorization(request.authorization),
+    calls: request.calls.map(normalizeCall),
+    // Requests exported before the ERC-7821 format carry none
+    format: request.format ?? 'native',
+    intent: request.intent ? toBigInts(request.intent, ['nonce', 'deadline']) : null,
+    transaction: request.transaction
+      ? { ...toBigInts(request.transaction, ['chainId', 'nonce', 'maxPriorityFeePerGas', 'maxFeePerGas', 'gasLimit', 'value']), to: ethers.getAddress(request.transaction.to) }
+      : null
+  });
+};
+
+const readJsonFile = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+};
+
+const readSigningRequest = (file) => normalizeRequest(readJsonFile(file));
+
+const writeJsonFile = (file, value) => fs.writeFileSync(file, `${toJson(value)}\n`);
+
+// Step 1 (online): what `authority` must sign to delegate to `delegate` and run `calls`.
+// Without `sponsor` the authority sends the transaction itself and needs ETH for the gas;
+// the fees and nonces are fixed now, so the request goes stale once the authority sends
+// anything else. `deadline` bounds a sponsored batch intent. The self-paid gas limit is estimated
+// with a state override, as the authorization is not signed yet; nodes without state overrides
+// in eth_estimateGas (e.g. the Hardhat network) need an explicit `gasLimit`. `fees` are the
+// options of getFees() in lib/fees.js plus `maxTotalCost`. `anyChain` asks for an authorization
+// for chainId 0 (see lib/crossChain.js). `format` picks the execute() calldata of a self-paid
+// batch (see encodeExecute in lib/batchCallDelegation.js).
+const createSigningRequest = async (provider, {
+  authority,
+  delegate,
+  calls = [],
+  sponsor,
+  deadline,
+  gasLimit,
+  marginPercent,
+  fees: feeOptions = {},
+  anyChain = false,
+  format = 'native'
+}) => {
+  const { chainId } = await provider.getNetwork();
+  const authorizationChainId = anyChain ? ANY_CHAIN_ID : chainId;
+  const account = ethers.getAddress(authority);
+  const accountNonce = ethers.toBigInt(await provider.getTransactionCount(account));
+  const normalizedCalls = calls.map(normalizeCall);
+  const request = {
+    type: REQUEST_TYPE,
+    version: FORMAT_VERSION,
+    chainId,
+    authority: account,
+    delegate: ethers.getAddress(delegate),
+    sponsor: sponsor ? ethers.getAddress(sponsor) : null,
+    authorization: null,
+    calls: normalizedCalls,
+    format,
+    intent: null,
+    transaction: null,
+    createdAt: new Date().toISOString()
+  };
+
+  if (sponsor) {
+    if (format !== 'native' && normalizedCalls.length > 0) throw new Error(`A sponsored batch runs through executeWithSignature(); the ${format} format is for self-paid batches`);
+    // The sponsor's transaction does not touch the authority's nonce
+    request.authorization = buildAuthorization({ chainId: authorizationChainId, address: delegate, nonce: accountNonce });
+    if (normalizedCalls.length > 0) {
+      if (deadline === undefined) throw new Error('A sponsored batch needs an intent deadline');
+      request.intent = { nonce: ethers.toBigInt(ethers.randomBytes(32)), deadline: ethers.toBigInt(deadline) };
+    }
+    return request;
+  }
+
+  request.authorization = buildAuthorization({ chainId: authorizationChainId, address: delegate, nonce: accountNonce + 1n });
+  const data = normalizedCalls.length > 0 ? encodeExecute(normalizedCalls, { format }) : '0x';
+  if (gasLimit === undefined) {
+    try {
+      ({ gasLimit } = await estimateSetCodeGas(provider, {
+        from: account,
+        to: account,
+        data,
+        authorizationList: [{ authority: account, address: request.delegate }]
+      }, { marginPercent }));
+    } catch (error) {
+      throw new Error(`Cannot estimate the gas of a transaction whose authorization is not signed yet; give the gas limit instead (${error.message})`);
+    }
+  }
+  gasLimit = ethers.toBigInt(gasLimit);
+  const fees = await getFees(provider, feeOptions);
+  // The calls spend the account's own ETH on top of the gas
+  const value = normalizedCalls.reduce((total, call) => total + call.value, 0n);
+  try {
+    await requireAffordable(provider, { from: account, gasLimit, maxFeePerGas: fees.maxFeePerGas, value }, feeOptions);
+  } catch (error) {
+    throw new Error(`${error.message}; use a sponsor`);
+  }
+  request.transaction = {
+    chainId,
+    nonce: accountNonce,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+    maxFeePerGas: fees.maxFeePerGas,
+    gasLimit,
+    to: account,
+    value: 0n,
+    data
+  };
+  return request;
+};
+
+// Human-readable summary to review on the offline machine before signing
+const describeSigningRequest = (request) => [
+  `Chain ID  : ${request.chainId}`,
+  `Authority : ${request.authority}`,
+  `Delegate  : ${request.delegate === ethers.ZeroAddress ? 'none (revokes the delegation)' : request.delegate}`,
+  `Paid by   : ${request.sponsor ?? 'the authority itself'}`,
+  `Auth nonce: ${request.authorization.nonce}`,
+  ...(request.authorization.chainId === ANY_CHAIN_ID ? ['Auth chain: 0 (any chain)', ANY_CHAIN_WARNING] : []),
+  ...(request.transaction ? [
+    `Tx nonce  : ${request.transaction.nonce}`,
+    `Max fee   : ${ethers.formatUnits(request.transaction.maxFeePerGas, 'gwei')} gwei x ${request.transaction.gasLimit} gas`
+  ] : []),
+  ...(request.intent ? [`Intent    : nonce ${request.intent.nonce}, valid until ${new Date(Number(request.intent.deadline) * 1000).toISOString()}`] : []),
+  `Calls     : ${request.calls.length === 0 ? 'none' : request.calls.length}${request.format === 'native' ? '' : ` (${request.format} execute)`}`,
+  ...request.calls.map((call, index) => {
+    const decoded = decodeCall(call);
+    const what = decoded.kind === 'transfer'
+      ? `send ${ethers.formatEther(call.value)} ETH`
+      : decoded.kind === 'call' ? `${decoded.contract}.${decoded.function}` : `call ${decoded.selector}`;
+    return `  [${index}] ${what} -> ${call.to}${call.value > 0n && decoded.kind !== 'transfer' ? ` with ${ethers.formatEther(call.value)} ETH` : ''}`;
+  })
+].join('\n');
+
+// Step 2 (offline): signs the request with the authority's signer (lib/signers.js, or a wallet
+// or signing key); needs no provider
+const signSigningRequest = async (request, signer) => {
+  requireConsistentRequest(request);
+  const authority = toSigner(signer);
+  if (authority.address !== request.authority) throw new Error(`The request is for ${request.authority}, but the key belongs to ${authority.address}`);
+
+  const authorization = await signAuthorization(request.authorization, authority);
+  const signatures = {
+    type: SIGNATURES_TYPE,
+    version: FORMAT_VERSION,
+    requestHash: getRequestHash(request),
+    authority: request.authority,
+    authorization,
+    intentSignature: null,
+    rawTransaction: null
+  };
+  if (request.intent) {
+    const intent = { account: request.authority, calls: request.calls, ...request.intent };
+    signatures.intentSignature = await signBatchIntent(authority, request.chainId, intent);
+  }
+  if (request.transaction) {
+    const tx = buildSetCodeTransaction({ ...request.transaction, authorizationList: [authorization] });
+    signatures.rawTransaction = await signSetCodeTransaction(tx, authority);
+  }
+  return signatures;
+};
+
+const sameAuthorization = (a, b) => a.chainId === b.chainId && a.address === b.address && a.nonce === b.nonce;
+
+// Step 3 (online), part one: checks that `signatures` answer `request` and recover to its authority.
+// Returns the signed authorization, the intent signature and the parsed self-paid transaction.
+const verifySignatures = (request, signatures) => {
+  if (signatures?.type !== SIGNATURES_TYPE) throw new Error(`Not a signatures file (type ${JSON.stringify(signatures?.type)})`);
+  if (signatures.requestHash !== getRequestHash(request)) {
+    throw new Error('The signatures were made for a different request; sign this request file again');
+  }
+
+  let signed;
+  try {
+    const { yParity, r, s } = signatures.authorization;
+    signed = { ...buildAuthorization(signatures.authorization), yParity: Number(yParity), r: ethers.toBeHex(r, 32), s: ethers.toBeHex(s, 32) };
+  } catch (error) {
+    throw new Error('Signatures rejected: the signed authorization is missing or malformed');
+  }
+
+  const problems = [];
+  if (!sameAuthorization(signed, request.authorization)) problems.push('the signed authorization differs from the requested one');
+  let authority = null;
+  try {
+    authority = recoverAuthority(signed);
+  } catch (error) {
+    problems.push('the authorization signature is malformed');
+  }
+  if (authority && authority !== request.authority) problems.push(`the authorization recovers to ${authority}, not ${request.authority}`);
+
+  let intentSignature = null;
+  if (request.intent) {
+    intentSignature = signatures.intentSignature;
+    const intent = { account: request.authority, calls: request.calls, ...request.intent };
+    let signer = null;
+    try {
+      signer = recoverIntentSigner(request.chainId, intent, intentSignature);
+    } catch (error) {
+      problems.push('the intent signature is missing or malformed');
+    }
+    if (signer && signer !== request.authority) problems.push(`the intent signature recovers to ${signer}, not ${request.authority}`);
+  }
+
+  let tx = null;
+  if (request.transaction) {
+    try {
+      tx = parseSetCodeTransaction(signatures.rawTransaction);
+      const sender = recoverSender(tx);
+      if (sender !== request.authority) problems.push(`the transaction is signed by ${sender}, not ${request.authority}`);
+      const expected = request.transaction;
+      const changed = ['chainId', 'nonce', 'maxPriorityFeePerGas', 'maxFeePerGas', 'gasLimit', 'to', 'value', 'data']
+        .filter(field => String(tx[field]).toLowerCase() !== String(expected[field]).toLowerCase());
+      if (changed.length > 0) problems.push(`the signed transaction differs from the request in ${changed.join(', ')}`);
+      if (tx.authorizationList.length !== 1 || !sameAuthorization(tx.authorizationList[0], signed) || tx.authorizationList[0].r !== signed.r) {
+        problems.push('the signed transaction does not carry the signed authorization');
+      }
+    } catch (error) {
+      problems.push(`the signed transaction is missing or malformed: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) throw new Error(`Signatures rejected:\n  ${problems.join('\n  ')}`);
+  return { authorization: signed, intentSignature, tx, rawTransaction: signatures.rawTransaction };
+};
+
+// Step 3 (online), part two: verifies and broadcasts. `sponsor` is the wallet named in a
+// sponsored request; self-paid requests are sent as signed offline. `dryRun` simulates the
+// transaction instead of sending it. A `journal` records the transaction before it is sent.
+// `generateAccessList` only applies to sponsored requests; self-paid ones were signed without a list.
+// An authorization for chainId 0 is only sent once its delegate has the same code on the other `chains`.
+const broadcastSignedRequest = async (provider, request, signatures, {
+  sponsor,
+  marginPercent,
+  fees,
+  receiptOptions,
+  dryRun = false,
+  generateAccessList,
+  chains = [],
+  journal,
+  log = console.log
+} = {}) => {
+  const { authorization, intentSignature, tx, rawTransaction } = verifySignatures(request, signatures);
+  const { chainId } = await provider.getNetwork();
+  const reusable = request.authorization.chainId === ANY_CHAIN_ID && !request.transaction && !request.intent;
+  if (chainId !== request.chainId && !reusable) {
+    throw new Error(`The request is for chain ${request.chainId}, but the provider is on chain ${chainId}; only a sponsored delegation without calls, signed for any chain, can be sent elsewhere`);
+  }
+
+  // Nonces were fixed when the request was exported
+  const accountNonce = ethers.toBigInt(await provider.getTransactionCount(request.authority));
+  const expectedNonce = request.transaction ? request.transaction.nonce : request.authorization.nonce;
+  if (accountNonce !== expectedNonce) {
+    throw new Error(`${request.authority} is at nonce ${accountNonce}, the request expects ${expectedNonce}; export and sign a new request`);
+  }
+
+  // Sponsored requests are checked by sendSetCodeTransaction
+  if (tx && authorization.chainId === ANY_CHAIN_ID) await requireIdenticalCode(provider, chains, [authorization.address], { log });
+  if (tx) await validateAuthorizations(provider, tx.authorizationList, { sender: request.authority, senderNonce: tx.nonce });
+
+  let result;
+  if (tx && dryRun) {
+    const simulation = await simulateTransaction(provider, { signedTx: rawTransaction });
+    log(formatSimulation(simulation));
+    return { tx, signedTx: rawTransaction, txHash: null, receipt: null, simulation };
+  }
+  if (tx) {
+    result = await broadcastSetCodeTransaction(provider, { signedTx: rawTransaction, tx, sender: request.authority, receiptOptions, journal, kind: 'offline', log });
+  } else {
+    if (!sponsor) throw new Error(`The request is sponsored by ${request.sponsor}; its key is needed to send it`);
+    if (sponsor.address !== request.sponsor) throw new Error(`The request names ${request.sponsor} as sponsor, not ${sponsor.address}`);
+    const data = request.intent
+      ? encodeExecuteWithSignature({ calls: request.calls, ...request.intent }, intentSignature)
+      : '0x';
+    result = await sendSetCodeTransaction(provider, {
+      sender: sponsor,
+      to: request.authority,
+      data,
+      authorizationList: [authorization],
+      marginPercent,
+      fees,
+      receiptOptions,
+      dryRun,
+      generateAccessList,
+      chains,
+      journal,
+      kind: 'offline',
+      log
+    });
+  }
+  if (dryRun) return result;
+
+  const delegate = parseDelegationDesignator(await provider.getCode(request.authority)) ?? ethers.ZeroAddress;
+  if (delegate !== request.delegate) throw new Error(`The transaction was mined but ${request.authority} delegates to ${delegate}, not ${request.delegate}`);
+  log(`${request.authority} now delegates to ${delegate}`);
+  return result;
+};
+
+module.exports = {
+  REQUEST_TYPE,
+  SIGNATURES_TYPE,
+  getRequestHash,
+  normalizeRequest,
+  readJsonFile,
+  readSigningRequest,
+  writeJsonFile,
+  createSigningRequest,
+  describeSigningRequest,
+  signSigningRequest,
+  verifySignatures,
+  broadcastSignedRequest
+};
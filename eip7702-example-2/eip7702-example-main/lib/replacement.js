@@ -0,0 +1,277 @@
+const { ethers } = require('ethers');
+const { buildAuthorization, recoverAuthority, buildSetCodeTransaction, signSetCodeTransaction, signAuthorization } = require('./eip7702');
+const { estimateSetCodeGas } = require('./gas');
+const { getFees, formatFees, requireAffordable } = require('./fees');
+const { waitForTransaction } = require('./receipt');
+const { sendJournaled } = require('./journal');
+const { parseDelegationDesignator } = require('./delegation');
+const { revalidateAuthorizations } = require('./validation');
+const { toSigner } = require('./signers');
+
+// Replacing a pending transaction: a new transaction of the same sender at the same nonce, paying
+// at least DEFAULT_BUMP_PERCENT more in both fee fields (geth and the Hardhat network refuse less).
+// Whichever of the two is mined first consumes the nonce; the other is discarded. With a `journal`
+// (lib/journal.js) the replacement is recorded before it is sent, and the loser is marked replaced.
+//
+// Authorizations are signed over the authority's nonce, not over the transaction carrying them:
+//   speed-up   carries the same signed authorizations; they still apply unless an authority's
+//              nonce moved since they were signed
+//   cancel     drops them, but they stay valid, and anyone who saw them in the mempool can submit
+//              them, until their authority's nonce moves past theirs. The cancel therefore carries
+//              an authorization of its own for every authority whose key it has, at the stuck
+//              nonce and keeping the current code, which uses the nonce up.
+// Either list is validated (lib/validation.js) before it is sent, and refused if the node would
+// skip a tuple, unless `acceptInvalidAuthorizations` is set.
+
+const DEFAULT_BUMP_PERCENT = 10;
+const TRANSFER_GAS = 21000n;
+
+const raise = (fee, percent) => {
+  const raised = (fee * BigInt(100 + percent) + 99n) / 100n;
+  return raised > fee ? raised : fee + 1n;
+};
+
+const max = (a, b) => (a > b ? a : b);
+
+// Code an authorization list leaves on each authority: its last entry wins
+const intendedCode = (authorizationList) => new Map(authorizationList.map(authorization => [
+  recoverAuthority(authorization),
+  authorization.address === ethers.ZeroAddress ? '0x' : ethers.concat(['0xef0100', authorization.address]).toLowerCase()
+]));
+
+// The pending transaction `txHash`, as the node holds it
+const getPendingTransaction = async (provider, txHash) => {
+  const raw = await provider.send('eth_getTransactionByHash', [txHash]);
+  if (!raw) throw new Error(`The node does not know transaction ${txHash}; it was dropped or already replaced`);
+  if (raw.blockNumber !== null) throw new Error(`Transaction ${txHash} is already mined in block ${Number(raw.blockNumber)}`);
+
+  const type = Number(raw.type);
+  if (type !== 2 && type !== 4) throw new Error(`Transaction ${txHash} is of type ${type}; only type 0x02 and 0x04 transactions are replaced`);
+  const from = ethers.getAddress(raw.from);
+  const tx = {
+    chainId: ethers.toBigInt(raw.chainId),
+    nonce: ethers.toBigInt(raw.nonce),
+    maxPriorityFeePerGas: ethers.toBigInt(raw.maxPriorityFeePerGas),
+    maxFeePerGas: ethers.toBigInt(raw.maxFeePerGas),
+    gasLimit: ethers.toBigInt(raw.gas),
+    to: raw.to ? ethers.getAddress(raw.to) : null,
+    value: ethers.toBigInt(raw.value),
+    data: raw.input,
+    accessList: raw.accessList ?? [],
+    authorizationList: (raw.authorizationList ?? []).map(authorization => ({
+      ...buildAuthorization(authorization),
+      yParity: Number(authorization.yParity),
+      r: ethers.toBeHex(authorization.r, 32),
+      s: ethers.toBeHex(authorization.s, 32)
+    }))
+  };
+  if (ethers.toBigInt(await provider.getTransactionCount(from, 'latest')) > tx.nonce) {
+    throw new Error(`Nonce ${tx.nonce} of ${from} is already used; ${txHash} can no longer be mined`);
+  }
+  return { hash: raw.hash, type, from, tx };
+};
+
+// Fees of the current strategy, but at least `bumpPercent` above the pending transaction's
+const getReplacementFees = async (provider, tx, { bumpPercent = DEFAULT_BUMP_PERCENT, fees: feeOptions = {} } = {}) => {
+  const current = await getFees(provider, feeOptions);
+  const minimumMaxFee = raise(tx.maxFeePerGas, bumpPercent);
+  const minimumTip = raise(tx.maxPriorityFeePerGas, bumpPercent);
+  if (feeOptions.maxFeeCap !== undefined && minimumMaxFee > feeOptions.maxFeeCap) {
+    throw new Error(`A replacement needs a max fee of at least ${ethers.formatUnits(minimumMaxFee, 'gwei')} gwei, above the cap of ${ethers.formatUnits(feeOptions.maxFeeCap, 'gwei')} gwei`);
+  }
+  if (feeOptions.priorityFeeCap !== undefined && minimumTip > feeOptions.priorityFeeCap) {
+    throw new Error(`A replacement needs a tip of at least ${ethers.formatUnits(minimumTip, 'gwei')} gwei, above the cap of ${ethers.formatUnits(feeOptions.priorityFeeCap, 'gwei')} gwei`);
+  }
+  const maxFeePerGas = max(minimumMaxFee, current.maxFeePerGas);
+  const notes = [...current.notes];
+  if (maxFeePerGas === minimumMaxFee) notes.push(`raised ${bumpPercent}% over the pending transaction`);
+  return { ...current, maxFeePerGas, maxPriorityFeePerGas: max(minimumTip, current.maxPriorityFeePerGas), notes };
+};
+
+// Resolves with whichever of `hashes` (all from `sender` at `nonce`) is mined, the last one being
+// the most recent replacement
+const waitForLanded = async (provider, { hashes, sender, nonce, receiptOptions = {} }) => {
+  const latest = hashes.at(-1);
+  try {
+    return { txHash: latest, receipt: await waitForTransaction(provider, latest, { sender, nonce, ...receiptOptions }) };
+  } catch (error) {
+    if (error.status !== 'replaced') throw error;
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return { txHash: hash, receipt };
+    }
+    throw error;
+  }
+};
+
+// applied or skipped, for each authority of a mined authorization list
+const authorizationResults = async (provider, authorizationList) => {
+  const results = [];
+  for (const [authority, code] of intendedCode(authorizationList)) {
+    const current = (await provider.getCode(authority)).toLowerCase();
+    results.push({ authority, delegate: parseDelegationDesignator(code) ?? ethers.ZeroAddress, status: current === code ? 'applied' : 'skipped' });
+  }
+  return results;
+};
+
+const signAndSend = async (provider, { type, tx, signer, journal, details }) => {
+  const signed = type === 4
+    ? await signSetCodeTransaction(buildSetCodeTransaction(tx), signer)
+    : await signer.signTransaction({ ...tx, type: 2 });
+  return sendJournaled(provider, journal, signed, details);
+};
+
+const report = async (provider, { pending, replacement, kind, receiptOptions, journal, log }) => {
+  const landed = await waitForLanded(provider, { hashes: [pending.hash, replacement], sender: pending.from, nonce: pending.tx.nonce, receiptOptions });
+  if (journal) {
+    const lost = landed.txHash === replacement ? pending.hash : replacement;
+    journal.update(landed.txHash, landed.receipt.status === 1 ? 'mined' : 'failed', { receipt: landed.receipt });
+    journal.update(lost, 'replaced', { error: `nonce ${pending.tx.nonce} was used by ${landed.txHash}` });
+  }
+  const which = landed.txHash === replacement ? kind : 'original';
+  log(`Landed: the ${which === 'original' ? 'original transaction' : kind} ${landed.txHash} in block ${landed.receipt.blockNumber}${landed.receipt.status === 0 ? ' (reverted)' : ''}`);
+  return { landed: which, txHash: landed.txHash, receipt: landed.receipt, replacedTxHash: which === 'original' ? replacement : pending.hash };
+};
+
+// Re-signs the pending transaction `txHash` of `sender` with higher fees: same nonce, payload and
+// authorization list. Reports which of the two landed and what became of the authorizations.
+const speedUpTransaction = async (provider, {
+  txHash,
+  sender,
+  bumpPercent,
+  fees: feeOptions = {},
+  receiptOptions = {},
+  journal,
+  acceptInvalidAuthorizations = false,
+  log = console.log
+}) => {
+  const signer = toSigner(sender);
+  const pending = await getPendingTransaction(provider, txHash);
+  if (pending.from !== signer.address) throw new Error(`Transaction ${txHash} is from ${pending.from}, not ${signer.address}`);
+
+  // Authorities whose nonce moved since signing: the node would skip their authorization
+  const stale = pending.type === 4
+    ? await revalidateAuthorizations(provider, pending.tx.authorizationList, {
+      sender: pending.from,
+      senderNonce: pending.tx.nonce,
+      accept: acceptInvalidAuthorizations,
+      log
+    })
+    : [];
+
+  const fees = await getReplacementFees(provider, pending.tx, { bumpPercent, fees: feeOptions });
+  log(formatFees(fees));
+  await requireAffordable(provider, { from: signer.address, gasLimit: pending.tx.gasLimit, maxFeePerGas: fees.maxFeePerGas, value: pending.tx.value }, feeOptions);
+
+  const replacement = await signAndSend(provider, {
+    type: pending.type,
+    tx: { ...pending.tx, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas },
+    signer,
+    journal,
+    details: { kind: 'speed-up', strategy: fees.strategy, replaces: txHash }
+  });
+  log(`Speed-up sent: ${replacement} replaces ${txHash} at nonce ${pending.tx.nonce}`);
+
+  const result = await report(provider, { pending, replacement, kind: 'speed-up', receiptOptions, journal, log });
+  const authorizations = await authorizationResults(provider, pending.tx.authorizationList);
+  authorizations.forEach(({ authority, status }) => log(`  ${authority}: authorization ${status}`));
+  return { ...result, authorizations, stale };
+};
+
+// Replaces the pending transaction `txHash` of `sender` with a zero-value transfer to itself.
+// `authorities` are signers of other authorities in the pending authorization list; their stuck
+// authorizations are used up too. Resolves with which transaction landed and, per authority of
+// the pending transaction, whether its authorization is `burned` or still `valid` for anyone to submit.
+const cancelTransaction = async (provider, {
+  txHash,
+  sender,
+  authorities = [],
+  bumpPercent,
+  marginPercent,
+  fees: feeOptions = {},
+  receiptOptions = {},
+  journal,
+  acceptInvalidAuthorizations = false,
+  log = console.log
+}) => {
+  const signer = toSigner(sender);
+  const pending = await getPendingTransaction(provider, txHash);
+  if (pending.from !== signer.address) throw new Error(`Transaction ${txHash} is from ${pending.from}, not ${signer.address}`);
+  const { chainId, nonce } = pending.tx;
+
+  // Highest stuck nonce per authority
+  const stuck = new Map();
+  for (const authorization of pending.tx.authorizationList) {
+    const authority = recoverAuthority(authorization);
+    stuck.set(authority, max(stuck.get(authority) ?? 0n, authorization.nonce));
+  }
+  const keys = new Map([signer, ...authorities.map(toSigner)].map(candidate => [candidate.address, candidate]));
+
+  // Authorizations to the code each account already has, one per nonce up to the stuck one
+  const burns = [];
+  const unburned = [];
+  for (const [authority, stuckNonce] of stuck) {
+    const key = keys.get(authority);
+    if (!key) {
+      unburned.push(authority);
+      continue;
+    }
+    const code = await provider.getCode(authority);
+    const address = parseDelegationDesignator(code) ?? ethers.ZeroAddress;
+    const first = authority === signer.address ? nonce + 1n : ethers.toBigInt(await provider.getTransactionCount(authority));
+    for (let authorizationNonce = first; authorizationNonce <= stuckNonce; authorizationNonce++) {
+      burns.push(await signAuthorization({ chainId, address, nonce: authorizationNonce }, key));
+    }
+  }
+  unburned.forEach(authority => log(`Warning: without the key of ${authority}, its authorization stays valid until its nonce moves past ${stuck.get(authority)}`));
+  await revalidateAuthorizations(provider, burns, { sender: signer.address, senderNonce: nonce, accept: acceptInvalidAuthorizations, log });
+
+  // A plain transfer unless authorizations have to be used up; type 0x04 needs a non-empty list
+  const type = burns.length > 0 ? 4 : 2;
+  const gasLimit = type === 4
+    ? (await estimateSetCodeGas(provider, { from: signer.address, to: signer.address, data: '0x', authorizationList: burns }, { marginPercent })).gasLimit
+    : TRANSFER_GAS;
+  const fees = await getReplacementFees(provider, pending.tx, { bumpPercent, fees: feeOptions });
+  log(formatFees(fees));
+  await requireAffordable(provider, { from: signer.address, gasLimit, maxFeePerGas: fees.maxFeePerGas }, feeOptions);
+
+  const replacement = await signAndSend(provider, {
+    type,
+    tx: {
+      chainId,
+      nonce,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      maxFeePerGas: fees.maxFeePerGas,
+      gasLimit,
+      to: signer.address,
+      value: 0n,
+      data: '0x',
+      ...(type === 4 ? { authorizationList: burns } : {})
+    },
+    signer,
+    journal,
+    details: { kind: 'cancel', strategy: fees.strategy, replaces: txHash }
+  });
+  log(`Cancel sent: ${replacement} replaces ${txHash} at nonce ${nonce}${burns.length > 0 ? `, using up ${burns.length} authorization nonce${burns.length === 1 ? '' : 's'}` : ''}`);
+
+  const result = await report(provider, { pending, replacement, kind: 'cancel', receiptOptions, journal, log });
+  if (result.landed === 'original') {
+    return { ...result, authorizations: await authorizationResults(provider, pending.tx.authorizationList) };
+  }
+  const authorizations = [];
+  for (const [authority, stuckNonce] of stuck) {
+    const accountNonce = ethers.toBigInt(await provider.getTransactionCount(authority));
+    authorizations.push({ authority, nonce: stuckNonce, status: accountNonce > stuckNonce ? 'burned' : 'valid' });
+  }
+  authorizations.forEach(({ authority, status }) => log(`  ${authority}: stuck authorization ${status}`));
+  return { ...result, authorizations };
+};
+
+module.exports = {
+  DEFAULT_BUMP_PERCENT,
+  getPendingTransaction,
+  getReplacementFees,
+  waitForLanded,
+  speedUpTransaction,
+  cancelTransaction
+};
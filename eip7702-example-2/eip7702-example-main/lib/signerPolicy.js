@@ -0,0 +1,54 @@
+const { ethers } = require('ethers');
+const { buildAuthorization, getAuthorizationHash, buildSetCodeTransaction, getSetCodeTransactionHash } = require('./eip7702');
+
+// Approval policy of the signer server (createSignerServer in lib/signers.js). The context of a
+// request is only what the client claims to be signing, so a check only means something once the
+// digest has been rebuilt from the context and compared; a digest that cannot be rebuilt is refused.
+
+// The digest described by `context`, and the delegates its signature would authorize
+const rebuildDigest = (context) => {
+  if (context.kind === 'authorization') {
+    const authorization = buildAuthorization(context.authorization);
+    return { digest: getAuthorizationHash(authorization), delegates: [authorization.address] };
+  }
+  if (context.kind === 'transaction') {
+    // Type 0x04 transactions are built by lib/eip7702.js, the others by ethers
+    if (Array.isArray(context.tx?.authorizationList) && context.tx.authorizationList.length > 0) {
+      const tx = buildSetCodeTransaction(context.tx);
+      return { digest: getSetCodeTransactionHash(tx), delegates: tx.authorizationList.map(({ address }) => ethers.getAddress(address)) };
+    }
+    return { digest: ethers.Transaction.from(context.tx).unsignedHash, delegates: [] };
+  }
+  if (context.kind === 'message') return { digest: ethers.hashMessage(ethers.getBytes(context.message)), delegates: [] };
+  if (context.kind === 'typedData') return { digest: ethers.TypedDataEncoder.hash(context.domain, context.types, context.message), delegates: [] };
+  throw new Error(`${context.kind === undefined ? 'a bare digest' : `kind ${JSON.stringify(context.kind)}`} has nothing to rebuild it from`);
+};
+
+// `approve` of createSignerServer. With `delegates`, every request is rebuilt from its context and
+// may only delegate (directly, or through the authorization list of a transaction) to one of them
+// or to the zero address; `authorizationsOnly` refuses everything but authorizations.
+const createSignerPolicy = ({ delegates, authorizationsOnly = false } = {}) => {
+  const allowed = delegates?.map(address => ethers.getAddress(address));
+  return ({ digest, context = {} }) => {
+    if (authorizationsOnly && context.kind !== 'authorization') {
+      throw new Error(`Only authorizations are signed here, not ${context.kind ?? 'bare digests'}`);
+    }
+    if (!allowed && context.kind !== 'authorization') return;
+
+    let rebuilt;
+    try {
+      rebuilt = rebuildDigest(context);
+    } catch (error) {
+      throw new Error(`Cannot verify the request: ${error.message}`);
+    }
+    if (rebuilt.digest.toLowerCase() !== String(digest).toLowerCase()) {
+      throw new Error(`The digest is not the hash of the ${context.kind} in the context`);
+    }
+    const refused = allowed && rebuilt.delegates.find(address => address !== ethers.ZeroAddress && !allowed.includes(address));
+    if (refused) throw new Error(`Delegating to ${refused} is not allowed`);
+  };
+};
+
+module.exports = {
+  createSignerPolicy
+};
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const http = require('http');
+const { ethers } = require('ethers');
+
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Not lib/inspect.js's toJson: that module depends on eip7702.js, which depends on this one
+const toJson = (value) => JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+
+// Signer backends. Everything this project signs (authorizations, type 0x02 and 0x04
+// transactions, EIP-712 intents) comes down to a 32-byte digest, so a backend is one function
+//   sign(digest, context) => signature
+// where `context` says what the digest is for ({ kind: 'authorization' | 'transaction' |
+// 'typedData' | 'message', ... }) so a remote signer can show it or apply its own policy.
+// DigestSigner turns a backend into an ethers Signer, so it also works with contracts and factories.
+class DigestSigner extends ethers.AbstractSigner {
+  #sign;
+
+  constructor(address, sign, { description = address, provider = null } = {}) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.description = description;
+    this.#sign = sign;
+  }
+
+  // Every signature is checked against `address`, so a faulty backend cannot slip a wrong one through
+  async signDigest(digest, context = {}) {
+    const hash = ethers.hexlify(digest);
+    const signature = ethers.Signature.from(await this.#sign(hash, context));
+    if (ethers.recoverAddress(hash, signature) !== this.address) {
+      throw new Error(`${this.description} returned a signature that does not recover to ${this.address}`);
+    }
+    return signature;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new DigestSigner(this.address, this.#sign, { description: this.description, provider });
+  }
+
+  async signTransaction(request) {
+    const { from, ...fields } = await ethers.resolveProperties(ethers.copyRequest(request));
+    if (from && ethers.getAddress(from) !== this.address) throw new Error(`Transaction is from ${from}, not ${this.address}`);
+    if (fields.to) fields.to = await ethers.resolveAddress(fields.to, this.provider);
+    const tx = ethers.Transaction.from(fields);
+    tx.signature = await this.signDigest(tx.unsignedHash, { kind: 'transaction', tx: fields });
+    return tx.serialized;
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    return (await this.signDigest(ethers.hashMessage(bytes), { kind: 'message', message: ethers.hexlify(bytes) })).serialized;
+  }
+
+  async signTypedData(domain, types, value) {
+    const digest = ethers.TypedDataEncoder.hash(domain, types, value);
+    return (await this.signDigest(digest, { kind: 'typedData', domain, types, message: value })).serialized;
+  }
+}
+
+// --- Local backends: the key is only ever held in memory ---
+
+const fromSigningKey = (signingKey, description, provider = null) =>
+  new DigestSigner(ethers.computeAddress(signingKey.publicKey), async (digest) => signingKey.sign(digest), { description, provider });
+
+// Accepts a DigestSigner, or anything holding a SigningKey (ethers Wallets and HD wallets)
+const toSigner = (value) => {
+  if (typeof value?.signDigest === 'function') return value;
+  const signingKey = typeof value?.sign === 'function' && value.publicKey ? value : value?.signingKey;
+  if (typeof signingKey?.sign !== 'function') throw new Error('Expected a signer, a wallet or a signing key');
+  return fromSigningKey(signingKey, value.address ?? 'signing key', value.provider ?? null);
+};
+
+// A password file holds the password alone; one trailing newline is ignored
+const readPasswordFile = (file) => fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+
+// Reads a password from the terminal without echoing it
+const promptPassword = (question, { input = process.stdin, output = process.stderr } = {}) => new Promise((resolve, reject) => {
+  if (!input.isTTY) {
+    reject(new Error('No terminal to prompt for the password; use a password file'));
+    return;
+  }
+  let password = '';
+  const finish = (error) => {
+    input.removeListener('data', onData);
+    input.setRawMode(false);
+    input.pause();
+    output.write('\n');
+    if (error) reject(error);
+    else resolve(password);
+  };
+  const onData = (chunk) => {
+    for (const char of chunk) {
+      if (char === '\r' || char === '\n' || char === '\u0004') return finish();
+      if (char === '\u0003') return finish(new Error('Password prompt interrupted'));
+      password = char === '\u007f' || char === '\b' ? password.slice(0, -1) : password + char;
+    }
+  };
+  output.write(question);
+  input.setRawMode(true);
+  input.setEncoding('utf8');
+  input.on('data', onData);
+  input.resume();
+});
+
+// Encrypted JSON keystore (Web3 Secret Storage, as written by geth, clef or ethers). The password
+// is `password`, the content of `passwordFile`, or asked for on the terminal.
+const keystoreSigner = async (file, { password, passwordFile, prompt = promptPassword, provider } = {}) => {
+  const json = fs.readFileSync(file, 'utf8');
+  if (!ethers.isKeystoreJson(json)) throw new Error(`${file} is not an encrypted JSON keystore`);
+  const secret = password ?? (passwordFile ? readPasswordFile(passwordFile) : await prompt(`Password for ${file}: `));
+
+  let account;
+  try {
+    account = await ethers.decryptKeystoreJson(json, secret);
+  } catch (error) {
+    throw new Error(`Could not decrypt ${file}: ${error.shortMessage || error.message}`);
+  }
+  return fromSigningKey(new ethers.SigningKey(account.privateKey), `keystore ${file}`, provider);
+};
+
+// Account `index` of a BIP-39 mnemonic, or the account at `path`
+const mnemonicSigner = (phrase, { index = 0, path = `${DEFAULT_HD_PATH}/${index}`, provider } = {}) => {
+  const wallet = ethers.HDNodeWallet.fromMnemonic(ethers.Mnemonic.fromPhrase(phrase.trim()), path);
+  return fromSigningKey(wallet.signingKey, `mnemonic ${path}`, provider);
+};
+
+// --- External signers ---
+//
+// A remote signing process reached over HTTP with JSON-RPC 2.0; the key never enters this process.
+//   signer_accounts                                 => [address, ...]
+//   signer_signDigest [address, digest, context]    => 65-byte signature
+// `token` is sent as a bearer token. createSignerServer() below implements the server side.
+
+const externalSigner = async (url, { address, token, timeoutMs = 30000, provider } = {}) => {
+  let id = 0;
+  const call = async (method, params) => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: toJson({ jsonrpc: '2.0', id: ++id, method, params }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(`Could not reach the external signer at ${url}: ${error.cause?.message ?? error.message}`);
+    }
+    const body = await response.json().catch(() => ({}));
+    if (body.error) throw new Error(`External signer at ${url} refused ${method}: ${body.error.message}`);
+    if (!response.ok) throw new Error(`External signer at ${url} answered HTTP ${response.status}`);
+    return body.result;
+  };
+
+  const accounts = (await call('signer_accounts', [])).map(account => ethers.getAddress(account));
+  const account = address ? ethers.getAddress(address) : accounts[0];
+  if (!accounts.includes(account)) {
+    throw new Error(address ? `External signer at ${url} does not hold ${account}` : `External signer at ${url} holds no accounts`);
+  }
+  return new DigestSigner(account, (digest, context) => call('signer_signDigest', [account, digest, context]), {
+    description: `external signer ${url}`,
+    provider
+  });
+};
+
+// Serves `signers` to externalSigner() clients. `approve({ address, digest, context })` may throw
+// to refuse a request. The context is only what the client claims to be signing: a policy that
+// matters has to rebuild the digest from it rather than trust the claim.
+const createSignerServer = (signers, { token, approve = () => {}, log = console.log } = {}) => {
+  const byAddress = new Map(signers.map(signer => [signer.address, signer]));
+
+  const methods = {
+    signer_accounts: async () => [...byAddress.keys()],
+    signer_signDigest: async ([address, digest, context = {}]) => {
+      const signer = byAddress.get(ethers.isAddress(address) ? ethers.getAddress(address) : address);
+      if (!signer) throw new Error(`Unknown account ${address}`);
+      if (!ethers.isHexString(digest, 32)) throw new Error('The digest must be 32 bytes');
+      await approve({ address: signer.address, digest, context });
+      log(`Signing ${context.kind ?? 'digest'} ${digest} for ${signer.address}`);
+      return (await signer.signDigest(digest, context)).serialized;
+    }
+  };
+
+  const reply = (res, statusCode, payload) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(toJson({ jsonrpc: '2.0', ...payload }));
+  };
+
+  const handleRequest = (req, res) => {
+    if (req.method !== 'POST') return reply(res, 405, { id: null, error: { code: -32600, message: 'Use POST' } });
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return reply(res, 401, { id: null, error: { code: -32001, message: 'Missing or wrong bearer token' } });
+    }
+    // Counted in bytes, as a string of multi-byte characters is shorter than its upload
+    const chunks = [];
+    let size = 0;
+    const collect = (chunk) => {
+      size += chunk.byteLength;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+        return;
+      }
+      req.off('data', collect);
+      req.destroy();
+    };
+    req.on('data', collect);
+    req.on('end', async () => {
+      let request;
+      try {
+        request = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        return reply(res, 400, { id: null, error: { code: -32700, message: 'Request body is not valid JSON' } });
+      }
+      const method = methods[request.method];
+      if (!method) return reply(res, 200, { id: request.id, error: { code: -32601, message: `Unknown method ${request.method}` } });
+      try {
+        reply(res, 200, { id: request.id, result: await method(request.params ?? []) });
+      } catch (error) {
+        reply(res, 200, { id: request.id, error: { code: -32000, message: error.message } });
+      }
+    });
+  };
+
+  const listen = (port, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    const server = http.createServer(handleRequest);
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+
+  return { handleRequest, listen };
+};
+
+// --- Signer specs ---
+//
+// What the key environment variables of the tasks hold:
+//   keystore:<file>               encrypted JSON keystore
+//   mnemonic:<index>|<path>       account of `mnemonic`, e.g. mnemonic:3 or mnemonic:m/44'/60'/0'/0/3
+//   external:[<address>@]<url>    remote signing process; the first account it holds by default
+//   0x<64 hex digits>             raw private key, refused unless `allowRawKey`
+const signerFromSpec = async (spec, { passwordFile, prompt, mnemonic, token, allowRawKey = true, provider } = {}) => {
+  const value = spec.trim();
+  const [, scheme, target] = value.match(/^(keystore|mnemonic|external):(.+)$/) ?? [];
+  if (scheme === 'keystore') return keystoreSigner(target, { passwordFile, prompt, provider });
+  if (scheme === 'mnemonic') {
+    if (!mnemonic) throw new Error('A mnemonic: signer needs a mnemonic phrase');
+    return mnemonicSigner(mnemonic, /^\d+$/.test(target) ? { index: Number(target), provider } : { path: target, provider });
+  }
+  if (scheme === 'external') {
+    const [, address, url] = target.match(/^(?:(0x[0-9a-fA-F]{40})@)?(.+)$/);
+    return externalSigner(url, { address, token, provider });
+  }
+
+  // The value itself is never echoed: it may be a key with a typo
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(value)) {
+    throw new Error('Expected keystore:<file>, mnemonic:<index or path>, external:<url> or a private key');
+  }
+  if (!allowRawKey) throw new Error('Raw private keys are not allowed; use a keystore:, mnemonic: or external: signer');
+  return fromSigningKey(new ethers.SigningKey(value.startsWith('0x') ? value : `0x${value}`), 'private key', provider);
+};
+
+module.exports = {
+  DEFAULT_HD_PATH,
+  DigestSigner,
+  fromSigningKey,
+  toSigner,
+  readPasswordFile,
+  promptPassword,
+  keystoreSigner,
+  mnemonicSigner,
+  externalSigner,
+  createSignerServer,
+  signerFromSpec
+};
@@ -0,0 +1,363 @@
+const { ethers } = require('ethers');
+const { recoverAuthority, parseSetCodeTransaction, recoverSender, SET_CODE_TX_TYPE } = require('./eip7702');
+const { batchInterface, getBatchCalls } = require('./batchCallDelegation');
+const { tokenInterface } = require('./token');
+const { toRpcAuthorization } = require('./gas');
+const { diagnoseBatchFailure } = require('./diagnostics');
+const { parseDelegationDesignator } = require('./delegation');
+
+// Dry runs of signed transactions; nothing reaches the chain.
+//   fork    the node keeps snapshots (the Hardhat network, anvil, or a local fork of the target,
+//           e.g. `npx hardhat node --fork $RPC_URL`): the transaction is mined, its effects are
+//           read back, and the snapshot is restored. Exact, authorizations included.
+//   trace   any other node: debug_traceCall with geth's callTracer runs the same fields, the
+//           authorization list included, on top of the latest block. Code changes are predicted
+//           from the authorizations' nonces, and ETH changes from the call frames.
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const ROLE_ORDER = ['gas payer', 'account', 'recipient', 'other'];
+
+const decodeEvent = (log) => {
+  for (const [contract, iface] of [['BatchCallDelegation', batchInterface], ['ERC20', tokenInterface]]) {
+    let parsed = null;
+    try {
+      parsed = iface.parseLog({ topics: log.topics, data: log.data });
+    } catch (error) {
+      // Not an event of this interface
+    }
+    if (parsed) {
+      const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]]));
+      return { address: ethers.getAddress(log.address), contract, name: parsed.name, args };
+    }
+  }
+  return { address: ethers.getAddress(log.address), contract: null, name: null, topics: log.topics, data: log.data };
+};
+
+// ERC20 Transfer events carry three topics; ERC721 ones index the token id as a fourth
+const tokenTransfers = (logs) => logs
+  .filter(log => log.topics.length === 3 && log.topics[0] === TRANSFER_TOPIC)
+  .map(log => ({
+    token: ethers.getAddress(log.address),
+    from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+    to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+    value: ethers.toBigInt(log.data)
+  }));
+
+// Type 0x04 transactions are parsed here, anything else by ethers
+const parseRawTransaction = (signedTx) => {
+  if (ethers.dataSlice(signedTx, 0, 1) === SET_CODE_TX_TYPE) {
+    const tx = parseSetCodeTransaction(signedTx);
+    return { ...tx, from: recoverSender(tx) };
+  }
+  const tx = ethers.Transaction.from(signedTx);
+  return {
+    from: tx.from,
+    to: tx.to,
+    value: tx.value,
+    data: tx.data,
+    nonce: BigInt(tx.nonce),
+    gasLimit: tx.gasLimit,
+    maxFeePerGas: tx.maxFeePerGas ?? tx.gasPrice,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas ?? tx.gasPrice,
+    authorizationList: []
+  };
+};
+
+const batchCallTargets = (data) => {
+  try {
+    const calls = getBatchCalls(batchInterface.parseTransaction({ data }));
+    if (calls) return calls.map(call => call.to);
+  } catch (error) {
+    // Not a batch
+  }
+  return [];
+};
+
+const tokenInfo = async (provider, token) => {
+  const contract = new ethers.Contract(token, tokenInterface, provider);
+  const [symbol, decimals] = await Promise.all([contract.symbol().catch(() => null), contract.decimals().catch(() => null)]);
+  return { symbol: symbol ?? token, decimals: decimals === null ? 0 : Number(decimals) };
+};
+
+const roleOf = (address, { sender, accounts, received }) => {
+  const roles = [];
+  if (address === sender) roles.push('gas payer');
+  if (accounts.has(address)) roles.push('account');
+  if (roles.length === 0) roles.push(received.has(address) ? 'recipient' : 'other');
+  return roles.join(', ');
+};
+
+const sortBalances = (balances) => balances.sort((a, b) =>
+  ROLE_ORDER.indexOf(a.role.split(', ')[0]) - ROLE_ORDER.indexOf(b.role.split(', ')[0]) || (a.token === null ? -1 : b.token === null ? 1 : 0));
+
+// Effects of one geth callTracer frame tree: failed frames and everything under them are reverted
+const summarizeCallTrace = (trace) => {
+  const logs = [];
+  const transfers = [];
+  const visit = (frame) => {
+    if (frame.error) return;
+    const value = ethers.toBigInt(frame.value ?? 0);
+    if (value > 0n && frame.to && ['CALL', 'CREATE', 'CREATE2'].includes(frame.type)) {
+      transfers.push({ from: ethers.getAddress(frame.from), to: ethers.getAddress(frame.to), value });
+    }
+    for (const log of frame.logs ?? []) logs.push({ address: log.address, topics: log.topics, data: log.data });
+    for (const call of frame.calls ?? []) visit(call);
+  };
+  visit(trace);
+  return {
+    success: !trace.error,
+    gasUsed: ethers.toBigInt(trace.gasUsed),
+    error: trace.error ? (trace.revertReason ?? trace.error) : null,
+    output: trace.output ?? '0x',
+    logs,
+    transfers
+  };
+};
+
+// Authorizations a node would apply at the latest block, in list order (EIP-7702 validity rules)
+const predictCodeChanges = async (provider, tx) => {
+  const { chainId } = await provider.getNetwork();
+  const nonces = new Map([[tx.from, ethers.toBigInt(tx.nonce) + 1n]]);
+  const codes = new Map();
+  for (const authorization of tx.authorizationList) {
+    const authority = recoverAuthority(authorization);
+    if (!codes.has(authority)) codes.set(authority, { before: await provider.getCode(authority), after: null });
+    if (!nonces.has(authority)) nonces.set(authority, ethers.toBigInt(await provider.getTransactionCount(authority)));
+    const entry = codes.get(authority);
+    const current = entry.after ?? entry.before;
+    const valid = (authorization.chainId === 0n || authorization.chainId === chainId)
+      && authorization.nonce === nonces.get(authority)
+      && (current === '0x' || parseDelegationDesignator(current) !== null);
+    if (!valid) continue;
+    entry.after = authorization.address === ethers.ZeroAddress ? '0x' : ethers.concat(['0xef0100', authorization.address]);
+    nonces.set(authority, nonces.get(authority) + 1n);
+  }
+  return [...codes].map(([account, { before, after }]) => ({ account, before, after: after ?? before }));
+};
+
+const describeCode = (code) => {
+  if (code === '0x') return 'no code';
+  const delegate = parseDelegationDesignator(code);
+  return delegate ? `delegates to ${delegate}` : 'contract code';
+};
+
+// Balances of every party before and after, keyed 'ETH:<party>' or '<token>:<holder>'
+const readBalances = async (provider, parties, tokens, blockTag) => {
+  const balances = new Map();
+  for (const party of parties) balances.set(`ETH:${party}`, await provider.getBalance(party, blockTag));
+  for (const [token, holders] of tokens) {
+    const contract = new ethers.Contract(token, tokenInterface, provider);
+    for (const holder of holders) balances.set(`${token}:${holder}`, await contract.balanceOf(holder, { blockTag }));
+  }
+  return balances;
+};
+
+// Mines the transaction on a node that keeps snapshots; the caller restores the snapshot
+const simulateOnFork = async (provider, { signedTx, tx }) => {
+  let txHash;
+  try {
+    txHash = await provider.send('eth_sendRawTransaction', [signedTx]);
+  } catch (error) {
+    // The Hardhat network mines a reverting transaction but answers with an error naming it
+    txHash = [error.transactionHash, error.data?.txHash, error.error?.data?.txHash, error.info?.error?.data?.txHash]
+      .find(candidate => ethers.isHexString(candidate, 32));
+    if (!txHash) {
+      return { success: false, gasUsed: null, gasCost: null, error: `The node would refuse the transaction: ${error.shortMessage || error.message}`, logs: [], codes: [], transfers: [] };
+    }
+  }
+  let receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    await provider.send('evm_mine', []); // nodes without automine
+    receipt = await provider.getTransactionReceipt(txHash);
+  }
+  const before = receipt.blockNumber - 1;
+  const after = receipt.blockNumber;
+
+  let error = null;
+  if (receipt.status === 0) {
+    const failure = await diagnoseBatchFailure(provider, { ...tx, blockTag: before }).catch(() => null);
+    error = failure?.message ?? 'Transaction reverted';
+  }
+
+  const codes = [];
+  for (const authority of new Set(tx.authorizationList.map(recoverAuthority))) {
+    codes.push({ account: authority, before: await provider.getCode(authority, before), after: await provider.getCode(authority, after) });
+  }
+
+  return {
+    success: receipt.status === 1,
+    gasUsed: receipt.gasUsed,
+    gasCost: receipt.gasUsed * receipt.gasPrice,
+    error,
+    logs: receipt.logs.map(log => ({ address: log.address, topics: log.topics, data: log.data })),
+    codes,
+    transfers: [],
+    readBalances: async (parties, tokens) => [
+      await readBalances(provider, parties, tokens, before),
+      await readBalances(provider, parties, tokens, after)
+    ]
+  };
+};
+
+const simulateWithTrace = async (provider, tx) => {
+  const request = {
+    from: tx.from,
+    to: tx.to,
+    value: ethers.toQuantity(tx.value ?? 0),
+    data: tx.data ?? '0x',
+    gas: ethers.toQuantity(tx.gasLimit),
+    maxFeePerGas: ethers.toQuantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: ethers.toQuantity(tx.maxPriorityFeePerGas ?? 0),
+    ...(tx.authorizationList.length > 0 ? { authorizationList: tx.authorizationList.map(toRpcAuthorization) } : {})
+  };
+  let trace;
+  try {
+    trace = await provider.send('debug_traceCall', [request, 'latest', { tracer: 'callTracer', tracerConfig: { withLog: true } }]);
+  } catch (error) {
+    throw new Error(`The node supports neither snapshots nor debug_traceCall with callTracer (${error.shortMessage || error.message}); dry-run against a local fork instead: npx hardhat node --fork <rpc url>`);
+  }
+
+  const summary = summarizeCallTrace(trace);
+  const { baseFeePerGas } = await provider.getBlock('latest');
+  const tip = ethers.toBigInt(tx.maxPriorityFeePerGas ?? 0);
+  const maxFee = ethers.toBigInt(tx.maxFeePerGas);
+  const gasPrice = baseFeePerGas === null || baseFeePerGas + tip > maxFee ? maxFee : baseFeePerGas + tip;
+  const gasCost = summary.gasUsed * gasPrice;
+
+  let error = summary.error;
+  if (!summary.success && summary.output !== '0x') {
+    const failure = await diagnoseBatchFailure(provider, tx).catch(() => null);
+    if (failure?.reproduced) error = failure.message;
+  }
+
+  return {
+    success: summary.success,
+    gasUsed: summary.gasUsed,
+    gasCost,
+    error,
+    logs: summary.logs,
+    codes: await predictCodeChanges(provider, tx),
+    readBalances: async (parties, tokens) => {
+      const before = await readBalances(provider, parties, tokens, 'latest');
+      const after = new Map(before);
+      const move = (key, delta) => after.set(key, after.get(key) + delta);
+      move(`ETH:${tx.from}`, -gasCost);
+      for (const { from, to, value } of summary.transfers) {
+        move(`ETH:${from}`, -value);
+        move(`ETH:${to}`, value);
+      }
+      for (const { token, from, to, value } of tokenTransfers(summary.logs)) {
+        move(`${token}:${from}`, -value);
+        move(`${token}:${to}`, value);
+      }
+      return [before, after];
+    },
+    transfers: summary.transfers
+  };
+};
+
+// Simulates `signedTx` and reports whether it would succeed, its gas, its events, the code its
+// authorizations would set, and the ETH and ERC20 balance changes of the sender (gas payer), the
+// accounts it delegates or calls, and everyone sending or receiving ETH or tokens.
+// `mode` is 'fork', 'trace' or 'auto' (fork when the node keeps snapshots).
+const simulateTransaction = async (provider, { signedTx, mode = 'auto' }) => {
+  const tx = parseRawTransaction(signedTx);
+
+  let snapshot = null;
+  if (mode !== 'trace') {
+    try {
+      snapshot = { id: await provider.send('evm_snapshot', []) };
+    } catch (error) {
+      if (mode === 'fork') throw new Error(`The node does not keep snapshots (${error.shortMessage || error.message}); start a local fork: npx hardhat node --fork <rpc url>`);
+    }
+  }
+
+  let run;
+  let before;
+  let after;
+  let parties;
+  let tokens;
+  let roles;
+  try {
+    run = snapshot ? await simulateOnFork(provider, { signedTx, tx }) : await simulateWithTrace(provider, tx);
+    const transfers = tokenTransfers(run.logs);
+    const accounts = new Set([tx.to, ...run.codes.map(code => code.account)].filter(Boolean).map(address => ethers.getAddress(address)));
+    const received = new Set([...batchCallTargets(tx.data), ...run.transfers.map(transfer => transfer.to), ...transfers.map(transfer => transfer.to)]);
+    roles = { sender: tx.from, accounts, received };
+    // Internal transfers can move ETH out of contracts the transaction never names
+    const senders = [...run.transfers, ...transfers].map(transfer => transfer.from);
+    parties = [...new Set([tx.from, ...accounts, ...received, ...senders])];
+    tokens = new Map();
+    for (const { token, from, to } of transfers) tokens.set(token, new Set([...(tokens.get(token) ?? []), from, to]));
+    // Read on the fork before the snapshot is restored
+    if (run.readBalances) [before, after] = await run.readBalances(parties, tokens);
+  } finally {
+    if (snapshot) await provider.send('evm_revert', [snapshot.id]);
+  }
+
+  const balances = [];
+  if (before) {
+    const metadata = new Map();
+    for (const token of tokens.keys()) metadata.set(token, await tokenInfo(provider, token));
+    const entries = [
+      ...parties.map(party => ({ account: party, token: null, key: `ETH:${party}` })),
+      ...[...tokens].flatMap(([token, holders]) => [...holders].map(holder => ({ account: holder, token, key: `${token}:${holder}` })))
+    ];
+    for (const { account, token, key } of entries) {
+      const { symbol, decimals } = token ? metadata.get(token) : { symbol: 'ETH', decimals: 18 };
+      balances.push({
+        account,
+        role: roleOf(account, roles),
+        asset: symbol,
+        token,
+        decimals,
+        before: before.get(key),
+        after: after.get(key),
+        delta: after.get(key) - before.get(key)
+      });
+    }
+  }
+
+  return {
+    mode: snapshot ? 'fork' : 'trace',
+    success: run.success,
+    gasUsed: run.gasUsed,
+    gasCost: run.gasCost,
+    error: run.error,
+    codeChanges: run.codes,
+    events: run.logs.map(decodeEvent),
+    balances: sortBalances(balances)
+  };
+};
+
+const formatDelta = (delta, decimals) => `${delta > 0n ? '+' : delta < 0n ? '-' : ' '}${ethers.formatUnits(delta < 0n ? -delta : delta, decimals)}`;
+
+const formatEvent = (event) => (event.name
+  ? `${event.contract}.${event.name}(${Object.entries(event.args).map(([name, value]) => `${name}=${value}`).join(', ')}) at ${event.address}`
+  : `unknown event ${event.topics[0] ?? '(anonymous)'} at ${event.address}`);
+
+const formatSimulation = (report) => [
+  `Dry run (${report.mode}): the transaction would ${report.success ? 'succeed' : 'FAIL'}`
+    + (report.gasUsed === null ? '' : `, gas used ${report.gasUsed} (${ethers.formatEther(report.gasCost)} ETH)`),
+  ...(report.error ? [`  reason: ${report.error}`] : []),
+  ...(report.codeChanges.length > 0 ? [
+    'Code changes:',
+    ...report.codeChanges.map(({ account, before, after }) =>
+      `  ${account}: ${before === after ? `unchanged, ${describeCode(before)} (authorization would be skipped)` : `${describeCode(before)} -> ${describeCode(after)}`}`)
+  ] : []),
+  ...(report.events.length > 0 ? ['Events:', ...report.events.map(event => `  ${formatEvent(event)}`)] : []),
+  ...(report.balances.length > 0 ? [
+    'Balance changes:',
+    ...report.balances.map(({ account, role, asset, decimals, before, after, delta }) =>
+      `  ${account} (${role}) ${asset} ${formatDelta(delta, decimals)} (${ethers.formatUnits(before, decimals)} -> ${ethers.formatUnits(after, decimals)})`)
+  ] : []),
+  'Nothing was sent.'
+].join('\n');
+
+module.exports = {
+  decodeEvent,
+  summarizeCallTrace,
+  predictCodeChanges,
+  simulateTransaction,
+  formatSimulation
+};
@@ -0,0 +1,134 @@
+const { ethers } = require('ethers');
+const { recoverAuthority } = require('./eip7702');
+const { parseDelegationDesignator } = require('./delegation');
+const { ANY_CHAIN_ID } = require('./crossChain');
+
+// Checks of an authorization list before it is broadcast. A node skips an invalid tuple without
+// failing the transaction, so a mistake would only show as an account that never got its code.
+// Each tuple is checked against the EIP-7702 rules and the live state of the chain:
+//   fields     chainId < 2^256, nonce < 2^64 - 1, yParity 0 or 1, 0 < r < n, 0 < s <= n/2
+//   chain      chainId 0 or the connected chain
+//   authority  recovers, and is an EOA (no code, or a delegation designator)
+//   nonce      the authority's next nonce, counting the sender's own transaction and earlier tuples
+//   delegate   has code (except the zero address, which revokes), and is not itself delegated
+
+const SECP256K1_N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_NONCE = (1n << 64n) - 2n;
+
+class AuthorizationError extends Error {
+  constructor(problems) {
+    super(`Authorization list rejected:\n  ${problems.map(({ index, message }) => `[${index}] ${message}`).join('\n  ')}`);
+    this.name = 'AuthorizationError';
+    this.problems = problems;
+  }
+}
+
+const toQuantity = (value) => {
+  try {
+    return ethers.toBigInt(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Field problems of one tuple, as messages
+const checkFields = ({ chainId, address, nonce, yParity, r, s }) => {
+  const problems = [];
+  const [chain, count, parity, rValue, sValue] = [chainId, nonce, yParity, r, s].map(toQuantity);
+  if (chain === null || chain < 0n || chain > MAX_UINT256) problems.push(`chainId ${chainId} is not a uint256`);
+  if (!ethers.isAddress(address)) problems.push(`address ${address} is not an address`);
+  if (count === null || count < 0n || count > MAX_NONCE) problems.push(`nonce ${nonce} is not below 2^64 - 1`);
+  if (parity !== 0n && parity !== 1n) problems.push(`yParity ${yParity} is not 0 or 1`);
+  if (rValue === null || rValue <= 0n || rValue >= SECP256K1_N) problems.push('r is out of range');
+  if (sValue === null || sValue <= 0n) problems.push('s is out of range');
+  else if (sValue > SECP256K1_N / 2n) problems.push('s is not canonical (above n/2)');
+  return problems;
+};
+
+// Validates `authorizationList` as it would be processed in a transaction sent by `sender` at
+// `senderNonce` (default: the sender's current nonce). Resolves with { index, authority, address, nonce, chainId } per tuple, or rejects
+// with an AuthorizationError listing every problem.
+const validateAuthorizations = async (provider, authorizationList, { sender, senderNonce } = {}) => {
+  const { chainId } = await provider.getNetwork();
+  const senderAddress = sender ? ethers.getAddress(sender) : null;
+  const next = new Map();
+  const codes = new Map();
+  const codeOf = async (address) => {
+    if (!codes.has(address)) codes.set(address, await provider.getCode(address));
+    return codes.get(address);
+  };
+
+  const problems = [];
+  const checked = [];
+  for (const [index, authorization] of authorizationList.entries()) {
+    const fieldProblems = checkFields(authorization);
+    if (fieldProblems.length > 0) {
+      problems.push({ index, authority: null, message: fieldProblems.join('; ') });
+      continue;
+    }
+    let authority;
+    try {
+      authority = recoverAuthority(authorization);
+    } catch (error) {
+      problems.push({ index, authority: null, message: 'the signature does not recover to an address' });
+      continue;
+    }
+
+    const tuple = { chainId: ethers.toBigInt(authorization.chainId), address: ethers.getAddress(authorization.address), nonce: ethers.toBigInt(authorization.nonce) };
+    const messages = [];
+    if (tuple.chainId !== ANY_CHAIN_ID && tuple.chainId !== chainId) messages.push(`it is for chain ${tuple.chainId}, but the network is chain ${chainId}`);
+
+    const authorityCode = await codeOf(authority);
+    if (authorityCode !== '0x' && parseDelegationDesignator(authorityCode) === null) messages.push('the authority is a contract, not an EOA');
+
+    if (!next.has(authority)) {
+      next.set(authority, authority === senderAddress
+        ? ethers.toBigInt(senderNonce ?? await provider.getTransactionCount(senderAddress)) + 1n
+        : ethers.toBigInt(await provider.getTransactionCount(authority)));
+    }
+    const expected = next.get(authority);
+    // Only a tuple the node applies uses up the nonce; a missing delegate does not stop it
+    if (tuple.nonce === expected) {
+      if (messages.length === 0) next.set(authority, expected + 1n);
+    } else if (tuple.nonce < expected) messages.push(`nonce ${tuple.nonce} is stale; the authority will be at nonce ${expected}`);
+    else messages.push(`nonce ${tuple.nonce} is ahead of the authority's nonce ${expected}`);
+
+    if (tuple.address !== ethers.ZeroAddress) {
+      const delegateCode = await codeOf(tuple.address);
+      if (delegateCode === '0x') messages.push(`the delegate ${tuple.address} has no code on chain ${chainId}`);
+      else if (parseDelegationDesignator(delegateCode) !== null) messages.push(`the delegate ${tuple.address} is itself a delegated account, whose code is not followed`);
+    }
+
+    if (messages.length > 0) problems.push({ index, authority, message: `${authority}: ${messages.join('; ')}` });
+    else checked.push({ index, authority, ...tuple });
+  }
+
+  if (problems.length > 0) throw new AuthorizationError(problems);
+  return checked;
+};
+
+// Authorizations sent again (a speed-up, a cancel, a journal entry broadcast again) were checked
+// when they were signed, but the chain has moved since. They are refused like new ones unless
+// `accept` is set, which only logs the problems. Resolves with the authorities the node will skip.
+const revalidateAuthorizations = async (provider, authorizationList, { sender, senderNonce, accept = false, log = console.log } = {}) => {
+  try {
+    await validateAuthorizations(provider, authorizationList, { sender, senderNonce });
+    return [];
+  } catch (error) {
+    if (!(error instanceof AuthorizationError)) throw error;
+    if (!accept) {
+      error.message += '\nSign new authorizations, or send these anyway with acceptInvalidAuthorizations (--accept-invalid-authorizations)';
+      throw error;
+    }
+    error.problems.forEach(({ message }) => log(`Warning: sending anyway, the node will skip this authorization: ${message}`));
+    return [...new Set(error.problems.map(({ authority }) => authority))];
+  }
+};
+
+module.exports = {
+  SECP256K1_N,
+  AuthorizationError,
+  validateAuthorizations,
+  revalidateAuthorizations
+};
@@ -0,0 +1,43 @@
+const hre = require('hardhat');
+const { ethers } = hre;
+const { loadDeployments } = require('../lib/deployments');
+const { getDelegationStatus, formatDelegationStatus } = require('../lib/delegation');
+const { toJson } = require('../lib/inspect');
+const { loadSigner } = require('../tasks/utils');
+
+// Reports whether accounts are delegated, to which implementation, and their nonce and balances.
+// Usage:
+//   ADDRESSES=0xabc...,0xdef... npx hardhat run scripts/inspectDelegation.js --network target
+// Without ADDRESSES the PRIVATE_KEY wallet is inspected. OUTPUT_FORMAT=json prints JSON.
+
+const main = async () => {
+  const addresses = process.env.ADDRESSES
+    ? process.env.ADDRESSES.split(',').map(address => address.trim()).filter(Boolean)
+    : [(await loadSigner(hre, 'PRIVATE_KEY')).address];
+
+  // Known delegates and tokens come from the deployments folder
+  const { chainId } = await ethers.provider.getNetwork();
+  const deployments = loadDeployments(chainId, { network: network.name });
+  const tokens = new Set(deployments
+    .filter(deployment => deployment.name === 'AuthorizationERC20Delegation')
+    .map(deployment => deployment.address));
+  if (process.env.TOKEN_ADDRESS) tokens.add(ethers.getAddress(process.env.TOKEN_ADDRESS));
+
+  const statuses = [];
+  for (const address of addresses) {
+    statuses.push(await getDelegationStatus(ethers.provider, address, { deployments, tokens: [...tokens] }));
+  }
+
+  if (process.env.OUTPUT_FORMAT === 'json') {
+    console.log(toJson(statuses));
+  } else {
+    console.log(statuses.map(formatDelegationStatus).join('\n\n'));
+  }
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const { inspectSetCodeTransaction, formatInspection, toJson } = require('../lib/inspect');
+
+// Decodes a signed (or unsigned) type 0x04 transaction without touching the network.
+// Usage:
+//   node scripts/inspectTransaction.js <rawTxHex | path/to/file> [--json]
+//   RAW_TX=0x04... node scripts/inspectTransaction.js
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json') || process.env.OUTPUT_FORMAT === 'json';
+  const input = args.find(arg => arg !== '--json') || process.env.RAW_TX;
+  if (!input) throw new Error('Provide a raw transaction hex (argument or RAW_TX)');
+
+  const raw = fs.existsSync(input) ? fs.readFileSync(input, 'utf8').trim() : input.trim();
+  const report = inspectSetCodeTransaction(raw);
+
+  console.log(json ? toJson(report) : formatInspection(report));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,129 @@
+const { task, types } = require('hardhat/config');
+const { ethers } = require('ethers');
+const {
+  readJsonFile,
+  readSigningRequest,
+  writeJsonFile,
+  createSigningRequest,
+  describeSigningRequest,
+  signSigningRequest,
+  broadcastSignedRequest
+} = require('../lib/offline');
+const { ANY_CHAIN_WARNING, requireIdenticalCode } = require('../lib/crossChain');
+const { EXECUTE_FORMATS } = require('../lib/batchCallDelegation');
+const {
+  requireAddress,
+  requireAmount,
+  requireFormat,
+  loadSigner,
+  resolveDeployment,
+  readBatchFile,
+  requireVerifiedDelegate,
+  requireWritable,
+  addFeeParams,
+  feeOptions,
+  addChainsParam,
+  addCrossChainParams,
+  crossChainOptions,
+  addTransactionParams,
+  transactionOptions
+} = require('./utils');
+
+addFeeParams(addCrossChainParams(
+  task('offline-export', 'Step 1 (online): writes the unsigned authorization and batch of an offline authority to a request file')
+    .addParam('authority', 'Address of the EOA whose key stays offline')
+    .addOptionalParam('delegate', 'Contract to delegate to (default: BatchCallDelegation from deployments/)')
+    .addOptionalParam('file', 'JSON or YAML batch file to run in the same transaction (see `batch --file`)')
+    .addOptionalParam('to', 'Recipient of a single ETH transfer (instead of --file)')
+    .addOptionalParam('amount', 'ETH amount of the single transfer, e.g. 0.001')
+    .addOptionalParam('sponsor', 'Address of the gas payer; without it the authority pays its own gas')
+    .addOptionalParam('deadline', 'Seconds a sponsored batch stays valid, allowing for the offline round trip', 86400, types.int)
+    .addOptionalParam('gasLimit', 'Gas limit of a self-paid transaction, for nodes that cannot estimate it before signing')
+    .addOptionalParam('gasMargin', 'Safety margin added to the estimated gas limit of a self-paid transaction, in percent', Number(process.env.GAS_MARGIN_PERCENT ?? 20), types.int)
+    .addOptionalParam('format', `execute() calldata of a self-paid batch: ${EXECUTE_FORMATS.join(' or ')} (ERC-7821 batch mode)`, 'native')
+    .addOptionalParam('out', 'Request file to write', 'signing-request.json')
+    .addFlag('revoke', 'Clear the authority\'s code instead of delegating')
+    .addFlag('force', 'Overwrite --out if it exists')
+    .addFlag('skipVerify', 'Delegate even if the code at --delegate does not match the compiled contract')
+)).setAction(async (args, hre) => {
+  const authority = requireAddress(args.authority, 'authority');
+  const sponsor = args.sponsor ? requireAddress(args.sponsor, 'sponsor') : undefined;
+  if (args.deadline <= 0) throw new Error('--deadline must be positive');
+  if (args.gasMargin < 0) throw new Error('--gas-margin cannot be negative');
+  if (args.gasLimit !== undefined && !/^[1-9]\d*$/.test(args.gasLimit)) throw new Error(`--gas-limit must be a positive whole number, got "${args.gasLimit}"`);
+  requireWritable(args.out, args.force);
+  requireFormat(args.format);
+  const fees = feeOptions(args);
+
+  let calls = [];
+  if (args.file) {
+    if (args.to || args.amount) throw new Error('Use either --file or --to/--amount, not both');
+    ({ calls } = await readBatchFile(hre, args.file));
+  } else if (args.to || args.amount) {
+    calls = [{ data: '0x', to: requireAddress(args.to, 'to'), value: ethers.parseEther(requireAmount(args.amount, 'amount')) }];
+  }
+  if (args.revoke && calls.length > 0) throw new Error('--revoke cannot run a batch');
+
+  const delegate = args.revoke
+    ? ethers.ZeroAddress
+    : await resolveDeployment(hre, args.delegate, 'BatchCallDelegation', 'delegate');
+  if (!args.revoke) await requireVerifiedDelegate(hre, delegate, calls.length > 0 ? 'BatchCallDelegation' : undefined, { skip: args.skipVerify });
+  const { anyChain, chains } = await crossChainOptions(args);
+  if (anyChain) {
+    console.log(ANY_CHAIN_WARNING);
+    await requireIdenticalCode(hre.ethers.provider, chains, [delegate]);
+  }
+
+  const { timestamp } = await hre.ethers.provider.getBlock('latest');
+  const request = await createSigningRequest(hre.ethers.provider, {
+    authority,
+    delegate,
+    calls,
+    sponsor,
+    deadline: timestamp + args.deadline,
+    gasLimit: args.gasLimit,
+    marginPercent: args.gasMargin,
+    fees,
+    anyChain,
+    format: args.format
+  });
+  writeJsonFile(args.out, request);
+  console.log(describeSigningRequest(request));
+  console.log(`Request written to ${args.out}; sign it offline with \`npx hardhat offline-sign --request ${args.out}\``);
+  return request;
+});
+
+// Uses no provider, so it runs on a machine without network access
+task('offline-sign', 'Step 2 (offline): signs a request file with the authority\'s key')
+  .addOptionalParam('request', 'Request file from offline-export', 'signing-request.json')
+  .addOptionalParam('key', 'Environment variable holding the authority private key or signer spec', 'PRIVATE_KEY')
+  .addOptionalParam('out', 'Signatures file to write', 'signatures.json')
+  .addFlag('force', 'Overwrite --out if it exists')
+  .setAction(async (args, hre) => {
+    const request = readSigningRequest(args.request);
+    requireWritable(args.out, args.force);
+    const signer = await loadSigner(hre, args.key);
+
+    console.log(describeSigningRequest(request));
+    const signatures = await signSigningRequest(request, signer);
+    writeJsonFile(args.out, signatures);
+    console.log(`Signatures written to ${args.out}; carry it back and run \`npx hardhat offline-broadcast\``);
+    return signatures;
+  });
+
+addTransactionParams(addChainsParam(
+  task('offline-broadcast', 'Step 3 (online): checks the offline signatures against the request and sends the transaction')
+    .addOptionalParam('request', 'Request file from offline-export', 'signing-request.json')
+    .addOptionalParam('signatures', 'Signatures file from offline-sign', 'signatures.json')
+    .addOptionalParam('sponsorKey', 'Environment variable holding the private key of the sponsor named in the request', 'GAS_PAYER_PRIVATE_KEY')
+    .addFlag('dryRun', 'Simulate the signed transaction and report its effects without sending it')
+    .addFlag('accessList', 'Attach an EIP-2930 access list when it lowers the gas estimate')
+)).setAction(async (args, hre) => {
+  const request = readSigningRequest(args.request);
+  const signatures = readJsonFile(args.signatures);
+  const sponsor = request.sponsor ? await loadSigner(hre, args.sponsorKey) : undefined;
+
+  console.log(describeSigningRequest(request));
+  const { chains } = await crossChainOptions(args);
+  return broadcastSignedRequest(hre.ethers.provider, request, signatures, { sponsor, dryRun: args.dryRun, generateAccessList: args.accessList, chains, ...transactionOptions(args) });
+});
@@ -0,0 +1,124 @@
+const { task, types } = require('hardhat/config');
+const { ethers } = require('ethers');
+const { FINAL_STATUSES, createRelayer, pollRelay } = require('../lib/relayer');
+const { createRelayRequest } = require('../lib/intent');
+const { resolveBatch } = require('../lib/batchFile');
+const { toJson } = require('../lib/inspect');
+const { receiptOptionsFromEnv, requirePositiveInteger } = require('../lib/receipt');
+const {
+  requireAddress,
+  requireAmount,
+  loadSigner,
+  resolveDeployment,
+  readBatchFile,
+  requireVerifiedDelegate,
+  addTransactionParams,
+  transactionOptions,
+  addChainsParam,
+  crossChainOptions
+} = require('./utils');
+
+const { timeoutMs } = receiptOptionsFromEnv();
+
+addChainsParam(addTransactionParams(
+  task('relayer', 'Runs an HTTP relayer that pays the gas of signed batch intents from accounts without ETH')
+    .addOptionalParam('port', 'Port to listen on', 3000, types.int)
+    .addOptionalParam('host', 'Interface to listen on', '127.0.0.1')
+    .addOptionalParam('payerKey', 'Environment variable holding the gas payer private key or signer spec', 'GAS_PAYER_PRIVATE_KEY')
+    .addOptionalParam('delegate', 'BatchCallDelegation address accounts must delegate to (default: from deployments/)')
+    .addOptionalParam('maxRequests', 'Requests allowed per account per window', 10, types.int)
+    .addOptionalParam('window', 'Policy window in seconds', 3600, types.int)
+    .addOptionalParam('maxGasCost', 'Worst-case gas cost in ETH the relayer pays per account per window', '0.05')
+    .addOptionalParam('maxCalls', 'Calls allowed in one batch', 10, types.int)
+    .addOptionalParam('maxDeadline', 'Furthest intent deadline accepted, in seconds from now', 3600, types.int)
+    .addFlag('skipVerify', 'Sponsor even if the code at --delegate does not match the compiled BatchCallDelegation')
+)).setAction(async (args, hre) => {
+  const limits = { 'max-requests': args.maxRequests, window: args.window, 'max-calls': args.maxCalls, 'max-deadline': args.maxDeadline };
+  for (const [param, value] of Object.entries(limits)) {
+    if (value <= 0) throw new Error(`--${param} must be positive`);
+  }
+  const maxGasCost = ethers.parseEther(requireAmount(args.maxGasCost, 'max-gas-cost'));
+  const gasPayer = await loadSigner(hre, args.payerKey);
+  const delegate = await resolveDeployment(hre, args.delegate, 'BatchCallDelegation', 'delegate');
+  await requireVerifiedDelegate(hre, delegate, 'BatchCallDelegation', { skip: args.skipVerify });
+  const { chains } = await crossChainOptions(args);
+
+  const relayer = createRelayer(hre.ethers.provider, {
+    gasPayer,
+    delegate,
+    policy: {
+      windowMs: args.window * 1000,
+      maxRequestsPerWindow: args.maxRequests,
+      maxGasCostPerWindow: maxGasCost,
+      maxCalls: args.maxCalls,
+      maxDeadlineSeconds: args.maxDeadline
+    },
+    chains,
+    ...transactionOptions(args)
+  });
+  const server = await relayer.listen(args.port, args.host);
+  console.log(`Relayer listening on http://${args.host}:${server.address().port}`);
+  console.log(`Gas payer: ${gasPayer.address}, delegate: ${delegate}`);
+
+  // Serve until interrupted
+  await new Promise((resolve) => {
+    process.once('SIGINT', () => server.close(resolve));
+    process.once('SIGTERM', () => server.close(resolve));
+  });
+});
+
+task('relay', 'Signs a batch intent and hands it to a relayer, so the account needs no ETH')
+  .addOptionalParam('url', 'Relayer URL', process.env.RELAYER_URL ?? 'http://127.0.0.1:3000')
+  .addOptionalParam('file', 'JSON or YAML batch file (see `batch --file`)')
+  .addOptionalParam('token', 'ERC20 token for a single transfer (default: AuthorizationERC20Delegation from deployments/)')
+  .addOptionalParam('to', 'Recipient of a single ERC20 transfer (instead of --file)')
+  .addOptionalParam('amount', 'Token amount of the single transfer, in human units')
+  .addOptionalParam('deadline', 'Seconds the intent stays valid', 600, types.int)
+  .addOptionalParam('key', 'Environment variable holding the account private key or signer spec', 'TOKEN_HOLDER_PRIVATE_KEY')
+  .addFlag('wait', 'Poll the relayer until the transaction is mined or failed')
+  .addOptionalParam('timeout', 'Seconds --wait polls the relayer before giving up', timeoutMs / 1000, types.int)
+  .setAction(async (args, hre) => {
+    if (args.deadline <= 0) throw new Error('--deadline must be positive');
+    requirePositiveInteger(args.timeout, '--timeout');
+    const relayerUrl = args.url.replace(/\/$/, '');
+    let batch;
+    if (args.file) {
+      if (args.to || args.amount) throw new Error('Use either --file or --to/--amount, not both');
+      batch = await readBatchFile(hre, args.file);
+    } else {
+      if (!args.to || !args.amount) throw new Error('Pass --file, or --to and --amount for a single ERC20 transfer');
+      const to = requireAddress(args.to, 'to');
+      const amount = requireAmount(args.amount, 'amount');
+      const token = await resolveDeployment(hre, args.token, 'AuthorizationERC20Delegation', 'token');
+      batch = await resolveBatch(hre.ethers.provider, { calls: [{ type: 'erc20', token, to, amount }] });
+    }
+    const { calls, labels } = batch;
+    labels.forEach((label, index) => console.log(`  [${index}] ${label}`));
+
+    const wallet = await loadSigner(hre, process.env[args.key] ? args.key : 'PRIVATE_KEY');
+    const infoResponse = await fetch(`${relayerUrl}/info`);
+    const info = await infoResponse.json().catch(() => ({}));
+    if (!infoResponse.ok) throw new Error(`Relayer could not describe itself (${infoResponse.status}): ${info.error ?? infoResponse.statusText}`);
+    console.log(`Relayer ${relayerUrl} sponsors delegation to ${info.delegate}`);
+
+    const body = await createRelayRequest(hre.ethers.provider, wallet, {
+      delegate: info.delegate,
+      calls,
+      deadline: Math.floor(Date.now() / 1000) + args.deadline
+    });
+    const response = await fetch(`${relayerUrl}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: toJson(body)
+    });
+    let status = await response.json();
+    if (!response.ok) throw new Error(`Relayer refused the request (${response.status}): ${status.error}`);
+    console.log(`Relay ${status.id}: ${status.status} ${status.txHash}`);
+
+    if (args.wait) {
+      status = await pollRelay(relayerUrl, status.id, { timeoutMs: args.timeout * 1000 });
+      console.log(`Relay ${status.id}: ${status.status}${status.error ? ` (${status.error})` : ''}`);
+    }
+    if (status.status !== 'mined' && FINAL_STATUSES.includes(status.status)) throw new Error(`Relay ${status.status}`);
+    return status;
+  });
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const { types } = require('hardhat/config');
+const { ethers } = require('ethers');
+const { loadDeployments, findDeployment, verifyDeployment } = require('../lib/deployments');
+const { receiptOptionsFromEnv, requirePositiveInteger } = require('../lib/receipt');
+const { loadBatchFile, resolveBatch } = require('../lib/batchFile');
+const { signerFromSpec } = require('../lib/signers');
+const { FEE_STRATEGIES, DEFAULT_FEE_PERCENTILE } = require('../lib/fees');
+const { openJournal } = require('../lib/journal');
+const { EXECUTE_FORMATS } = require('../lib/batchCallDelegation');
+
+const requireAddress = (value, param) => {
+  if (!value || !ethers.isAddress(value)) throw new Error(`--${param} must be an address, got "${value ?? ''}"`);
+  return ethers.getAddress(value);
+};
+
+// Human-unit amounts such as "0.001" or "25"; converted with the right decimals by the flows
+const requireAmount = (value, param) => {
+  if (!/^\d+(\.\d+)?$/.test(value ?? '') || /^0+(\.0+)?$/.test(value)) {
+    throw new Error(`--${param} must be a positive decimal amount, got "${value ?? ''}"`);
+  }
+  return value;
+};
+
+const requireFormat = (value) => {
+  if (!EXECUTE_FORMATS.includes(value)) throw new Error(`--format must be one of ${EXECUTE_FORMATS.join(', ')}, got "${value}"`);
+  return value;
+};
+
+// Gwei amounts; zero is allowed, as some chains take transactions without a tip
+const requireGwei = (value, param) => {
+  try {
+    if (/^\d+(\.\d+)?$/.test(value)) return ethers.parseUnits(value, 'gwei');
+  } catch (error) {
+    // More than 9 decimals
+  }
+  throw new Error(`--${param} must be an amount of gwei, got "${value}"`);
+};
+
+// signerFromSpec options from the environment: keystore passwords come from the file named by
+// <envName>_PASSWORD_FILE or a prompt, mnemonic: signers use MNEMONIC, external: signers send
+// EXTERNAL_SIGNER_TOKEN, and ALLOW_RAW_KEYS=false refuses plain private keys
+const signerOptions = (hre, envName) => ({
+  passwordFile: process.env[`${envName}_PASSWORD_FILE`],
+  mnemonic: process.env.MNEMONIC,
+  token: process.env.EXTERNAL_SIGNER_TOKEN,
+  allowRawKey: process.env.ALLOW_RAW_KEYS !== 'false',
+  provider: hre.ethers.provider
+});
+
+// Signer for the private key or signer spec (see lib/signers.js) held in the environment variable `envName`
+const loadSigner = async (hre, envName) => {
+  const spec = process.env[envName];
+  if (!spec) throw new Error(`Environment variable ${envName} is not set`);
+  try {
+    return await signerFromSpec(spec, signerOptions(hre, envName));
+  } catch (error) {
+    throw new Error(`${envName}: ${error.message}`);
+  }
+};
+
+// Refuses to overwrite a file from an earlier run unless asked to
+const requireWritable = (file, force) => {
+  if (fs.existsSync(file) && !force) throw new Error(`${file} already exists; pass --force to overwrite it`);
+};
+
+// Contracts recorded for the connected chain (plus the legacy files of this Hardhat network)
+const loadNetworkDeployments = async (hre) => {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return loadDeployments(chainId, { network: hre.network.name });
+};
+
+// Explicit address parameter, falling back to the contract recorded in deployments/ for this chain
+const resolveDeployment = async (hre, value, name, param) => {
+  if (value) return requireAddress(value, param);
+  const deployment = (await loadNetworkDeployments(hre)).find(candidate => candidate.name === name);
+  if (!deployment) throw new Error(`No ${name} deployment found for chain of network ${hre.network.name}; deploy it or pass --${param}`);
+  return deployment.address;
+};
+
+// Calls of a JSON or YAML batch file (see lib/batchFile.js), resolved against this chain's deployments
+const readBatchFile = async (hre, file) => resolveBatch(hre.ethers.provider, loadBatchFile(file), {
+  deployments: await loadNetworkDeployments(hre),
+  readArtifact: async (name) => {
+    await hre.run('compile', { quiet: true });
+    return hre.artifacts.readArtifact(name);
+  }
+});
+
+// Runtime bytecode of a contract of this project and the positions of its immutables
+const readCompiled = async (hre, name) => {
+  await hre.run('compile', { quiet: true });
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const output = buildInfo?.output.contracts[artifact.sourceName][artifact.contractName];
+  return {
+    deployedBytecode: artifact.deployedBytecode,
+    immutableReferences: output?.evm.deployedBytecode.immutableReferences ?? {}
+  };
+};
+
+// Refuses to delegate to `address` unless its code is the compiled `name` contract.
+// Addresses recorded in the registry are checked against the contract they were recorded as.
+const requireVerifiedDelegate = async (hre, address, name, { skip = false } = {}) => {
+  if (skip) {
+    console.log(`Skipping code verification of ${address}`);
+    return;
+  }
+  const recorded = findDeployment(await loadNetworkDeployments(hre), address);
+  const expected = recorded?.name ?? name;
+  if (!expected) {
+    console.log(`${address} is not in deployments/; its code was not verified`);
+    return;
+  }
+  const result = await verifyDeployment(hre.ethers.provider, address, await readCompiled(hre, expected), recorded ?? {});
+  if (!result.verified) {
+    throw new Error(`Code at ${address} does not match the compiled ${expected} (${result.status}); run verify-deployment or pass --skip-verify`);
+  }
+  console.log(`Verified ${address} is ${expected} (${result.status})`);
+};
+
+// Fee parameters (see lib/fees.js); defaults come from the environment
+const addFeeParams = (definition) => definition
+  .addOptionalParam('feeStrategy', `Fee strategy: ${FEE_STRATEGIES.join(', ')} (default: fixed with --max-fee, node otherwise)`, process.env.FEE_STRATEGY || undefined)
+  .addOptionalParam('maxFee', 'Max fee per gas in gwei, for the fixed strategy', process.env.MAX_FEE_GWEI || undefined)
+  .addOptionalParam('priorityFee', 'Tip per gas in gwei, for the fixed strategy (default: the max fee)', process.env.PRIORITY_FEE_GWEI || undefined)
+  .addOptionalParam('feePercentile', 'Percentile of recent tips the history strategy pays', Number(process.env.FEE_PERCENTILE ?? DEFAULT_FEE_PERCENTILE), types.int)
+  .addOptionalParam('maxFeeCap', 'Highest max fee per gas to sign, in gwei', process.env.MAX_FEE_CAP_GWEI || undefined)
+  .addOptionalParam('priorityFeeCap', 'Highest tip per gas to sign, in gwei', process.env.PRIORITY_FEE_CAP_GWEI || undefined)
+  .addOptionalParam('maxTotalCost', 'Abort before signing if the gas payer could spend more than this many ETH', process.env.MAX_TOTAL_COST_ETH || undefined);
+
+const feeOptions = (args) => {
+  const strategy = args.feeStrategy ?? (args.maxFee !== undefined ? 'fixed' : 'node');
+  if (!FEE_STRATEGIES.includes(strategy)) throw new Error(`--fee-strategy must be one of ${FEE_STRATEGIES.join(', ')}, got "${strategy}"`);
+  if (strategy === 'fixed' && args.maxFee === undefined) throw new Error('--fee-strategy fixed needs --max-fee');
+  if (strategy !== 'fixed' && (args.maxFee !== undefined || args.priorityFee !== undefined)) {
+    throw new Error(`--max-fee and --priority-fee only apply to the fixed strategy, not ${strategy}; use --max-fee-cap and --priority-fee-cap`);
+  }
+  if (args.feePercentile < 0 || args.feePercentile > 100) throw new Error('--fee-percentile must be between 0 and 100');
+  const gwei = (value, param) => (value === undefined ? undefined : requireGwei(value, param));
+  return {
+    strategy,
+    maxFeePerGas: gwei(args.maxFee, 'max-fee'),
+    maxPriorityFeePerGas: gwei(args.priorityFee, 'priority-fee'),
+    percentile: args.feePercentile,
+    maxFeeCap: gwei(args.maxFeeCap, 'max-fee-cap'),
+    priorityFeeCap: gwei(args.priorityFeeCap, 'priority-fee-cap'),
+    maxTotalCost: args.maxTotalCost === undefined ? undefined : ethers.parseEther(requireAmount(args.maxTotalCost, 'max-total-cost'))
+  };
+};
+
+// Provider for another chain. Its chain ID is fetched once up front, so an unreachable URL fails
+// here instead of being retried forever.
+const connectRpc = async (url) => {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = 30000;
+  request.body = { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] };
+  let chainId;
+  try {
+    const response = await request.send();
+    response.assertOk();
+    chainId = ethers.toBigInt(response.bodyJson.result);
+  } catch (error) {
+    throw new Error(`Cannot get the chain ID of ${url}: ${error.shortMessage || error.message}`);
+  }
+  return new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true });
+};
+
+// Other chains a chainId 0 authorization is checked against (see lib/crossChain.js)
+const addChainsParam = (definition) => definition
+  .addOptionalParam('chains', 'Comma-separated RPC URLs of the other chains whose delegate code must match before a chainId 0 authorization is used', process.env.CHAIN_RPC_URLS || undefined);
+
+const addCrossChainParams = (definition) => addChainsParam(definition)
+  .addFlag('anyChain', 'Sign the authorization for chainId 0, valid on every chain; prints a warning and needs --chains');
+
+const crossChainOptions = async (args) => {
+  const urls = (args.chains ?? '').split(',').map(url => url.trim()).filter(Boolean);
+  return { anyChain: Boolean(args.anyChain), chains: await Promise.all(urls.map(connectRpc)) };
+};
+
+// Parameters shared by every task that sends a transaction; defaults come from the environment
+const addTransactionParams = (definition) => {
+  const { timeoutMs, confirmations } = receiptOptionsFromEnv();
+  return addFeeParams(definition)
+    .addOptionalParam('gasMargin', 'Safety margin added to the estimated gas limit, in percent', Number(process.env.GAS_MARGIN_PERCENT ?? 20), types.int)
+    .addOptionalParam('timeout', 'Seconds to wait for the receipt before giving up', timeoutMs / 1000, types.int)
+    .addOptionalParam('confirmations', 'Blocks to wait for after the transaction is mined', confirmations, types.int)
+    .addOptionalParam('journal', 'File recording every transaction before it is sent (default: journal/transactions.jsonl)', process.env.JOURNAL_FILE || undefined);
+};
+
+const transactionOptions = (args) => {
+  if (args.gasMargin < 0) throw new Error('--gas-margin cannot be negative');
+  requirePositiveInteger(args.timeout, '--timeout');
+  requirePositiveInteger(args.confirmations, '--confirmations');
+  return {
+    marginPercent: args.gasMargin,
+    fees: feeOptions(args),
+    receiptOptions: { timeoutMs: args.timeout * 1000, confirmations: args.confirmations },
+    journal: openJournal(args.journal)
+  };
+};
+
+module.exports = {
+  requireAddress,
+  requireAmount,
+  requireFormat,
+  signerOptions,
+  loadSigner,
+  requireWritable,
+  loadNetworkDeployments,
+  resolveDeployment,
+  readBatchFile,
+  readCompiled,
+  requireVerifiedDelegate,
+  addFeeParams,
+  feeOptions,
+  connectRpc,
+  addChainsParam,
+  addCrossChainParams,
+  crossChainOptions,
+  addTransactionParams,
+  transactionOptions
+};
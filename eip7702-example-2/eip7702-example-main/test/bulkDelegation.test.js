@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { setDelegation } = require('../lib/flows');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const { walletsFromMnemonic, maxAuthorizationsPerTransaction, bulkDelegate } = require('../lib/bulkDelegation');
+const { deployContracts, quiet } = require('./fixtures');
+
+describe('Bulk delegation', () => {
+  const authorities = (count) => Array.from({ length: count }, () => ethers.Wallet.createRandom().connect(ethers.provider));
+
+  it('packs many authorities into few transactions paid by one gas payer', async () => {
+    const { batchAddress, sponsor } = await loadFixture(deployContracts);
+    const wallets = authorities(5);
+
+    const results = await bulkDelegate(ethers.provider, { gasPayer: sponsor, wallets, delegate: batchAddress, maxPerTransaction: 2, ...quiet });
+
+    expect(results.map(result => result.status)).to.deep.equal(Array(5).fill('applied'));
+    expect(new Set(results.map(result => result.txHash)).size).to.equal(3);
+    for (const wallet of wallets) {
+      expect(parseDelegationDesignator(await ethers.provider.getCode(wallet.address))).to.equal(batchAddress);
+      expect(await ethers.provider.getBalance(wallet.address)).to.equal(0n);
+    }
+  });
+
+  it('reports authorities that need no authorization or cannot take one', async () => {
+    const { batchAddress, sponsor } = await loadFixture(deployContracts);
+    const [fresh, delegated, contract] = authorities(3);
+    await setDelegation(ethers.provider, { wallet: delegated, sponsor, delegate: batchAddress, ...quiet });
+    await ethers.provider.send('hardhat_setCode', [contract.address, '0x6080']);
+
+    const results = await bulkDelegate(ethers.provider, {
+      gasPayer: sponsor,
+      wallets: [fresh, delegated, contract, fresh],
+      delegate: batchAddress,
+      ...quiet
+    });
+
+    expect(results.map(result => result.status)).to.deep.equal(['applied', 'already', 'contract', 'duplicate']);
+  });
+
+  it('revokes in bulk', async () => {
+    const { batchAddress, sponsor } = await loadFixture(deployContracts);
+    const wallets = authorities(3);
+    await bulkDelegate(ethers.provider, { gasPayer: sponsor, wallets, delegate: batchAddress, ...quiet });
+
+    const results = await bulkDelegate(ethers.provider, { gasPayer: sponsor, wallets, delegate: ethers.ZeroAddress, ...quiet });
+
+    expect(results.map(result => result.status)).to.deep.equal(['applied', 'applied', 'applied']);
+    for (const wallet of wallets) expect(await ethers.provider.getCode(wallet.address)).to.equal('0x');
+  });
+
+  it('derives authorities from a mnemonic and sizes transactions by gas', async () => {
+    const [first] = walletsFromMnemonic('test test test test test test test test test test test junk', { count: 1 });
+    expect(first.address).to.equal('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+
+    // 21000 + 25000 per authorization, plus the 20% margin
+    expect(maxAuthorizationsPerTransaction({ maxGas: 200000n })).to.equal(5);
+    expect(maxAuthorizationsPerTransaction({ maxPerTransaction: 3 })).to.equal(3);
+    expect(() => maxAuthorizationsPerTransaction({ maxGas: 50000n })).to.throw(/does not fit/);
+  });
+});
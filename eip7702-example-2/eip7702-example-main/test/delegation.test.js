@@ -0,0 +1,93 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { setDelegation, revokeDelegation, executeBatch } = require('../lib/flows');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const { encodeExecute } = require('../lib/batchCallDelegation');
+const { diagnoseBatchFailure } = require('../lib/diagnostics');
+const { deployContracts, quiet } = require('./fixtures');
+
+describe('Delegation flows', () => {
+  it('deploys both contracts', async () => {
+    const { batch, token, deployer } = await loadFixture(deployContracts);
+
+    expect(await ethers.provider.getCode(await batch.getAddress())).to.not.equal('0x');
+    expect(await token.symbol()).to.equal('ADT');
+    expect(await token.decimals()).to.equal(18n);
+    expect(await token.totalSupply()).to.equal(ethers.parseUnits('1000000', 18));
+    expect(await token.balanceOf(deployer.address)).to.equal(ethers.parseUnits('998000', 18));
+  });
+
+  it('delegates an EOA to BatchCallDelegation', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+
+    await setDelegation(ethers.provider, { wallet: eoa, delegate: batchAddress, ...quiet });
+
+    const code = await ethers.provider.getCode(eoa.address);
+    expect(parseDelegationDesignator(code)).to.equal(batchAddress);
+  });
+
+  it('delegates and runs a batch of ETH transfers in one self-sponsored transaction', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const other = ethers.Wallet.createRandom().address;
+    const calls = [
+      { to: recipient, value: ethers.parseEther('0.001'), data: '0x' },
+      { to: other, value: ethers.parseEther('0.002'), data: '0x' }
+    ];
+
+    const { receipt } = await executeBatch(ethers.provider, { wallet: eoa, delegate: batchAddress, calls, ...quiet });
+
+    expect(receipt.status).to.equal(1);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(ethers.parseEther('0.001'));
+    expect(await ethers.provider.getBalance(other)).to.equal(ethers.parseEther('0.002'));
+    expect(await ethers.provider.getTransactionCount(eoa.address)).to.equal(2); // transaction + authorization
+  });
+
+  it('lets a sponsor pay for the delegation and the batch', async () => {
+    const { eoa, sponsor, batchAddress, recipient } = await loadFixture(deployContracts);
+    const eoaBalance = await ethers.provider.getBalance(eoa.address);
+    const sponsorBalance = await ethers.provider.getBalance(sponsor.address);
+    const value = ethers.parseEther('0.5');
+
+    await executeBatch(ethers.provider, {
+      wallet: eoa,
+      sponsor,
+      delegate: batchAddress,
+      calls: [{ to: recipient, value, data: '0x' }],
+      ...quiet
+    });
+
+    // The EOA only loses the transferred value, the sponsor pays the gas
+    expect(await ethers.provider.getBalance(eoa.address)).to.equal(eoaBalance - value);
+    expect(await ethers.provider.getBalance(sponsor.address)).to.be.lessThan(sponsorBalance);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(value);
+  });
+
+  it('revokes the delegation with a zero-address authorization', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    await setDelegation(ethers.provider, { wallet: eoa, delegate: batchAddress, ...quiet });
+
+    await revokeDelegation(ethers.provider, { wallet: eoa, ...quiet });
+
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+  });
+
+  it('refuses to send a batch whose call reverts and pinpoints that call', async () => {
+    const { eoa, batchAddress, tokenAddress, token, recipient } = await loadFixture(deployContracts);
+    const tooMuch = (await token.balanceOf(eoa.address)) + 1n;
+    await setDelegation(ethers.provider, { wallet: eoa, delegate: batchAddress, ...quiet });
+
+    const calls = [
+      { to: recipient, value: ethers.parseEther('0.001'), data: '0x' },
+      { to: tokenAddress, value: 0n, data: token.interface.encodeFunctionData('transfer', [recipient, tooMuch]) }
+    ];
+    // Gas estimation already fails, so the transaction is never sent
+    await expect(executeBatch(ethers.provider, { wallet: eoa, delegate: batchAddress, calls, ...quiet }))
+      .to.be.rejectedWith(/Gas estimation reverted/);
+
+    const failure = await diagnoseBatchFailure(ethers.provider, { from: eoa.address, to: eoa.address, data: encodeExecute(calls) });
+    expect(failure.index).to.equal(1);
+    expect(failure.call.function).to.match(/^transfer\(/);
+    expect(failure.revert.reason).to.equal('BALANCE');
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { getFees, requireAffordable } = require('../lib/fees');
+const { executeBatch } = require('../lib/flows');
+const { deployContracts, quiet } = require('./fixtures');
+
+const gwei = (value) => ethers.parseUnits(value, 'gwei');
+
+// A node answering with the fee data of chains that only half implement EIP-1559
+const oddNode = ({ baseFeePerGas, feeData, history }) => ({
+  getBlock: async () => ({ baseFeePerGas }),
+  getFeeData: async () => ({ gasPrice: null, maxFeePerGas: null, maxPriorityFeePerGas: null, ...feeData }),
+  send: async (method) => {
+    if (method === 'eth_feeHistory' && history) return history;
+    throw new Error(`${method} is not supported`);
+  }
+});
+
+describe('Fees', () => {
+  it('follows the node and recent tips on the Hardhat network', async () => {
+    const { eoa, recipient } = await loadFixture(deployContracts);
+    // Blocks with paid tips for the history strategy
+    for (let i = 0; i < 3; i++) await eoa.sendTransaction({ to: recipient, value: 1n, maxFeePerGas: gwei('10'), maxPriorityFeePerGas: gwei('2') });
+    const { baseFeePerGas } = await ethers.provider.getBlock('latest');
+
+    const node = await getFees(ethers.provider);
+    expect(node.strategy).to.equal('node');
+    expect(node.maxFeePerGas >= baseFeePerGas + node.maxPriorityFeePerGas).to.equal(true);
+
+    const history = await getFees(ethers.provider, { strategy: 'history', blocks: 3 });
+    expect(history.maxPriorityFeePerGas).to.equal(gwei('2'));
+    expect(history.maxFeePerGas > baseFeePerGas).to.equal(true);
+  });
+
+  it('pays the gas price on chains without EIP-1559 fee suggestions', async () => {
+    const provider = oddNode({ baseFeePerGas: 0n, feeData: { gasPrice: gwei('5') } });
+
+    const fees = await getFees(provider);
+    expect(fees).to.include({ maxFeePerGas: gwei('5'), maxPriorityFeePerGas: gwei('5') });
+    expect(fees.notes[0]).to.match(/gas price/);
+
+    await expect(getFees(oddNode({ baseFeePerGas: null, feeData: {} }))).to.be.rejectedWith(/suggests no fees/);
+    await expect(getFees(oddNode({ baseFeePerGas: null, feeData: {} }), { strategy: 'history' })).to.be.rejectedWith(/no base fee/);
+  });
+
+  it('replaces a zero tip with recent ones and repairs a max fee below the base fee', async () => {
+    const history = { baseFeePerGas: ['0x1', '0x1'], gasUsedRatio: [0.5], reward: [[ethers.toQuantity(gwei('3'))]] };
+    const provider = oddNode({
+      baseFeePerGas: gwei('10'),
+      feeData: { gasPrice: gwei('10'), maxFeePerGas: gwei('8'), maxPriorityFeePerGas: 0n },
+      history
+    });
+
+    const fees = await getFees(provider);
+    expect(fees.maxPriorityFeePerGas).to.equal(gwei('3'));
+    expect(fees.maxFeePerGas).to.equal(gwei('23'));
+    expect(fees.notes).to.have.length(2);
+
+    // Chains where nobody tips keep a zero tip
+    const tipless = oddNode({ baseFeePerGas: gwei('10'), feeData: { maxFeePerGas: gwei('20'), maxPriorityFeePerGas: 0n } });
+    expect((await getFees(tipless)).maxPriorityFeePerGas).to.equal(0n);
+  });
+
+  it('applies fixed values and caps', async () => {
+    const provider = oddNode({ baseFeePerGas: gwei('10'), feeData: { maxFeePerGas: gwei('50'), maxPriorityFeePerGas: gwei('4') } });
+
+    expect(await getFees(provider, { maxFeePerGas: gwei('30') })).to.include({
+      strategy: 'fixed',
+      maxFeePerGas: gwei('30'),
+      maxPriorityFeePerGas: gwei('30')
+    });
+    const capped = await getFees(provider, { maxFeeCap: gwei('8'), priorityFeeCap: gwei('2') });
+    expect(capped).to.include({ maxFeePerGas: gwei('8'), maxPriorityFeePerGas: gwei('2') });
+    expect(capped.notes.at(-1)).to.match(/below the current base fee/);
+    await expect(getFees(provider, { strategy: 'fixed' })).to.be.rejectedWith(/needs a max fee/);
+  });
+
+  it('aborts before signing when the gas payer could overspend', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const nonce = await ethers.provider.getTransactionCount(eoa.address);
+
+    await expect(executeBatch(ethers.provider, {
+      wallet: eoa,
+      delegate: batchAddress,
+      calls: [{ to: recipient, value: 1n, data: '0x' }],
+      fees: { maxTotalCost: ethers.parseEther('0.00001') },
+      ...quiet
+    })).to.be.rejectedWith(/above the limit of 0.00001 ETH/);
+    expect(await ethers.provider.getTransactionCount(eoa.address)).to.equal(nonce);
+
+    await expect(requireAffordable(ethers.provider, { from: eoa.address, gasLimit: 100000n, maxFeePerGas: ethers.parseEther('1') }))
+      .to.be.rejectedWith(/holds 10.0 ETH, but the transaction could cost up to 100000.0 ETH/);
+  });
+});
@@ -0,0 +1,53 @@
+const { ethers } = require('hardhat');
+const { setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+
+// Shared setup of the test suite; use with loadFixture so every test starts from the same snapshot.
+// Flows take their wallets as ethers Wallets (or lib/signers.js signers) because type 0x04
+// transactions are signed over their digest, which Hardhat's JSON-RPC signers cannot do.
+
+const INITIAL_SUPPLY = ethers.parseUnits('1000000', 18);
+const HOLDER_BALANCE = ethers.parseUnits('1000', 18);
+
+// Silences the progress output of the flows
+const quiet = { log: () => {} };
+
+const newWallet = async (eth = '10') => {
+  const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+  if (eth !== null) await setBalance(wallet.address, ethers.parseEther(eth));
+  return wallet;
+};
+
+const deployContracts = async () => {
+  const [deployer] = await ethers.getSigners();
+  const batch = await ethers.deployContract('BatchCallDelegation');
+  const token = await ethers.deployContract('AuthorizationERC20Delegation', ['AuthDelegationToken', 'ADT', 18, INITIAL_SUPPLY]);
+
+  const eoa = await newWallet();
+  const sponsor = await newWallet();
+  // Holds tokens but no ETH at all
+  const tokenHolder = await newWallet(null);
+  const recipient = ethers.Wallet.createRandom().address;
+
+  await token.transfer(eoa.address, HOLDER_BALANCE);
+  await token.transfer(tokenHolder.address, HOLDER_BALANCE);
+
+  return {
+    deployer,
+    batch,
+    token,
+    batchAddress: await batch.getAddress(),
+    tokenAddress: await token.getAddress(),
+    eoa,
+    sponsor,
+    tokenHolder,
+    recipient
+  };
+};
+
+module.exports = {
+  INITIAL_SUPPLY,
+  HOLDER_BALANCE,
+  quiet,
+  newWallet,
+  deployContracts
+};
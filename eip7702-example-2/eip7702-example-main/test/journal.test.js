@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { signAuthorizations, buildSetCodeTransaction, signSetCodeTransaction } = require('../lib/eip7702');
+const { executeBatch } = require('../lib/flows');
+const { openJournal, sendJournaled, resumeJournal, exportJournal } = require('../lib/journal');
+const { deployContracts, quiet } = require('./fixtures');
+
+describe('Transaction journal', () => {
+  let dir;
+  let journal;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    journal = openJournal(path.join(dir, 'transactions.jsonl'));
+  });
+
+  afterEach(async () => {
+    fs.rmSync(dir, { recursive: true });
+    await ethers.provider.send('evm_setAutomine', [true]);
+  });
+
+  // A signed delegation of `authority`, sent by `wallet`, that has not been sent
+  const signDelegation = async (wallet, delegate, authority = wallet) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const nonce = BigInt(await ethers.provider.getTransactionCount(wallet.address));
+    const authorizationList = await signAuthorizations(ethers.provider, { chainId, sender: wallet.address, senderNonce: nonce, entries: [{ address: delegate, signer: authority }] });
+    return signSetCodeTransaction(buildSetCodeTransaction({
+      chainId,
+      nonce,
+      maxFeePerGas: ethers.parseUnits('10', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+      gasLimit: 200000n,
+      to: wallet.address,
+      authorizationList
+    }), wallet);
+  };
+
+  it('records a batch before it is sent and exports it with its receipt', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const { txHash, receipt } = await executeBatch(ethers.provider, {
+      wallet: eoa,
+      delegate: batchAddress,
+      calls: [{ to: recipient, value: ethers.parseEther('0.5'), data: '0x' }],
+      journal,
+      ...quiet
+    });
+
+    const lines = fs.readFileSync(journal.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.status)).to.deep.equal(['signed', 'pending', 'mined']);
+    const [entry] = journal.entries();
+    expect(entry).to.include({ hash: txHash, kind: 'batch', status: 'mined', from: eoa.address, nonce: '0' });
+    expect(entry.rawTransaction).to.match(/^0x04/);
+    expect(entry.authorizations).to.deep.equal([{ authority: eoa.address, address: batchAddress, nonce: '1', chainId: '31337' }]);
+    expect(entry.call.calls[0]).to.include({ kind: 'transfer', to: recipient });
+    expect(entry.fees.strategy).to.equal('node');
+
+    const [header, row] = exportJournal(journal.entries()).trim().split('\n');
+    const fields = Object.fromEntries(header.split(',').map((column, index) => [column, row.split(',')[index]]));
+    expect(fields).to.include({ hash: txHash, kind: 'batch', status: 'mined', calls: `0.5 ETH to ${recipient}` });
+    expect(fields.feeEth).to.equal(ethers.formatEther(receipt.gasUsed * receipt.gasPrice));
+    expect(JSON.parse(exportJournal(journal.entries(), 'json'))[0].receipt.blockNumber).to.equal(receipt.blockNumber);
+  });
+
+  it('resumes after a crash: broadcasts what was never sent and waits for what is pending', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+    // Crashed between journaling and broadcasting
+    journal.record(await signDelegation(eoa, batchAddress), { kind: 'delegate' });
+    // Crashed while waiting
+    await ethers.provider.send('evm_setAutomine', [false]);
+    await sendJournaled(ethers.provider, journal, await signDelegation(sponsor, batchAddress), { kind: 'delegate' });
+
+    const results = await resumeJournal(ethers.provider, journal, {
+      receiptOptions: { initialIntervalMs: 10, onPoll: () => { ethers.provider.send('evm_mine', []); } },
+      ...quiet
+    });
+
+    expect(results.map(result => result.status)).to.deep.equal(['mined', 'mined']);
+    expect(journal.entries().map(entry => entry.status)).to.deep.equal(['mined', 'mined']);
+    expect(await ethers.provider.getCode(eoa.address)).to.not.equal('0x');
+    expect(await resumeJournal(ethers.provider, journal, quiet)).to.deep.equal([]);
+  });
+
+  it('marks an entry whose nonce was used elsewhere as replaced', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const hash = journal.record(await signDelegation(eoa, batchAddress), { kind: 'delegate' });
+    await (await eoa.sendTransaction({ to: recipient, value: 1n })).wait();
+
+    expect(await resumeJournal(ethers.provider, journal, quiet)).to.deep.equal([{ hash, kind: 'delegate', status: 'replaced' }]);
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+  });
+
+  it('does not broadcast again authorizations that went stale, unless told to', async () => {
+    const { eoa, sponsor, batchAddress, recipient } = await loadFixture(deployContracts);
+    const hash = journal.record(await signDelegation(sponsor, batchAddress, eoa), { kind: 'delegate' });
+    // The authority's nonce moves past its authorization
+    await (await eoa.sendTransaction({ to: recipient, value: 1n })).wait();
+
+    expect(await resumeJournal(ethers.provider, journal, quiet)).to.deep.equal([{ hash, kind: 'delegate', status: 'signed' }]);
+    expect(await ethers.provider.getTransactionReceipt(hash)).to.equal(null);
+
+    expect(await resumeJournal(ethers.provider, journal, { acceptInvalidAuthorizations: true, ...quiet })).to.deep.equal([{ hash, kind: 'delegate', status: 'mined' }]);
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+  });
+
+  it('reads past a line cut short by a crash', async () => {
+    const { eoa, batchAddress } = await loadFixture(deployContracts);
+    journal.record(await signDelegation(eoa, batchAddress));
+    fs.appendFileSync(journal.file, '{"hash":"0x12');
+    const hash = journal.update(journal.entries()[0].hash, 'dropped');
+
+    expect(journal.entries()).to.have.length(1);
+    expect(journal.entries()[0]).to.include({ hash, status: 'dropped', kind: 'set-code' });
+    expect(() => exportJournal([], 'xml')).to.throw(/Unknown export format/);
+  });
+});
@@ -0,0 +1,174 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+const { createRelayer, pollRelay } = require('../lib/relayer');
+const { createRelayRequest, signBatchIntent } = require('../lib/intent');
+const { parseDelegationDesignator } = require('../lib/delegation');
+const { signAuthorization } = require('../lib/eip7702');
+const { toJson } = require('../lib/inspect');
+const { deployContracts, newWallet, quiet } = require('./fixtures');
+
+describe('Sponsorship relayer', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  const startRelayer = async ({ batchAddress }, policy) => {
+    const gasPayer = await newWallet();
+    const relayer = createRelayer(ethers.provider, { gasPayer, delegate: batchAddress, policy, ...quiet });
+    server = await relayer.listen(0);
+    return { relayer, gasPayer, url: `http://127.0.0.1:${server.address().port}` };
+  };
+
+  const post = async (url, body) => {
+    const response = await fetch(`${url}/relay`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: toJson(body) });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const transferRequest = async ({ tokenHolder, batchAddress, token, tokenAddress, recipient }, amount = '1') => {
+    const calls = [{ to: tokenAddress, value: 0n, data: token.interface.encodeFunctionData('transfer', [recipient, ethers.parseUnits(amount, 18)]) }];
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    return createRelayRequest(ethers.provider, tokenHolder, { delegate: batchAddress, calls, deadline: timestamp + 600 });
+  };
+
+  it('delegates and runs the batch of an account without ETH, paid by the gas payer', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { tokenHolder, token, recipient, batchAddress } = fixture;
+    const { relayer, gasPayer, url } = await startRelayer(fixture);
+    const payerBalance = await ethers.provider.getBalance(gasPayer.address);
+
+    const { status, body } = await post(url, await transferRequest(fixture, '12.5'));
+    expect(status).to.equal(202);
+    expect(body.status).to.equal('submitted');
+
+    expect((await relayer.waitForRelay(body.id)).status).to.equal('mined');
+    const polled = await (await fetch(`${url}/relay/${body.id}`)).json();
+    expect(polled.status).to.equal('mined');
+    expect(polled.txHash).to.equal(body.txHash);
+
+    expect(await token.balanceOf(recipient)).to.equal(ethers.parseUnits('12.5', 18));
+    expect(parseDelegationDesignator(await ethers.provider.getCode(tokenHolder.address))).to.equal(batchAddress);
+    expect(await ethers.provider.getBalance(tokenHolder.address)).to.equal(0n);
+    expect(await ethers.provider.getBalance(gasPayer.address)).to.be.lessThan(payerBalance);
+  });
+
+  it('refuses an intent that is not signed by the account', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { url } = await startRelayer(fixture);
+    const request = await transferRequest(fixture);
+    const { chainId } = await ethers.provider.getNetwork();
+    const forged = await signBatchIntent(ethers.Wallet.createRandom(), chainId, request.intent);
+
+    const { status, body } = await post(url, { ...request, signature: forged });
+
+    expect(status).to.equal(401);
+    expect(body.error).to.match(/not by/);
+    expect(await ethers.provider.getCode(fixture.tokenHolder.address)).to.equal('0x');
+  });
+
+  it('refuses to relay the same intent twice', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { url } = await startRelayer(fixture);
+    const request = await transferRequest(fixture);
+
+    expect((await post(url, request)).status).to.equal(202);
+    const { status, body } = await post(url, request);
+
+    expect(status).to.equal(409);
+    expect(body.error).to.match(/already submitted/);
+  });
+
+  it('sponsors a chainId 0 authorization only once the delegate code matches on the other chains', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { tokenHolder, batchAddress } = fixture;
+    const nonce = await ethers.provider.getTransactionCount(tokenHolder.address);
+    const authorization = await signAuthorization({ chainId: 0n, address: batchAddress, nonce }, tokenHolder);
+    const body = JSON.parse(toJson({ ...await transferRequest(fixture), authorization }));
+    // The Hardhat network under another chain ID; `code` replaces what it has deployed
+    const otherChain = (code) => ({ getNetwork: async () => ({ chainId: 10n }), getCode: async (address) => code ?? ethers.provider.getCode(address) });
+    const relayerFor = async (chains) => createRelayer(ethers.provider, { gasPayer: await newWallet(), delegate: batchAddress, chains, ...quiet });
+
+    await expect((await relayerFor([])).submit(body)).to.be.rejectedWith(/chainId 0: .*needs the other chains/);
+    await expect((await relayerFor([otherChain('0x6000')])).submit(body)).to.be.rejectedWith(/not the same on every chain/);
+    const relayer = await relayerFor([otherChain()]);
+    const { id } = await relayer.submit(body);
+
+    expect((await relayer.waitForRelay(id)).status).to.equal('mined');
+    expect(parseDelegationDesignator(await ethers.provider.getCode(tokenHolder.address))).to.equal(batchAddress);
+  });
+
+  it('rate limits requests per account', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { relayer, url } = await startRelayer(fixture, { maxRequestsPerWindow: 1 });
+
+    const first = await post(url, await transferRequest(fixture));
+    await relayer.waitForRelay(first.body.id);
+    // Already delegated, so the second request carries no authorization
+    const second = await transferRequest(fixture);
+    expect(second.authorization).to.equal(null);
+    const { status, body } = await post(url, second);
+
+    expect(status).to.equal(429);
+    expect(body.error).to.match(/1 requests per 3600s/);
+  });
+
+  it('counts concurrent requests of an account against its limit', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { url } = await startRelayer(fixture, { maxRequestsPerWindow: 1 });
+
+    const responses = await Promise.all([post(url, await transferRequest(fixture, '1')), post(url, await transferRequest(fixture, '2'))]);
+
+    expect(responses.map(({ status }) => status).sort()).to.deep.equal([202, 429]);
+  });
+
+  it('gives back the limit of a request it could not send', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { relayer, gasPayer, url } = await startRelayer(fixture, { maxRequestsPerWindow: 1 });
+
+    // Refused by the max-total-cost guard before anything is sent
+    await setBalance(gasPayer.address, 0n);
+    expect((await post(url, await transferRequest(fixture))).status).to.equal(503);
+    await setBalance(gasPayer.address, ethers.parseEther('10'));
+    const { status, body } = await post(url, await transferRequest(fixture));
+
+    expect(status).to.equal(202);
+    expect((await relayer.waitForRelay(body.id)).status).to.equal('mined');
+  });
+
+  it('polls a relay until it is final and gives up after the timeout', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { relayer, url } = await startRelayer(fixture);
+    const unknown = ethers.id('unknown');
+
+    await expect(pollRelay(url, unknown, { timeoutMs: 1000 })).to.be.rejectedWith(/could not report relay .* \(404\): Unknown relay/);
+
+    // Nothing is mined while automine is off, so the relay stays submitted
+    await ethers.provider.send('evm_setAutomine', [false]);
+    try {
+      const { body } = await post(url, await transferRequest(fixture));
+      await expect(pollRelay(url, body.id, { timeoutMs: 50, intervalMs: 10 })).to.be.rejectedWith(/Timed out .* still submitted/);
+      await ethers.provider.send('evm_mine', []);
+      await relayer.waitForRelay(body.id);
+      expect((await pollRelay(url, body.id, { timeoutMs: 1000 })).status).to.equal('mined');
+    } finally {
+      await ethers.provider.send('evm_setAutomine', [true]);
+    }
+  });
+
+  it('drops the connection of a request body that is too large', async () => {
+    const fixture = await loadFixture(deployContracts);
+    const { url } = await startRelayer(fixture);
+
+    // The relayer stops reading past 64 KiB instead of buffering the whole upload
+    await expect(fetch(`${url}/relay`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: 'x'.repeat(4 * 1024 * 1024) }))
+      .to.be.rejectedWith(/fetch failed/);
+    // Counted in bytes: 30,000 characters of 3 bytes each
+    await expect(fetch(`${url}/relay`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify('€'.repeat(30000)) }))
+      .to.be.rejectedWith(/fetch failed/);
+    const info = await (await fetch(`${url}/info`)).json();
+    expect(info.delegate).to.equal(fixture.batchAddress);
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { setDelegation, executeBatch } = require('../lib/flows');
+const { createSignedIntent, getIntentHash } = require('../lib/intent');
+const { deployContracts, quiet } = require('./fixtures');
+
+describe('Signature-gated execution', () => {
+  // The EOA delegated to BatchCallDelegation, seen as a contract from the sponsor's side
+  const delegatedAccount = async () => {
+    const fixture = await loadFixture(deployContracts);
+    await setDelegation(ethers.provider, { wallet: fixture.eoa, delegate: fixture.batchAddress, ...quiet });
+    const account = new ethers.Contract(fixture.eoa.address, fixture.batch.interface, fixture.sponsor);
+    const calls = [{ to: fixture.recipient, value: ethers.parseEther('0.25'), data: '0x' }];
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    return { ...fixture, account, calls, deadline: timestamp + 600 };
+  };
+
+  it('refuses execute() from anyone but the account itself', async () => {
+    const { account, batch, calls, sponsor } = await delegatedAccount();
+
+    await expect(account.execute(calls)).to.be.revertedWithCustomError(batch, 'Unauthorized').withArgs(sponsor.address);
+  });
+
+  it('runs a batch signed by the account when a sponsor submits it', async () => {
+    const { account, eoa, calls, deadline, recipient } = await delegatedAccount();
+    const { intent, signature } = await createSignedIntent(ethers.provider, eoa, { calls, deadline });
+
+    await expect(account.executeWithSignature(intent.calls, intent.nonce, intent.deadline, signature))
+      .to.emit(account, 'IntentExecuted').withArgs(intent.nonce);
+
+    expect(await ethers.provider.getBalance(recipient)).to.equal(ethers.parseEther('0.25'));
+    expect(await account.nonceUsed(intent.nonce)).to.equal(true);
+  });
+
+  it('computes the same digest as the JS signer', async () => {
+    const { account, eoa, calls, deadline } = await delegatedAccount();
+    const { intent } = await createSignedIntent(ethers.provider, eoa, { calls, deadline });
+    const { chainId } = await ethers.provider.getNetwork();
+
+    expect(await account.hashIntent(intent.calls, intent.nonce, intent.deadline)).to.equal(getIntentHash(chainId, intent));
+  });
+
+  it('refuses a replayed, foreign, expired or invalidated intent', async () => {
+    const { account, batch, eoa, calls, deadline } = await delegatedAccount();
+    const { intent, signature } = await createSignedIntent(ethers.provider, eoa, { calls, deadline });
+    await account.executeWithSignature(intent.calls, intent.nonce, intent.deadline, signature);
+
+    await expect(account.executeWithSignature(intent.calls, intent.nonce, intent.deadline, signature))
+      .to.be.revertedWithCustomError(batch, 'NonceAlreadyUsed');
+
+    const foreign = await createSignedIntent(ethers.provider, ethers.Wallet.createRandom(), { calls, deadline });
+    await expect(account.executeWithSignature(foreign.intent.calls, foreign.intent.nonce, deadline, foreign.signature))
+      .to.be.revertedWithCustomError(batch, 'InvalidSignature');
+
+    const expiring = await createSignedIntent(ethers.provider, eoa, { calls, deadline });
+    await time.increaseTo(deadline + 1);
+    await expect(account.executeWithSignature(expiring.intent.calls, expiring.intent.nonce, deadline, expiring.signature))
+      .to.be.revertedWithCustomError(batch, 'IntentExpired');
+
+    const cancelled = await createSignedIntent(ethers.provider, eoa, { calls, deadline: deadline + 600 });
+    await executeBatch(ethers.provider, {
+      wallet: eoa,
+      delegate: await batch.getAddress(),
+      calls: [{ to: eoa.address, value: 0n, data: batch.interface.encodeFunctionData('invalidateNonce', [cancelled.intent.nonce]) }],
+      ...quiet
+    });
+    await expect(account.executeWithSignature(cancelled.intent.calls, cancelled.intent.nonce, deadline + 600, cancelled.signature))
+      .to.be.revertedWithCustomError(batch, 'NonceAlreadyUsed');
+  });
+});
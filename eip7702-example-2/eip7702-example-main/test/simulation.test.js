@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+const { setDelegation, executeBatch } = require('../lib/flows');
+const { summarizeCallTrace, simulateTransaction, formatSimulation } = require('../lib/simulation');
+const { deployContracts, quiet } = require('./fixtures');
+
+// Chain state a dry run must leave untouched
+const chainState = async (addresses) => ({
+  block: await ethers.provider.getBlockNumber(),
+  accounts: await Promise.all(addresses.map(async address => [
+    await ethers.provider.getTransactionCount(address),
+    await ethers.provider.getCode(address),
+    await ethers.provider.getBalance(address)
+  ]))
+});
+
+describe('Dry runs', () => {
+  it('previews a delegated batch without changing the chain', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const value = ethers.parseEther('0.25');
+    const before = await chainState([eoa.address, recipient]);
+
+    const { txHash, simulation } = await executeBatch(ethers.provider, {
+      wallet: eoa,
+      delegate: batchAddress,
+      calls: [{ to: recipient, value, data: '0x' }],
+      dryRun: true,
+      ...quiet
+    });
+
+    expect(txHash).to.equal(null);
+    expect(simulation.mode).to.equal('fork');
+    expect(simulation.success).to.equal(true);
+    expect(simulation.gasUsed > 21000n).to.equal(true);
+    expect(simulation.codeChanges).to.deep.equal([
+      { account: eoa.address, before: '0x', after: ethers.concat(['0xef0100', batchAddress]).toLowerCase() }
+    ]);
+    expect(simulation.events.map(event => event.name)).to.include('CallExecuted');
+
+    // The EOA pays the gas and the value, the recipient receives the value
+    const eoaChange = simulation.balances.find(balance => balance.account === eoa.address);
+    const recipientChange = simulation.balances.find(balance => balance.account === recipient);
+    expect(eoaChange.role).to.equal('gas payer, account');
+    expect(eoaChange.delta).to.equal(-value - simulation.gasCost);
+    expect(recipientChange).to.include({ role: 'recipient', asset: 'ETH', delta: value });
+    expect(formatSimulation(simulation)).to.match(/would succeed[\s\S]*no code -> delegates to[\s\S]*Nothing was sent\.$/);
+
+    expect(await chainState([eoa.address, recipient])).to.deep.equal(before);
+  });
+
+  it('reports a batch that would fail, with the failing call', async () => {
+    const { eoa, batchAddress, recipient } = await loadFixture(deployContracts);
+    const balance = await ethers.provider.getBalance(eoa.address);
+    const before = await chainState([eoa.address]);
+
+    const { simulation } = await executeBatch(ethers.provider, {
+      wallet: eoa,
+      delegate: batchAddress,
+      calls: [
+        { to: recipient, value: 1n, data: '0x' },
+        { to: recipient, value: balance, data: '0x' }
+      ],
+      dryRun: true,
+      ...quiet
+    });
+
+    expect(simulation.success).to.equal(false);
+    expect(simulation.error).to.match(/^Call 1 to/);
+    expect(formatSimulation(simulation)).to.include('would FAIL');
+    expect(await chainState([eoa.address])).to.deep.equal(before);
+  });
+
+  it('shows the sponsor paying for a sponsored delegation', async () => {
+    const { eoa, sponsor, batchAddress } = await loadFixture(deployContracts);
+
+    const { simulation } = await setDelegation(ethers.provider, { wallet: eoa, sponsor, delegate: batchAddress, dryRun: true, ...quiet });
+
+    const byAccount = Object.fromEntries(simulation.balances.map(balance => [balance.account, balance]));
+    expect(byAccount[sponsor.address]).to.include({ role: 'gas payer', delta: -simulation.gasCost });
+    expect(byAccount[eoa.address]).to.include({ role: 'account', delta: 0n });
+    expect(await ethers.provider.getCode(eoa.address)).to.equal('0x');
+  });
+
+  it('ignores the effects of reverted frames in a call trace', () => {
+    const [a, b, c] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+    const log = { address: c, topics: [ethers.id('Ping()')], data: '0x' };
+    const summary = summarizeCallTrace({
+      type: 'CALL',
+      from: a,
+      to: b,
+      value: '0x0',
+      gasUsed: '0xc350',
+      output: '0x',
+      logs: [log],
+      calls: [
+        { type: 'CALL', from: b, to: c, value: '0x64', gasUsed: '0x0' },
+        { type: 'CALL', from: b, to: a, value: '0x10', gasUsed: '0x0', error: 'execution reverted', logs: [log] }
+      ]
+    });
+
+    expect(summary).to.deep.include({ success: true, gasUsed: 50000n, error: null });
+    expect(summary.transfers).to.deep.equal([{ from: b, to: c, value: 100n }]);
+    expect(summary.logs).to.have.length(1);
+  });
+
+  it('reports ETH moved between contracts the transaction never names in trace mode', async () => {
+    const { eoa } = await loadFixture(deployContracts);
+    const [app, vault, payee] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+    await setBalance(vault, 100n);
+    const signedTx = await eoa.signTransaction(await eoa.populateTransaction({ to: app }));
+    // The app asks its vault to pay someone: neither the vault nor the payee appear in the transaction
+    const trace = {
+      type: 'CALL',
+      from: eoa.address,
+      to: app,
+      value: '0x0',
+      gasUsed: '0x7530',
+      output: '0x',
+      calls: [
+        { type: 'CALL', from: app, to: vault, value: '0x0', gasUsed: '0x0', calls: [{ type: 'CALL', from: vault, to: payee, value: '0x7', gasUsed: '0x0' }] }
+      ]
+    };
+    const provider = Object.create(ethers.provider);
+    provider.send = async (method, params) => (method === 'debug_traceCall' ? trace : ethers.provider.send(method, params));
+
+    const simulation = await simulateTransaction(provider, { signedTx, mode: 'trace' });
+
+    expect(simulation.mode).to.equal('trace');
+    const byAccount = Object.fromEntries(simulation.balances.map(balance => [balance.account, balance]));
+    expect(byAccount[vault]).to.include({ role: 'other', before: 100n, after: 93n });
+    expect(byAccount[payee]).to.include({ role: 'recipient', delta: 7n });
+    expect(byAccount[eoa.address]).to.include({ role: 'gas payer', delta: -simulation.gasCost });
+  });
+});
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { sponsoredTransfer, transferWithAuthorization, executeBatch } = require('../lib/flows');
+const {
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  getTokenDomain,
+  signTransferWithAuthorization,
+  encodeTransferWithAuthorization
+} = require('../lib/token');
+const { openJournal } = require('../lib/journal');
+const { deployContracts, quiet, HOLDER_BALANCE } = require('./fixtures');
+
+describe('Token flows', () => {
+  describe('sponsored ERC20 transfer', () => {
+    it('moves tokens out of a holder without ETH while the gas payer pays', async () => {
+      const { tokenHolder, sponsor, batchAddress, tokenAddress, token, recipient } = await loadFixture(deployContracts);
+      const sponsorBalance = await ethers.provider.getBalance(sponsor.address);
+
+      await sponsoredTransfer(ethers.provider, {
+        tokenHolder,
+        gasPayer: sponsor,
+        delegate: batchAddress,
+        token: tokenAddress,
+        recipient,
+        amount: '1.123',
+        ...quiet
+      });
+
+      expect(await token.balanceOf(recipient)).to.equal(ethers.parseUnits('1.123', 18));
+      expect(await token.balanceOf(tokenHolder.address)).to.equal(HOLDER_BALANCE - ethers.parseUnits('1.123', 18));
+      expect(await ethers.provider.getBalance(tokenHolder.address)).to.equal(0n);
+      expect(await ethers.provider.getBalance(sponsor.address)).to.be.lessThan(sponsorBalance);
+    });
+
+    it('rejects an amount above the holder balance before sending', async () => {
+      const { tokenHolder, sponsor, batchAddress, tokenAddress, recipient } = await loadFixture(deployContracts);
+      const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
+
+      await expect(sponsoredTransfer(ethers.provider, {
+        tokenHolder,
+        gasPayer: sponsor,
+        delegate: batchAddress,
+        token: tokenAddress,
+        recipient,
+        amount: '1000.1',
+        ...quiet
+      })).to.be.rejectedWith('Insufficient token balance');
+      expect(await ethers.provider.getTransactionCount(sponsor.address)).to.equal(sponsorNonce);
+    });
+
+    it('dry-runs the transfer with token and ETH balance changes', async () => {
+      const { tokenHolder, sponsor, batchAddress, tokenAddress, token, recipient } = await loadFixture(deployContracts);
+      const value = ethers.parseUnits('2.5', 18);
+
+      const { simulation } = await sponsoredTransfer(ethers.provider, {
+        tokenHolder,
+        gasPayer: sponsor,
+        delegate: batchAddress,
+        token: tokenAddress,
+        recipient,
+        amount: '2.5',
+        dryRun: true,
+        ...quiet
+      });
+
+      expect(simulation.success).to.equal(true);
+      expect(simulation.events.map(event => `${event.contract}.${event.name}`)).to.include('ERC20.Transfer');
+      const changes = simulation.balances.map(({ account, asset, delta }) => [account, asset, delta]);
+      expect(changes).to.deep.include.members([
+        [sponsor.address, 'ETH', -simulation.gasCost],
+        [tokenHolder.address, 'ADT', -value],
+        [recipient, 'ADT', value]
+      ]);
+      expect(await token.balanceOf(recipient)).to.equal(0n);
+      expect(await ethers.provider.getCode(tokenHolder.address)).to.equal('0x');
+    });
+  });
+
+  describe('transferWithAuthorization', () => {
+    it('transfers with a direct call to the token', async () => {
+      const { eoa, tokenAddress, token, recipient } = await loadFixture(deployContracts);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+      const journal = openJournal(path.join(dir, 'transactions.jsonl'));
+      const transfer = (options) => transferWithAuthorization(ethers.provider, {
+        wallet: eoa,
+        token: tokenAddress,
+        recipient,
+        amount: '25',
+        journal,
+        ...quiet,
+        ...options
+      });
+
+      try {
+        // Priced and checked like the delegated flows before anything is signed
+        await expect(transfer({ fees: { maxTotalCost: 1n } })).to.be.rejectedWith(/above the limit/);
+        const { authorization, txHash, receipt } = await transfer();
+
+        expect(receipt.status).to.equal(1);
+        expect(journal.entries()).to.have.length(1);
+        expect(journal.entries()[0]).to.include({ hash: txHash, kind: 'transfer-with-authorization', status: 'mined' });
+        expect(await token.balanceOf(recipient)).to.equal(ethers.parseUnits('25', 18));
+        expect(await token.authorizationState(ethers.solidityPackedKeccak256(['address', 'bytes32'], [eoa.address, authorization.nonce])))
+          .to.equal(1n); // Used
+      } finally {
+        fs.rmSync(dir, { recursive: true });
+      }
+    });
+
+    it('transfers inside a delegated batch', async () => {
+      const { eoa, batchAddress, tokenAddress, token, recipient } = await loadFixture(deployContracts);
+
+      await transferWithAuthorization(ethers.provider, {
+        wallet: eoa,
+        token: tokenAddress,
+        recipient,
+        amount: '10',
+        delegate: batchAddress,
+        ...quiet
+      });
+
+      expect(await token.balanceOf(recipient)).to.equal(ethers.parseUnits('10', 18));
+      expect(await ethers.provider.getCode(eoa.address)).to.not.equal('0x');
+    });
+
+    describe('negative cases', () => {
+      // Signs an authorization for 1 ADT; `send` submits it with a direct call to the token
+      const sign = async ({ eoa, tokenAddress, recipient }, overrides = {}) => {
+        const now = await time.latest();
+        const authorization = await signTransferWithAuthorization(ethers.provider, eoa, {
+          token: tokenAddress,
+          to: recipient,
+          value: ethers.parseUnits('1', 18),
+          validAfter: now - 60,
+          validBefore: now + 3600,
+          ...overrides
+        });
+        return { authorization, send: () => eoa.sendTransaction({ to: tokenAddress, data: encodeTransferWithAuthorization(authorization) }) };
+      };
+
+      it('rejects a reused nonce', async () => {
+        const fixture = await loadFixture(deployContracts);
+        const { authorization, send } = await sign(fixture);
+        await send();
+
+        const replay = await sign(fixture, { nonce: authorization.nonce });
+        await expect(replay.send()).to.be.revertedWith('USED_OR_CANCELLED');
+      });
+
+      it('rejects a signature over a different nonce', async () => {
+        const fixture = await loadFixture(deployContracts);
+        const { authorization } = await sign(fixture);
+        const tampered = { ...authorization, nonce: ethers.hexlify(ethers.randomBytes(32)) };
+
+        await expect(fixture.eoa.sendTransaction({ to: fixture.tokenAddress, data: encodeTransferWithAuthorization(tampered) }))
+          .to.be.revertedWith('SIG');
+      });
+
+      it('rejects a signature for another chainId', async () => {
+        const { eoa, tokenAddress, recipient } = await loadFixture(deployContracts);
+        const now = await time.latest();
+        const domain = { ...(await getTokenDomain(ethers.provider, tokenAddress)), chainId: 1n };
+        const message = {
+          from: eoa.address,
+          to: recipient,
+          value: ethers.parseUnits('1', 18),
+          validAfter: now - 60,
+          validBefore: now + 3600,
+          nonce: ethers.hexlify(ethers.randomBytes(32))
+        };
+        const { v, r, s } = ethers.Signature.from(await eoa.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, message));
+
+        await expect(eoa.sendTransaction({ to: tokenAddress, data: encodeTransferWithAuthorization({ ...message, v, r, s }) }))
+          .to.be.revertedWith('SIG');
+      });
+
+      it('rejects an expired window', async () => {
+        const fixture = await loadFixture(deployContracts);
+        const now = await time.latest();
+        const { send } = await sign(fixture, { validAfter: now - 3600, validBefore: now - 1 });
+
+        await expect(send()).to.be.revertedWith('TIME_EXPIRED');
+      });
+
+      it('rejects a window that has not started', async () => {
+        const fixture = await loadFixture(deployContracts);
+        const now = await time.latest();
+        const { send } = await sign(fixture, { validAfter: now + 3600, validBefore: now + 7200 });
+
+        await expect(send()).to.be.revertedWith('TIME_NOT_YET');
+      });
+
+      it('refuses to send a delegated batch carrying an expired authorization', async () => {
+        const fixture = await loadFixture(deployContracts);
+        const now = await time.latest();
+        const { authorization } = await sign(fixture, { validAfter: now - 3600, validBefore: now - 1 });
+
+        await expect(executeBatch(ethers.provider, {
+          wallet: fixture.eoa,
+          delegate: fixture.batchAddress,
+          calls: [{ to: fixture.tokenAddress, value: 0n, data: encodeTransferWithAuthorization(authorization) }],
+          ...quiet
+        })).to.be.rejectedWith(/Gas estimation reverted/);
+        expect(await fixture.token.balanceOf(fixture.recipient)).to.equal(0n);
+      });
+    });
+  });
+});